@@ -16,6 +16,8 @@ const axios = require('axios');
 const { Pool } = require('pg');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 
 // ============================================
 // CONFIGURAÇÃO DO SERVIDOR
@@ -26,7 +28,11 @@ const PORT = process.env.PORT || 3000;
 // Middlewares
 app.use(helmet({ contentSecurityPolicy: false }));
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+    limit: '10mb',
+    // Corpo bruto necessário para validar assinaturas HMAC
+    verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // ============================================
@@ -36,13 +42,49 @@ const CONFIG = {
     PIX_TIMEOUT: parseInt(process.env.PIX_TIMEOUT) || 420000, // 7 minutos
     N8N_WEBHOOK_URL: process.env.N8N_WEBHOOK_URL,
     EVOLUTION_API_URL: process.env.EVOLUTION_API_URL,
+    EVOLUTION_API_KEY: process.env.EVOLUTION_API_KEY,
+    PERFECT_PAY_TOKEN: process.env.PERFECT_PAY_TOKEN,
+    HOTMART_HOTTOK: process.env.HOTMART_HOTTOK,
+    KIWIFY_TOKEN: process.env.KIWIFY_TOKEN,
+    EDUZZ_API_KEY: process.env.EDUZZ_API_KEY,
+    WEBHOOK_SECRET: process.env.WEBHOOK_SECRET,
+    WEBHOOK_MAX_SKEW: parseInt(process.env.WEBHOOK_MAX_SKEW) || 300, // segundos
+    // Só para desenvolvimento: aceita webhooks de origens sem segredo configurado
+    ALLOW_UNAUTHENTICATED_WEBHOOKS: process.env.ALLOW_UNAUTHENTICATED_WEBHOOKS === 'true',
+    ADMIN_API_KEYS: process.env.ADMIN_API_KEYS || '', // "role:chave,role:chave"
+    ADMIN_USERNAME: process.env.ADMIN_USERNAME,
+    ADMIN_PASSWORD: process.env.ADMIN_PASSWORD,
+    SESSION_TTL_HOURS: parseInt(process.env.SESSION_TTL_HOURS) || 12,
     MAX_RETRY_ATTEMPTS: parseInt(process.env.MAX_RETRY_ATTEMPTS) || 3,
+    BALANCING_STRATEGY: process.env.BALANCING_STRATEGY || 'round_robin',
+    INSTANCE_HEALTH_INTERVAL: parseInt(process.env.INSTANCE_HEALTH_INTERVAL) || 60000, // 1 minuto
+    MESSAGE_QUEUE_INTERVAL: parseInt(process.env.MESSAGE_QUEUE_INTERVAL) || 2000, // 2 segundos
+    FUNNEL_WATCHDOG_INTERVAL: parseInt(process.env.FUNNEL_WATCHDOG_INTERVAL) || 60000, // 1 minuto
+    FUNNEL_STEP_DEADLINE_MINUTES: parseInt(process.env.FUNNEL_STEP_DEADLINE_MINUTES) || 15,
+    FUNNEL_STUCK_POLICY: process.env.FUNNEL_STUCK_POLICY || 'release', // release | retry
+    FUNNEL_STEP_MAX_RETRIES: parseInt(process.env.FUNNEL_STEP_MAX_RETRIES) || 1,
+    CARD_DECLINED_RECOVERY_DELAY: parseInt(process.env.CARD_DECLINED_RECOVERY_DELAY) || 300000, // 5 minutos
+    ABANDONED_CHECKOUT_RECOVERY_DELAY: parseInt(process.env.ABANDONED_CHECKOUT_RECOVERY_DELAY) || 1800000, // 30 minutos
+    // Minutos após o timeout PIX, separados por vírgula (vazio desativa o padrão)
+    FOLLOWUP_SCHEDULE: process.env.FOLLOWUP_SCHEDULE ?? '60,1440,4320',
+    // Palavras de descadastro separadas por vírgula (comparação sem acentos)
+    OPT_OUT_KEYWORDS: process.env.OPT_OUT_KEYWORDS || 'pare,parar,sair,cancelar,remover,remove,stop,não quero,não tenho interesse',
+    // Pergunta enviada quando a palavra aparece no meio de uma mensagem maior
+    OPT_OUT_CONFIRMATION_MESSAGE: process.env.OPT_OUT_CONFIRMATION_MESSAGE || 'Você deseja parar de receber nossas mensagens? Responda SIM para confirmar.',
+    OPT_OUT_CONFIRMATION_TTL: parseInt(process.env.OPT_OUT_CONFIRMATION_TTL) || 86400000, // 24 horas
+    SCHEDULER_POLL_INTERVAL: parseInt(process.env.SCHEDULER_POLL_INTERVAL) || 5000, // 5 segundos
+    OUTBOX_POLL_INTERVAL: parseInt(process.env.OUTBOX_POLL_INTERVAL) || 5000, // 5 segundos
+    OUTBOX_MAX_ATTEMPTS: parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 10,
+    OUTBOX_RETRY_BASE_DELAY: parseInt(process.env.OUTBOX_RETRY_BASE_DELAY) || 5000, // 5s, 10s, 20s...
+    OUTBOX_RETRY_MAX_DELAY: parseInt(process.env.OUTBOX_RETRY_MAX_DELAY) || 3600000, // 1 hora
     TIMEZONE: 'America/Bahia'
 };
 
 // ============================================
 // MAPEAMENTOS
 // ============================================
+
+// Carga inicial da tabela products (o catálogo vive no banco)
 const PRODUCT_MAPPING = {
     'PPLQQM9AP': 'FAB',
     'PPLQQMAGU': 'FAB', 
@@ -52,6 +94,7 @@ const PRODUCT_MAPPING = {
     'PPLQQMSFI': 'CS'
 };
 
+// Carga inicial da tabela instances (o registro vive no banco)
 const INSTANCES = [
     { name: 'GABY01', id: '1CEBB8703497-4F31-B33F-335A4233D2FE', active: true },
     { name: 'GABY02', id: '939E26DEA1FA-40D4-83CE-2BF0B3F795DC', active: true },
@@ -67,17 +110,34 @@ const INSTANCES = [
 // ============================================
 // ARMAZENAMENTO GLOBAL
 // ============================================
+// Contexto do replay de webhooks - em dry-run isola banco, memória e chamadas externas
+const replayContext = new AsyncLocalStorage();
+
 let database = null;
-let conversations = new Map();
-let pendingTimeouts = new Map();
-let instanceCounter = 0;
-let systemStats = {
+let conversations = replayScoped('conversations', new Map());
+let productCatalog = new Map(); // plan_code → linha da tabela products
+let instanceRegistry = replayScoped('instanceRegistry', new Map()); // name → linha da tabela instances
+let schedulerRunning = false;
+let outboxDispatching = false;
+let messageQueueRunning = false;
+let watchdogRunning = false;
+let instanceHealthChecking = false;
+let optOutPhones = replayScoped('optOutPhones', new Set()); // telefones que pediram para não receber contato
+let optOutConfirmations = replayScoped('optOutConfirmations', new Map()); // telefone → pedido de descadastro aguardando "sim"
+let stepMessages = []; // mensagens nativas por produto/origem/etapa
+let funnelDefinitions = []; // funis ativos com suas etapas
+let followupSteps = []; // cronogramas de follow-up por produto
+let lidMappings = replayScoped('lidMappings', new Map()); // LID do WhatsApp → telefone
+let systemStats = replayScoped('systemStats', {
     totalEvents: 0,
     successfulEvents: 0,
     failedEvents: 0,
     contactsSaved: 0,
+    rejectedWebhooks: { perfect: 0, hotmart: 0, kiwify: 0, eduzz: 0, evolution: 0, n8n: 0 },
+    skippedMessages: { group: 0, status: 0, broadcast: 0, newsletter: 0, lid_unresolved: 0, unknown: 0 },
+    duplicateWebhooks: {}, // origem → entregas repetidas suprimidas
     startTime: new Date()
-};
+});
 
 // ============================================
 // CONEXÃO COM BANCO DE DADOS
@@ -95,6 +155,7 @@ async function connectDatabase() {
         };
 
         database = new Pool(config);
+        routeReplayQueries(database);
         
         const client = await database.connect();
         const result = await client.query('SELECT NOW() as current_time');
@@ -128,11 +189,40 @@ async function createTables() {
                 client_name VARCHAR(255),
                 responses_count INTEGER DEFAULT 0,
                 last_response_at TIMESTAMP,
+                conversation_ref BIGINT,
+                waiting_confirmation BOOLEAN DEFAULT FALSE,
+                funil_in_progress BOOLEAN DEFAULT FALSE,
+                pending_step INTEGER,
+                last_activity_at TIMESTAMP DEFAULT NOW(),
                 created_at TIMESTAMP DEFAULT NOW(),
                 updated_at TIMESTAMP DEFAULT NOW()
             )
         `);
         
+        // Colunas de estado do funil (bancos criados antes da reidratação)
+        await database.query(`
+            ALTER TABLE conversations
+                ADD COLUMN IF NOT EXISTS conversation_ref BIGINT,
+                ADD COLUMN IF NOT EXISTS waiting_confirmation BOOLEAN DEFAULT FALSE,
+                ADD COLUMN IF NOT EXISTS funil_in_progress BOOLEAN DEFAULT FALSE,
+                ADD COLUMN IF NOT EXISTS pending_step INTEGER,
+                ADD COLUMN IF NOT EXISTS last_activity_at TIMESTAMP DEFAULT NOW()
+        `);
+        
+        // Gateway de pagamento de origem do pedido
+        await database.query(`
+            ALTER TABLE conversations ADD COLUMN IF NOT EXISTS gateway VARCHAR(20) DEFAULT 'perfectpay'
+        `);
+        
+        // Origem das conversas de recuperação (cartao_recusado, checkout_abandonado)
+        await database.query(`
+            ALTER TABLE conversations ADD COLUMN IF NOT EXISTS origin VARCHAR(20)
+        `);
+        
+        await database.query(`
+            CREATE INDEX IF NOT EXISTS idx_conversations_last_activity ON conversations(last_activity_at)
+        `);
+        
         // Tabela de contatos
         await database.query(`
             CREATE TABLE IF NOT EXISTS contacts (
@@ -148,6 +238,484 @@ async function createTables() {
             )
         `);
         
+        // Tabela de jobs agendados (timeouts que sobrevivem a restarts)
+        await database.query(`
+            CREATE TABLE IF NOT EXISTS scheduled_jobs (
+                id SERIAL PRIMARY KEY,
+                job_type VARCHAR(50) NOT NULL,
+                job_key VARCHAR(100) NOT NULL,
+                payload JSONB DEFAULT '{}',
+                run_at TIMESTAMP NOT NULL,
+                status VARCHAR(20) DEFAULT 'pending',
+                attempts INTEGER DEFAULT 0,
+                last_error TEXT,
+                executed_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+        
+        await database.query(`
+            CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_due ON scheduled_jobs(status, run_at)
+        `);
+        
+        await database.query(`
+            CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_key ON scheduled_jobs(job_type, job_key)
+        `);
+        
+        // Outbox de eventos para o N8N
+        await database.query(`
+            CREATE TABLE IF NOT EXISTS outbound_events (
+                id SERIAL PRIMARY KEY,
+                event_type VARCHAR(50) NOT NULL,
+                payload JSONB NOT NULL,
+                status VARCHAR(20) DEFAULT 'pending',
+                attempts INTEGER DEFAULT 0,
+                next_attempt_at TIMESTAMP DEFAULT NOW(),
+                last_error TEXT,
+                sent_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+        
+        await database.query(`
+            CREATE INDEX IF NOT EXISTS idx_outbound_events_due ON outbound_events(status, next_attempt_at)
+        `);
+        
+        // Pedido do evento: eventos do mesmo pedido saem na ordem em que foram gerados
+        await database.query(`
+            ALTER TABLE outbound_events ADD COLUMN IF NOT EXISTS order_code VARCHAR(50)
+        `);
+        
+        await database.query(`
+            CREATE INDEX IF NOT EXISTS idx_outbound_events_order ON outbound_events(order_code, id)
+            WHERE status IN ('pending', 'sending')
+        `);
+        
+        // Um evento em entrega por pedido - inserts simultâneos do mesmo pedido não furam a fila
+        // (entregas interrompidas por um processo morto voltam para 'pending' antes)
+        await database.query(`
+            UPDATE outbound_events SET status = 'pending', updated_at = NOW() WHERE status = 'sending'
+        `);
+        
+        await database.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_outbound_events_order_sending ON outbound_events(order_code)
+            WHERE status = 'sending'
+        `);
+        
+        // Eventos que esgotaram as tentativas
+        await database.query(`
+            CREATE TABLE IF NOT EXISTS dead_letter_events (
+                id SERIAL PRIMARY KEY,
+                outbox_id INTEGER,
+                event_type VARCHAR(50) NOT NULL,
+                payload JSONB NOT NULL,
+                attempts INTEGER DEFAULT 0,
+                last_error TEXT,
+                failed_at TIMESTAMP DEFAULT NOW(),
+                replay_count INTEGER DEFAULT 0,
+                replayed_at TIMESTAMP,
+                replay_outbox_id INTEGER
+            )
+        `);
+        
+        // Usuários e sessões do painel administrativo
+        await database.query(`
+            CREATE TABLE IF NOT EXISTS admin_users (
+                id SERIAL PRIMARY KEY,
+                username VARCHAR(50) UNIQUE NOT NULL,
+                password_hash TEXT NOT NULL,
+                role VARCHAR(20) NOT NULL DEFAULT 'viewer',
+                active BOOLEAN DEFAULT TRUE,
+                last_login_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+        
+        await database.query(`
+            CREATE TABLE IF NOT EXISTS admin_sessions (
+                token_hash VARCHAR(64) PRIMARY KEY,
+                username VARCHAR(50) NOT NULL,
+                role VARCHAR(20) NOT NULL,
+                expires_at TIMESTAMP NOT NULL,
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+        
+        // Catálogo de produtos (planos/ofertas dos gateways)
+        await database.query(`
+            CREATE TABLE IF NOT EXISTS products (
+                id SERIAL PRIMARY KEY,
+                plan_code VARCHAR(50) UNIQUE NOT NULL,
+                product_key VARCHAR(10) NOT NULL,
+                display_name VARCHAR(100),
+                price DECIMAL(10,2),
+                active BOOLEAN DEFAULT TRUE,
+                pix_timeout_minutes INTEGER,
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+        
+        await database.query(`
+            ALTER TABLE products ADD COLUMN IF NOT EXISTS balancing_strategy VARCHAR(30)
+        `);
+        
+        // Semear com o mapeamento antigo só no primeiro boot (plano removido pela API não volta)
+        const productCount = await database.query('SELECT COUNT(*) as total FROM products');
+        if (parseInt(productCount.rows[0].total) === 0) {
+            for (const [planCode, productKey] of Object.entries(PRODUCT_MAPPING)) {
+                await database.query(`
+                    INSERT INTO products (plan_code, product_key, display_name)
+                    VALUES ($1, $2, $2)
+                    ON CONFLICT (plan_code) DO NOTHING
+                `, [planCode, productKey]);
+            }
+        }
+        
+        // Registro de instâncias WhatsApp
+        await database.query(`
+            CREATE TABLE IF NOT EXISTS instances (
+                name VARCHAR(20) PRIMARY KEY,
+                instance_id VARCHAR(100),
+                status VARCHAR(20) DEFAULT 'active',
+                status_reason TEXT,
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+        
+        await database.query(`
+            ALTER TABLE instances
+                ADD COLUMN IF NOT EXISTS weight INTEGER DEFAULT 1,
+                ADD COLUMN IF NOT EXISTS daily_cap INTEGER,
+                ADD COLUMN IF NOT EXISTS last_assigned_at TIMESTAMP,
+                ADD COLUMN IF NOT EXISTS connection_state VARCHAR(20),
+                ADD COLUMN IF NOT EXISTS healthy BOOLEAN DEFAULT TRUE,
+                ADD COLUMN IF NOT EXISTS last_health_check_at TIMESTAMP,
+                ADD COLUMN IF NOT EXISTS health_changed_at TIMESTAMP
+        `);
+        
+        // Histórico de mudanças de conexão das instâncias
+        await database.query(`
+            CREATE TABLE IF NOT EXISTS instance_status_history (
+                id SERIAL PRIMARY KEY,
+                instance_name VARCHAR(20) NOT NULL,
+                state VARCHAR(20),
+                healthy BOOLEAN,
+                source VARCHAR(30),
+                details TEXT,
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+        
+        await database.query(`
+            CREATE INDEX IF NOT EXISTS idx_instance_status_history_name ON instance_status_history(instance_name, created_at)
+        `);
+        
+        // Semear com as instâncias fixas só no primeiro boot (o registro passa a ser a fonte)
+        const instanceCount = await database.query('SELECT COUNT(*) as total FROM instances');
+        if (parseInt(instanceCount.rows[0].total) === 0) {
+            for (const instance of INSTANCES) {
+                await database.query(`
+                    INSERT INTO instances (name, instance_id, status)
+                    VALUES ($1, $2, $3)
+                    ON CONFLICT (name) DO NOTHING
+                `, [instance.name, instance.id, instance.active ? 'active' : 'disabled']);
+            }
+        }
+        
+        // Definição dos funis por produto e origem ('*' = qualquer)
+        await database.query(`
+            CREATE TABLE IF NOT EXISTS funnels (
+                id SERIAL PRIMARY KEY,
+                product VARCHAR(10) NOT NULL DEFAULT '*',
+                origin VARCHAR(20) NOT NULL DEFAULT '*',
+                name VARCHAR(100),
+                completion_status VARCHAR(20) DEFAULT 'completed',
+                active BOOLEAN DEFAULT TRUE,
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW(),
+                UNIQUE (product, origin)
+            )
+        `);
+        
+        await database.query(`
+            CREATE TABLE IF NOT EXISTS funnel_steps (
+                id SERIAL PRIMARY KEY,
+                funnel_id INTEGER NOT NULL REFERENCES funnels(id) ON DELETE CASCADE,
+                step INTEGER NOT NULL,
+                name VARCHAR(100),
+                event_type VARCHAR(50) NOT NULL,
+                completion VARCHAR(20) DEFAULT 'confirm',
+                UNIQUE (funnel_id, step)
+            )
+        `);
+        
+        await database.query(`
+            ALTER TABLE funnel_steps
+            ADD COLUMN IF NOT EXISTS deadline_minutes INTEGER,
+            ADD COLUMN IF NOT EXISTS on_timeout VARCHAR(20),
+            ADD COLUMN IF NOT EXISTS accepted_types TEXT
+        `);
+        
+        await database.query(`
+            ALTER TABLE conversations ADD COLUMN IF NOT EXISTS funnel_id INTEGER
+        `);
+        
+        await database.query(`
+            ALTER TABLE conversations
+            ADD COLUMN IF NOT EXISTS locked_at TIMESTAMP,
+            ADD COLUMN IF NOT EXISTS step_retries INTEGER DEFAULT 0
+        `);
+        
+        await database.query(`
+            ALTER TABLE conversations ADD COLUMN IF NOT EXISTS followup_step INTEGER DEFAULT 0
+        `);
+        
+        // Funis travados detectados pelo watchdog
+        await database.query(`
+            CREATE TABLE IF NOT EXISTS funnel_incidents (
+                id SERIAL PRIMARY KEY,
+                phone VARCHAR(20) NOT NULL,
+                order_code VARCHAR(50),
+                step INTEGER,
+                event_type VARCHAR(50),
+                locked_at TIMESTAMP,
+                stuck_minutes INTEGER,
+                action VARCHAR(20) NOT NULL,
+                attempt INTEGER DEFAULT 0,
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+        
+        // Funil padrão com as 3 respostas originais
+        const defaultFunnel = await database.query(`
+            INSERT INTO funnels (product, origin, name)
+            VALUES ('*', '*', 'Padrão')
+            ON CONFLICT (product, origin) DO NOTHING
+            RETURNING id
+        `);
+        
+        if (defaultFunnel.rows.length > 0) {
+            for (const step of DEFAULT_FUNNEL_STEPS) {
+                await database.query(`
+                    INSERT INTO funnel_steps (funnel_id, step, name, event_type, completion)
+                    VALUES ($1, $2, $3, $4, $5)
+                `, [defaultFunnel.rows[0].id, step.step, step.name, step.event_type, step.completion]);
+            }
+        }
+        
+        // Registro de não contatar (opt-out)
+        await database.query(`
+            CREATE TABLE IF NOT EXISTS opt_outs (
+                phone VARCHAR(20) PRIMARY KEY,
+                source VARCHAR(20) NOT NULL,
+                keyword VARCHAR(100),
+                message TEXT,
+                order_code VARCHAR(50),
+                reason TEXT,
+                created_by VARCHAR(50),
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+        
+        // LIDs do WhatsApp já associados a um telefone
+        await database.query(`
+            CREATE TABLE IF NOT EXISTS lid_mappings (
+                lid VARCHAR(50) PRIMARY KEY,
+                phone VARCHAR(20) NOT NULL,
+                instance_name VARCHAR(20),
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+        
+        // Histórico de mensagens (entrada e saída)
+        await database.query(`
+            CREATE TABLE IF NOT EXISTS messages (
+                id SERIAL PRIMARY KEY,
+                phone VARCHAR(20) NOT NULL,
+                order_code VARCHAR(50),
+                instance_name VARCHAR(20),
+                direction VARCHAR(10) NOT NULL,
+                message_id VARCHAR(100),
+                message_type VARCHAR(20) NOT NULL,
+                text TEXT,
+                media JSONB,
+                source VARCHAR(20),
+                sent_at TIMESTAMP DEFAULT NOW(),
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+        
+        await database.query(`
+            CREATE INDEX IF NOT EXISTS idx_messages_phone ON messages(phone, sent_at)
+        `);
+        
+        await database.query(`
+            CREATE INDEX IF NOT EXISTS idx_messages_order ON messages(order_code, sent_at)
+        `);
+        
+        // Mensagem enviada pelo Cérebro volta no webhook da Evolution com o mesmo id
+        await database.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_provider_id ON messages(instance_name, message_id) WHERE message_id IS NOT NULL
+        `);
+        
+        // Log bruto de todos os webhooks recebidos (idempotência)
+        await database.query(`
+            CREATE TABLE IF NOT EXISTS inbound_events (
+                id SERIAL PRIMARY KEY,
+                source VARCHAR(20) NOT NULL,
+                dedupe_key VARCHAR(150),
+                event_type VARCHAR(50),
+                payload JSONB,
+                status VARCHAR(20) DEFAULT 'processing',
+                attempts INTEGER DEFAULT 1,
+                duplicate_count INTEGER DEFAULT 0,
+                last_error TEXT,
+                received_at TIMESTAMP DEFAULT NOW(),
+                processed_at TIMESTAMP,
+                last_duplicate_at TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+        
+        await database.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_inbound_events_dedupe ON inbound_events(source, dedupe_key) WHERE dedupe_key IS NOT NULL
+        `);
+        
+        await database.query(`
+            CREATE INDEX IF NOT EXISTS idx_inbound_events_received ON inbound_events(received_at)
+        `);
+        
+        // Captura para reprodução: headers/query sem segredos e chaves de busca
+        await database.query(`
+            ALTER TABLE inbound_events
+                ADD COLUMN IF NOT EXISTS path VARCHAR(100),
+                ADD COLUMN IF NOT EXISTS headers JSONB,
+                ADD COLUMN IF NOT EXISTS query JSONB,
+                ADD COLUMN IF NOT EXISTS phone VARCHAR(20),
+                ADD COLUMN IF NOT EXISTS order_code VARCHAR(50)
+        `);
+        
+        await database.query(`
+            CREATE INDEX IF NOT EXISTS idx_inbound_events_phone ON inbound_events(phone, received_at)
+        `);
+        
+        await database.query(`
+            CREATE INDEX IF NOT EXISTS idx_inbound_events_order ON inbound_events(order_code, received_at)
+        `);
+        
+        // Histórico de status dos pedidos vindos do gateway
+        await database.query(`
+            CREATE TABLE IF NOT EXISTS order_status_history (
+                id SERIAL PRIMARY KEY,
+                order_code VARCHAR(50) NOT NULL,
+                phone VARCHAR(20),
+                product VARCHAR(10),
+                gateway_status VARCHAR(30) NOT NULL,
+                previous_status VARCHAR(30),
+                conversation_status VARCHAR(20),
+                event_type VARCHAR(50),
+                amount DECIMAL(10,2),
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+        
+        await database.query(`
+            CREATE INDEX IF NOT EXISTS idx_order_status_history_order ON order_status_history(order_code, created_at)
+        `);
+        
+        await database.query(`
+            ALTER TABLE order_status_history ADD COLUMN IF NOT EXISTS gateway VARCHAR(20) DEFAULT 'perfectpay'
+        `);
+        
+        // Cronograma de follow-ups após o timeout PIX (minutos após o timeout)
+        await database.query(`
+            CREATE TABLE IF NOT EXISTS followup_steps (
+                id SERIAL PRIMARY KEY,
+                product VARCHAR(10) NOT NULL DEFAULT '*',
+                step INTEGER NOT NULL,
+                delay_minutes INTEGER NOT NULL,
+                event_type VARCHAR(50),
+                active BOOLEAN DEFAULT TRUE,
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW(),
+                UNIQUE(product, step)
+            )
+        `);
+        
+        // Cada follow-up agendado, enviado ou cancelado (relatórios)
+        await database.query(`
+            CREATE TABLE IF NOT EXISTS followups (
+                id SERIAL PRIMARY KEY,
+                order_code VARCHAR(50) NOT NULL,
+                phone VARCHAR(20) NOT NULL,
+                product VARCHAR(10),
+                step INTEGER NOT NULL,
+                event_type VARCHAR(50),
+                status VARCHAR(20) DEFAULT 'scheduled',
+                reason VARCHAR(50),
+                scheduled_for TIMESTAMP,
+                sent_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+        
+        await database.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_followups_order_step ON followups(order_code, step)
+        `);
+        
+        await database.query(`
+            CREATE INDEX IF NOT EXISTS idx_followups_scheduled ON followups(phone) WHERE status = 'scheduled'
+        `);
+        
+        // Fila de mensagens enviadas direto pela Evolution API
+        await database.query(`
+            CREATE TABLE IF NOT EXISTS outbound_messages (
+                id SERIAL PRIMARY KEY,
+                phone VARCHAR(20) NOT NULL,
+                instance_name VARCHAR(20) NOT NULL,
+                order_code VARCHAR(50),
+                step INTEGER,
+                message_type VARCHAR(20) NOT NULL,
+                content JSONB NOT NULL,
+                status VARCHAR(20) DEFAULT 'queued',
+                attempts INTEGER DEFAULT 0,
+                provider_message_id VARCHAR(100),
+                last_error TEXT,
+                scheduled_at TIMESTAMP DEFAULT NOW(),
+                sent_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+        
+        await database.query(`
+            CREATE INDEX IF NOT EXISTS idx_outbound_messages_due ON outbound_messages(status, scheduled_at)
+        `);
+        
+        // Conteúdo das etapas de funil enviadas sem N8N
+        await database.query(`
+            CREATE TABLE IF NOT EXISTS step_messages (
+                id SERIAL PRIMARY KEY,
+                product VARCHAR(10) NOT NULL,
+                origin VARCHAR(20) NOT NULL DEFAULT '*',
+                step INTEGER NOT NULL,
+                position INTEGER NOT NULL DEFAULT 1,
+                message_type VARCHAR(20) NOT NULL,
+                content JSONB NOT NULL,
+                delay_ms INTEGER DEFAULT 0,
+                active BOOLEAN DEFAULT TRUE,
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+        
         console.log('✅ Tabelas verificadas/criadas');
         
     } catch (error) {
@@ -169,60 +737,166 @@ function getFirstName(fullName) {
     return fullName ? fullName.split(' ')[0].trim() : 'Cliente';
 }
 
-// Obter produto pelo código do plano
+// Obter produto pelo código do plano (somente planos ativos do catálogo)
 function getProductByPlanCode(planCode) {
-    return PRODUCT_MAPPING[planCode] || 'UNKNOWN';
+    if (productCatalog.size === 0) {
+        return PRODUCT_MAPPING[planCode] || 'UNKNOWN';
+    }
+    
+    const entry = productCatalog.get(planCode);
+    return entry && entry.active ? entry.product_key : 'UNKNOWN';
+}
+
+// Timeout PIX do produto (ms) - usa o padrão se o produto não definir
+function getPixTimeout(productKey) {
+    for (const entry of productCatalog.values()) {
+        if (entry.product_key === productKey && entry.active && entry.pix_timeout_minutes) {
+            return entry.pix_timeout_minutes * 60000;
+        }
+    }
+    return CONFIG.PIX_TIMEOUT;
 }
 
 // ============================================
 // SISTEMA DE NORMALIZAÇÃO DE TELEFONE
 // ============================================
 
+// País padrão quando o número chega sem código (compradores brasileiros)
+const DEFAULT_CALLING_CODE = '55';
+
 /**
- * Normaliza o número de telefone para formato padrão
- * Sempre retorna: 5511999999999 (13 dígitos)
+ * Regras por código de país: tamanhos válidos do número nacional (sem o código),
+ * validação extra e ajuste opcional (ex.: nono dígito no Brasil)
  */
-function normalizePhoneNumber(phone) {
-    if (!phone) return '';
-    
-    let cleaned = String(phone).trim().replace(/\D/g, '');
-    
-    // Caso 1: Já tem 13 dígitos com 55
-    if (cleaned.length === 13 && cleaned.startsWith('55')) {
-        return cleaned;
-    }
+const COUNTRY_PHONE_RULES = {
+    '55': {
+        country: 'BR',
+        lengths: [10, 11],
+        // Celular antigo com 8 dígitos (começa com 6-9) ganha o 9 na frente
+        adjust: national => national.length === 10 && ['6', '7', '8', '9'].includes(national[2]) ?
+            national.substring(0, 2) + '9' + national.substring(2) : national,
+        // DDD sem zero; 11 dígitos só para celular (9XXXX-XXXX), 10 para fixo (2-5)
+        validate: national => /^[1-9]{2}/.test(national) &&
+            (national.length === 11 ? national[2] === '9' : ['2', '3', '4', '5'].includes(national[2]))
+    },
+    '1': { country: 'US', lengths: [10], validate: national => /^[2-9]\d{2}[2-9]/.test(national) },
+    '351': { country: 'PT', lengths: [9], validate: national => /^[29]/.test(national) },
+    '34': { country: 'ES', lengths: [9], validate: national => /^[6-9]/.test(national) },
+    '33': { country: 'FR', lengths: [9] },
+    '39': { country: 'IT', lengths: [9, 10, 11] },
+    '44': { country: 'GB', lengths: [10] },
+    '49': { country: 'DE', lengths: [10, 11] },
+    '41': { country: 'CH', lengths: [9] },
+    '353': { country: 'IE', lengths: [9] },
+    '54': { country: 'AR', lengths: [10, 11] },
+    '56': { country: 'CL', lengths: [9] },
+    '57': { country: 'CO', lengths: [10] },
+    '52': { country: 'MX', lengths: [10], adjust: national => national.length === 11 && national[0] === '1' ? national.substring(1) : national },
+    '51': { country: 'PE', lengths: [9] },
+    '591': { country: 'BO', lengths: [8] },
+    '595': { country: 'PY', lengths: [9] },
+    '598': { country: 'UY', lengths: [8] },
+    '244': { country: 'AO', lengths: [9] },
+    '258': { country: 'MZ', lengths: [9] },
+    '61': { country: 'AU', lengths: [9] },
+    '81': { country: 'JP', lengths: [10] }
+};
+
+// Códigos mais longos primeiro: "351" antes de "35"
+const CALLING_CODES = Object.keys(COUNTRY_PHONE_RULES).sort((a, b) => b.length - a.length);
+
+/**
+ * Valida o número nacional pela regra do país
+ */
+function applyCountryRule(callingCode, national) {
+    const rule = COUNTRY_PHONE_RULES[callingCode];
+    const adjusted = rule.adjust ? rule.adjust(national) : national;
     
-    // Caso 2: 12 dígitos (55 + DDD + 8 dígitos) - adicionar 9
-    if (cleaned.length === 12 && cleaned.startsWith('55')) {
-        const ddd = cleaned.substring(2, 4);
-        const numero = cleaned.substring(4);
-        
-        // Se é celular (começa com 6,7,8,9), adicionar 9
-        if (['6', '7', '8', '9'].includes(numero[0])) {
-            return '55' + ddd + '9' + numero;
-        }
-        return cleaned;
+    if (!rule.lengths.includes(adjusted.length)) {
+        return { valid: false, reason: `tamanho inválido para ${rule.country}`, country: rule.country, callingCode };
     }
-    
-    // Caso 3: 11 dígitos (DDD + número com 9)
-    if (cleaned.length === 11) {
-        return '55' + cleaned;
+    if (rule.validate && !rule.validate(adjusted)) {
+        return { valid: false, reason: `formato inválido para ${rule.country}`, country: rule.country, callingCode };
     }
     
-    // Caso 4: 10 dígitos (DDD + número sem 9)
-    if (cleaned.length === 10) {
-        const ddd = cleaned.substring(0, 2);
-        const numero = cleaned.substring(2);
-        
-        // Se é celular, adicionar 9
-        if (['6', '7', '8', '9'].includes(numero[0])) {
-            return '55' + ddd + '9' + numero;
+    return { valid: true, e164: callingCode + adjusted, country: rule.country, callingCode, national: adjusted };
+}
+
+/**
+ * Interpreta um telefone em qualquer formato e devolve o E.164 (só dígitos, sem +)
+ * `callingCode` força o país (ex.: phone_extension do Perfect Pay); sem ele e sem
+ * "+"/"00" o número só é aceito pela regra do país padrão
+ * Retorna { valid, e164, country, callingCode, national, reason }
+ */
+function parsePhoneNumber(phone, callingCode = null) {
+    const raw = String(phone || '').trim();
+    let digits = raw.replace(/\D/g, '');
+    
+    if (!digits) {
+        return { valid: false, reason: 'telefone vazio', input: raw };
+    }
+    
+    // "+" ou "00" indicam que o código do país já está no número
+    const explicitInternational = raw.startsWith('+') || digits.startsWith('00');
+    if (digits.startsWith('00')) digits = digits.substring(2);
+    
+    if (callingCode && !explicitInternational) {
+        if (!COUNTRY_PHONE_RULES[callingCode]) {
+            // País sem regra: junta o código e cai na validação genérica
+            digits = digits.startsWith(callingCode) ? digits : callingCode + digits;
+        } else {
+            const national = digits.startsWith(callingCode) && !applyCountryRule(callingCode, digits).valid ?
+                digits.substring(callingCode.length) : digits;
+            return { ...applyCountryRule(callingCode, national), input: raw };
         }
-        return '55' + cleaned;
+    } else if (!explicitInternational) {
+        // Número nacional do país padrão (com ou sem o código)
+        if (digits.startsWith(DEFAULT_CALLING_CODE)) {
+            const withCode = applyCountryRule(DEFAULT_CALLING_CODE, digits.substring(DEFAULT_CALLING_CODE.length));
+            if (withCode.valid) return { ...withCode, input: raw };
+        }
+        
+        const national = applyCountryRule(DEFAULT_CALLING_CODE, digits);
+        if (national.valid) return { ...national, input: raw };
+        
+        // Sem "+"/"00" e sem código do país informado: o número é do país padrão ou é inválido
+        return { valid: false, reason: `${national.reason} (sem código do país, validado como +${DEFAULT_CALLING_CODE})`, input: raw };
+    }
+    
+    const knownCode = CALLING_CODES.find(code => digits.startsWith(code));
+    if (knownCode) {
+        return { ...applyCountryRule(knownCode, digits.substring(knownCode.length)), input: raw };
+    }
+    
+    // País sem regra cadastrada: só o limite do E.164
+    if (digits.length >= 8 && digits.length <= 15) {
+        return { valid: true, e164: digits, country: null, callingCode: null, national: null, input: raw };
+    }
+    
+    return { valid: false, reason: 'número fora do padrão E.164', input: raw };
+}
+
+/**
+ * Normaliza o número de telefone para E.164 sem o "+"
+ * Brasil: sempre 55 + DDD + número (13 dígitos para celular)
+ */
+function normalizePhoneNumber(phone) {
+    if (!phone) return '';
+    
+    const parsed = parsePhoneNumber(phone);
+    if (parsed.valid) {
+        return parsed.e164;
+    }
+    
+    // Chave já gravada em E.164 sem o "+" (ex.: cliente estrangeiro)
+    const international = parsePhoneNumber(`+${String(phone).trim().replace(/^\+/, '')}`);
+    if (international.valid) {
+        return international.e164;
     }
     
-    // Caso 5: Número com código do país diferente ou formato inválido
-    console.warn(`⚠️ Formato de telefone não reconhecido: ${phone} → ${cleaned}`);
+    // Mantém os dígitos para não perder a chave, mas avisa
+    const cleaned = String(phone).trim().replace(/\D/g, '');
+    console.warn(`⚠️ Formato de telefone não reconhecido: ${phone} → ${cleaned} (${parsed.reason})`);
     return cleaned;
 }
 
@@ -236,29 +910,394 @@ function getConversationKey(phone) {
     return normalized;
 }
 
+/**
+ * Interpreta o telefone do Perfect Pay usando phone_extension como código do país
+ * Retorna o resultado de parsePhoneNumber
+ */
+function parsePerfectPayPhone(extension, areaCode, number) {
+    const callingCode = String(extension || DEFAULT_CALLING_CODE).replace(/\D/g, '') || DEFAULT_CALLING_CODE;
+    return parsePhoneNumber(String(areaCode || '') + String(number || ''), callingCode);
+}
+
+/**
+ * Telefone dos demais gateways: o país do comprador (ISO, quando o gateway manda)
+ * define o código; sem ele, número que não passa como brasileiro é tentado como E.164
+ * Retorna o resultado de parsePhoneNumber
+ */
+function parseGatewayPhone(phone, countryIso = null) {
+    const iso = String(countryIso || '').trim().toUpperCase();
+    const callingCode = iso && CALLING_CODES.find(code => COUNTRY_PHONE_RULES[code].country === iso);
+    if (callingCode) {
+        return parsePhoneNumber(phone, callingCode);
+    }
+    
+    const parsed = parsePhoneNumber(phone);
+    if (parsed.valid || !parsed.input || /^(\+|00)/.test(parsed.input)) {
+        return parsed;
+    }
+    
+    // Mesmo retry de normalizePhoneNumber: "447911123456" vindo sem o "+"
+    const international = parsePhoneNumber(`+${parsed.input}`);
+    return international.valid ? { ...international, input: parsed.input } : parsed;
+}
+
 /**
  * Formata telefone do Perfect Pay
  */
 function formatPhoneFromPerfectPay(extension, areaCode, number) {
-    const full = (extension || '55') + (areaCode || '') + (number || '');
-    return normalizePhoneNumber(full);
+    const parsed = parsePerfectPayPhone(extension, areaCode, number);
+    return parsed.valid ? parsed.e164 : normalizePhoneNumber(String(extension || DEFAULT_CALLING_CODE) + (areaCode || '') + (number || ''));
+}
+
+// ============================================
+// IDENTIFICADORES DO WHATSAPP (JID)
+// ============================================
+
+// Servidor do JID → tipo de remetente
+const JID_SERVERS = {
+    's.whatsapp.net': 'user',
+    'c.us': 'user',
+    'g.us': 'group',
+    'broadcast': 'broadcast',
+    'lid': 'lid',
+    'newsletter': 'newsletter'
+};
+
+/**
+ * Separa um JID em tipo, usuário e dispositivo
+ * "5511999999999:12@s.whatsapp.net" → { type: 'user', user: '5511999999999', device: '12' }
+ */
+function parseJid(jid) {
+    const value = String(jid || '').trim();
+    const at = value.lastIndexOf('@');
+    
+    if (at <= 0) {
+        return { type: 'unknown', user: value, device: null, server: null, jid: value };
+    }
+    
+    const server = value.substring(at + 1);
+    const [user, device = null] = value.substring(0, at).split(':');
+    
+    // status@broadcast é o "status" do WhatsApp, não uma lista de transmissão
+    const type = server === 'broadcast' && user === 'status' ? 'status' : (JID_SERVERS[server] || 'unknown');
+    
+    return { type, user, device, server, jid: value };
+}
+
+async function loadLidMappings() {
+    try {
+        const result = await database.query('SELECT lid, phone FROM lid_mappings');
+        lidMappings = replayScoped('lidMappings', new Map(result.rows.map(r => [r.lid, r.phone])));
+        console.log(`🆔 Mapeamentos LID carregados: ${lidMappings.size}`);
+    } catch (error) {
+        console.error(`❌ Erro ao carregar mapeamentos LID: ${error.message}`);
+    }
+}
+
+async function saveLidMapping(lid, phone, instanceName) {
+    if (lidMappings.get(lid) === phone) return;
+    
+    lidMappings.set(lid, phone);
+    try {
+        await database.query(`
+            INSERT INTO lid_mappings (lid, phone, instance_name)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (lid) DO UPDATE SET phone = $2, instance_name = $3, updated_at = NOW()
+        `, [lid, phone, instanceName || null]);
+        console.log(`🆔 LID ${lid} associado a ${phone}`);
+    } catch (dbError) {
+        console.warn(`⚠️ Erro ao salvar mapeamento LID: ${dbError.message}`);
+    }
+}
+
+/**
+ * Descobre o telefone do remetente de uma mensagem da Evolution
+ * LIDs são resolvidos pelo próprio payload (senderPn/remoteJidAlt) ou pela tabela
+ * Retorna { phone, jid } ou { skip: motivo }
+ */
+async function resolveMessageSender(messageData, instanceName) {
+    const key = messageData.key || {};
+    const jid = parseJid(key.remoteJid);
+    
+    // Alguns proxies mandam só o número, sem servidor (JID é sempre internacional: vai com "+")
+    if (jid.type === 'user' || (jid.type === 'unknown' && /^\d{8,15}$/.test(jid.user))) {
+        return { phone: `+${jid.user}`, jid };
+    }
+    
+    if (jid.type !== 'lid') {
+        return { skip: jid.type, jid };
+    }
+    
+    const alternatives = [key.senderPn, key.remoteJidAlt, key.participantPn, messageData.senderPn]
+        .filter(Boolean)
+        .map(parseJid)
+        .filter(alt => alt.type === 'user' || (alt.type === 'unknown' && /^\d{8,15}$/.test(alt.user)));
+    
+    if (alternatives.length > 0) {
+        const phone = `+${alternatives[0].user}`;
+        await saveLidMapping(jid.user, getConversationKey(phone), instanceName);
+        return { phone, jid };
+    }
+    
+    const mapped = lidMappings.get(jid.user);
+    if (mapped) {
+        return { phone: `+${mapped}`, jid };
+    }
+    
+    return { skip: 'lid_unresolved', jid };
+}
+
+// ============================================
+// CONVERSAS (VÁRIOS PEDIDOS POR TELEFONE)
+// ============================================
+
+// Pedidos encerrados pelo gateway - o funil não anda mais
+const STOPPED_FUNNEL_STATUSES = ['opt_out', 'recusado', 'cancelado', 'reembolsado', 'chargeback', 'expirado', 'erro_checkout'];
+
+// Conversas cujo funil já terminou ou não deve mais andar
+const CLOSED_CONVERSATION_STATUSES = ['completed', 'timeout', 'substituido', ...STOPPED_FUNNEL_STATUSES];
+
+// Pedido pago - encerra recuperação e conta como conversão
+const PAID_CONVERSATION_STATUSES = ['approved', 'completed', 'convertido'];
+
+/**
+ * Todas as conversas de um telefone, da atividade mais recente para a mais antiga
+ */
+function getPhoneConversations(phone) {
+    const conversationKey = getConversationKey(phone);
+    
+    return Array.from(conversations.values())
+        .filter(conv => conv.phone === conversationKey)
+        .sort((a, b) => b.lastActivity - a.lastActivity || b.createdAt - a.createdAt);
+}
+
+function isConversationOpen(conversation) {
+    return !CLOSED_CONVERSATION_STATUSES.includes(conversation.status) &&
+        conversation.responseCount < getTotalSteps(conversation);
+}
+
+/**
+ * Regra de roteamento de respostas quando o telefone tem vários pedidos:
+ * 1. o pedido com funil em execução (a resposta será ignorada até liberar)
+ * 2. o pedido aberto com atividade mais recente
+ * 3. o pedido mais recente, mesmo encerrado
+ */
+function getConversationForReply(phone) {
+    const phoneConversations = getPhoneConversations(phone);
+    
+    return phoneConversations.find(conv => conv.funilInProgress || conv.waitingConfirmation) ||
+        phoneConversations.find(isConversationOpen) ||
+        phoneConversations[0] ||
+        null;
 }
 
 // ============================================
 // SISTEMA DE INSTÂNCIAS (STICKY SESSION)
 // ============================================
 
-async function getInstanceForClient(clientPhone) {
+/**
+ * Recarrega o cache do registro de instâncias a partir do banco
+ */
+async function loadInstanceRegistry() {
+    try {
+        const result = await database.query('SELECT * FROM instances ORDER BY name');
+        
+        const registry = new Map();
+        result.rows.forEach(row => registry.set(row.name, row));
+        instanceRegistry = replayScoped('instanceRegistry', registry);
+        
+        const active = result.rows.filter(row => row.status === 'active').length;
+        console.log(`📱 Instâncias carregadas: ${active}/${instanceRegistry.size} ativas`);
+    } catch (error) {
+        console.error(`❌ Erro ao carregar instâncias: ${error.message}`);
+    }
+}
+
+/**
+ * Instâncias que podem receber clientes agora
+ */
+function getRoutableInstances() {
+    return Array.from(instanceRegistry.values())
+        .filter(instance => instance.status === 'active')
+        .map(instance => instance.name);
+}
+
+/**
+ * Instâncias ativas e conectadas - as únicas que recebem clientes novos
+ * Se nenhuma estiver saudável, usa as ativas para não parar as vendas
+ */
+function getHealthyInstances() {
+    const routable = getRoutableInstances();
+    const healthy = routable.filter(name => instanceRegistry.get(name)?.healthy !== false);
+    
+    if (healthy.length === 0 && routable.length > 0) {
+        console.warn('⚠️ Nenhuma instância saudável - usando todas as ativas');
+        return routable;
+    }
+    
+    return healthy;
+}
+
+function isInstanceHealthy(instanceName) {
+    return getHealthyInstances().includes(instanceName);
+}
+
+// ============================================
+// BALANCEAMENTO DE INSTÂNCIAS
+// ============================================
+
+/**
+ * Estratégias de balanceamento - recebem as instâncias elegíveis com carga
+ * e retornam o nome escolhido (ou null se nenhuma puder receber)
+ */
+const BALANCING_STRATEGIES = {
+    // Rodízio persistido: a instância que recebeu cliente há mais tempo
+    round_robin: (candidates) => {
+        return candidates.slice().sort(compareLastAssigned)[0]?.name || null;
+    },
+    
+    // Proporcional ao peso: menor (atribuições de hoje / peso)
+    weighted: (candidates) => {
+        return candidates.slice().sort((a, b) => {
+            const diff = a.assigned_today / Math.max(a.weight, 1) - b.assigned_today / Math.max(b.weight, 1);
+            return diff !== 0 ? diff : compareLastAssigned(a, b);
+        })[0]?.name || null;
+    },
+    
+    // Menos conversas ativas em memória
+    least_active: (candidates) => {
+        return candidates.slice().sort((a, b) => {
+            const diff = a.active_conversations - b.active_conversations;
+            return diff !== 0 ? diff : compareLastAssigned(a, b);
+        })[0]?.name || null;
+    },
+    
+    // Rodízio entre as instâncias que ainda não bateram o limite diário
+    daily_cap: (candidates) => {
+        const available = candidates.filter(c => !c.daily_cap || c.assigned_today < c.daily_cap);
+        return BALANCING_STRATEGIES.round_robin(available);
+    }
+};
+
+function compareLastAssigned(a, b) {
+    const timeA = a.last_assigned_at ? new Date(a.last_assigned_at).getTime() : 0;
+    const timeB = b.last_assigned_at ? new Date(b.last_assigned_at).getTime() : 0;
+    return timeA !== timeB ? timeA - timeB : a.name.localeCompare(b.name);
+}
+
+/**
+ * Estratégia configurada para o produto (ou a padrão)
+ */
+function getBalancingStrategy(productKey) {
+    for (const entry of productCatalog.values()) {
+        if (entry.product_key === productKey && entry.active && entry.balancing_strategy) {
+            return entry.balancing_strategy;
+        }
+    }
+    return CONFIG.BALANCING_STRATEGY;
+}
+
+/**
+ * Carga atual de cada instância registrada
+ */
+async function getInstanceLoad() {
+    const load = {};
+    instanceRegistry.forEach((registered, name) => {
+        load[name] = {
+            name: name,
+            status: registered.status || 'active',
+            healthy: registered.healthy !== false,
+            connection_state: registered.connection_state || null,
+            weight: registered.weight || 1,
+            daily_cap: registered.daily_cap || null,
+            last_assigned_at: registered.last_assigned_at || null,
+            active_conversations: 0,
+            assigned_today: 0
+        };
+    });
+    
+    for (const conv of conversations.values()) {
+        if (load[conv.instance] && conv.status !== 'completed' && conv.status !== 'timeout') {
+            load[conv.instance].active_conversations++;
+        }
+    }
+    
+    try {
+        const startOfDay = moment().tz(CONFIG.TIMEZONE).startOf('day').toDate();
+        const result = await database.query(`
+            SELECT instance_name, COUNT(*) as total
+            FROM conversations
+            WHERE created_at >= $1
+            GROUP BY instance_name
+        `, [startOfDay]);
+        
+        result.rows.forEach(row => {
+            if (load[row.instance_name]) {
+                load[row.instance_name].assigned_today = parseInt(row.total);
+            }
+        });
+    } catch (dbError) {
+        console.warn(`⚠️ Erro ao calcular atribuições do dia: ${dbError.message}`);
+    }
+    
+    return load;
+}
+
+/**
+ * Escolhe uma instância para um cliente novo conforme a estratégia do produto
+ * excludeInstance: chip de origem numa migração (nunca volta para ele)
+ */
+async function assignNewInstance(productKey, excludeInstance = null) {
+    const routable = getHealthyInstances().filter(name => name !== excludeInstance);
+    
+    if (routable.length === 0) {
+        throw new Error('Nenhuma instância ativa disponível');
+    }
+    
+    const strategyName = getBalancingStrategy(productKey);
+    const strategy = BALANCING_STRATEGIES[strategyName] || BALANCING_STRATEGIES.round_robin;
+    
+    const load = await getInstanceLoad();
+    const candidates = routable.map(name => load[name]).filter(Boolean);
+    
+    let instance = strategy(candidates);
+    
+    if (!instance) {
+        // Todas no limite diário: não deixa o cliente sem atendimento
+        instance = BALANCING_STRATEGIES.least_active(candidates);
+        console.warn(`⚠️ Todas as instâncias atingiram o limite diário - usando ${instance}`);
+        await sendAlert('limite_diario_instancias', { produto: productKey, estrategia: strategyName, instancia: instance });
+    }
+    
+    console.log(`⚖️ Estratégia ${strategyName} escolheu ${instance} para ${productKey || 'produto não informado'}`);
+    
+    // Persistir a atribuição (rodízio sobrevive a restarts)
+    const registered = instanceRegistry.get(instance);
+    if (registered) {
+        registered.last_assigned_at = new Date();
+    }
+    try {
+        await database.query('UPDATE instances SET last_assigned_at = NOW() WHERE name = $1', [instance]);
+    } catch (dbError) {
+        console.warn(`⚠️ Erro ao registrar atribuição: ${dbError.message}`);
+    }
+    
+    return instance;
+}
+
+async function getInstanceForClient(clientPhone, productKey) {
     try {
         const normalizedPhone = normalizePhoneNumber(clientPhone);
         console.log(`🔍 Buscando instância para: ${normalizedPhone}`);
         
         // Verificar cache em memória primeiro
-        const conversationKey = getConversationKey(clientPhone);
-        const cachedConv = conversations.get(conversationKey);
+        const cachedConv = getPhoneConversations(clientPhone)[0];
         if (cachedConv && cachedConv.instance) {
-            console.log(`💾 Cache: Cliente usa instância ${cachedConv.instance}`);
-            return cachedConv.instance;
+            if (isInstanceHealthy(cachedConv.instance)) {
+                console.log(`💾 Cache: Cliente usa instância ${cachedConv.instance}`);
+                return cachedConv.instance;
+            }
+            console.warn(`⚠️ Instância ${cachedConv.instance} do cliente está inativa ou desconectada - reatribuindo`);
         }
         
         // Verificar no banco
@@ -270,92 +1309,318 @@ async function getInstanceForClient(clientPhone) {
             
             if (result.rows.length > 0) {
                 const instance = result.rows[0].instance_name;
-                console.log(`💾 Banco: Cliente usa instância ${instance}`);
-                return instance;
+                if (isInstanceHealthy(instance)) {
+                    console.log(`💾 Banco: Cliente usa instância ${instance}`);
+                    return instance;
+                }
+                console.warn(`⚠️ Instância ${instance} do cliente está inativa ou desconectada - reatribuindo`);
             }
         } catch (dbError) {
             console.warn(`⚠️ Erro ao buscar instância no banco: ${dbError.message}`);
         }
         
-        // Atribuir nova instância (round-robin)
-        const activeInstances = INSTANCES.filter(i => i.active);
-        const instance = activeInstances[instanceCounter % activeInstances.length];
-        instanceCounter++;
+        // Atribuir nova instância
+        const instance = await assignNewInstance(productKey);
         
-        console.log(`⚖️ Nova instância atribuída: ${instance.name}`);
-        return instance.name;
+        console.log(`⚖️ Nova instância atribuída: ${instance}`);
+        return instance;
         
     } catch (error) {
+        // Sem instância disponível: a conversa fica sem chip até o cliente escrever para algum
         console.error(`❌ Erro ao obter instância: ${error.message}`);
-        return 'GABY01'; // Fallback
+        await sendAlert('sem_instancia_disponivel', {
+            produto: productKey,
+            telefone: normalizePhoneNumber(clientPhone),
+            erro: error.message
+        });
+        return null;
+    }
+}
+
+/**
+ * Existe outra instância ativa para receber os clientes de uma migração?
+ */
+function hasMigrationTarget(fromInstance) {
+    return getHealthyInstances().some(name => name !== fromInstance);
+}
+
+/**
+ * Move os clientes com conversa em aberto numa instância para instâncias ativas
+ * (clientes só com conversas encerradas são reatribuídos no próximo pedido)
+ * Cada cliente migrado gera um evento instancia_migrada para o N8N
+ */
+async function migrateInstanceClients(fromInstance, reason) {
+    console.log(`🔀 Migrando clientes da instância ${fromInstance} (${reason})`);
+    
+    // Clientes com conversa em aberto na instância (a mais recente de cada telefone)
+    const result = await database.query(`
+        SELECT DISTINCT ON (phone) phone, order_code, product, client_name
+        FROM conversations
+        WHERE instance_name = $1 AND status <> ALL($2)
+        ORDER BY phone, created_at DESC
+    `, [fromInstance, CLOSED_CONVERSATION_STATUSES]);
+    
+    const clients = new Map();
+    result.rows.forEach(row => clients.set(row.phone, {
+        phone: row.phone,
+        orderCode: row.order_code,
+        product: row.product,
+        clientName: row.client_name
+    }));
+    
+    // Conversas em memória também contam (podem não ter sido gravadas)
+    for (const conv of conversations.values()) {
+        if (conv.instance === fromInstance && !CLOSED_CONVERSATION_STATUSES.includes(conv.status) && !clients.has(conv.phone)) {
+            clients.set(conv.phone, conv);
+        }
+    }
+    
+    // Falha antes de mover qualquer cliente - nada fica pela metade
+    if (clients.size > 0 && !hasMigrationTarget(fromInstance)) {
+        throw new Error(`Nenhuma outra instância ativa para receber os clientes de ${fromInstance}`);
+    }
+    
+    const migrated = [];
+    
+    for (const client of clients.values()) {
+        const toInstance = await assignNewInstance(client.product, fromInstance);
+        
+        // Só conversas em aberto mudam de chip - as encerradas guardam quem atendeu
+        await database.query(`
+            UPDATE conversations SET instance_name = $1, updated_at = NOW()
+            WHERE phone = $2 AND instance_name = $3 AND status <> ALL($4)
+        `, [toInstance, client.phone, fromInstance, CLOSED_CONVERSATION_STATUSES]);
+        
+        for (const cachedConv of getPhoneConversations(client.phone)) {
+            if (cachedConv.instance === fromInstance && !CLOSED_CONVERSATION_STATUSES.includes(cachedConv.status)) {
+                cachedConv.instance = toInstance;
+            }
+        }
+        
+        await sendToN8N({
+            event_type: 'instancia_migrada',
+            produto: client.product,
+            instancia: toInstance,
+            instancia_anterior: fromInstance,
+            motivo: reason,
+            cliente: {
+                telefone: client.phone,
+                nome: getFirstName(client.clientName),
+                nome_completo: client.clientName
+            },
+            pedido: {
+                codigo: client.orderCode
+            },
+            timestamp: new Date().toISOString(),
+            brazil_time: getBrazilTime()
+        }, 'instancia_migrada');
+        
+        migrated.push({ phone: client.phone, from: fromInstance, to: toInstance });
     }
+    
+    console.log(`✅ ${migrated.length} clientes migrados de ${fromInstance}`);
+    return migrated;
 }
 
 // ============================================
-// SISTEMA DE CONTATOS
+// MONITORAMENTO DE SAÚDE DAS INSTÂNCIAS (EVOLUTION API)
 // ============================================
 
+// Estados de passagem (reconexão normal): registrados sem mudar a saúde nem alertar
+const TRANSIENT_CONNECTION_STATES = ['connecting'];
+
 /**
- * Verifica se deve salvar o contato baseado na mensagem
+ * Registra o estado de conexão de uma instância
+ * Mudança saudável ↔ não saudável gera histórico e um único alerta:
+ * alert ({ type, details }) substitui o instancia_desconectada genérico e também
+ * sai quando o estado muda com a instância já fora do ar
  */
-function shouldSaveContact(messageContent) {
-    if (!messageContent) return false;
+async function updateInstanceHealth(instanceName, state, healthy, source, details = null, alert = null) {
+    const registered = instanceRegistry.get(instanceName);
+    if (!registered) {
+        console.warn(`⚠️ Estado recebido para instância não registrada: ${instanceName}`);
+        return { registered: false, stateChanged: false };
+    }
     
-    // Palavras que indicam desinteresse
-    const stopKeywords = [
-        'pare', 'parar', 'sair', 'cancelar', 'remover', 
-        'não quero', 'não tenho interesse', 'remove', 'stop'
-    ];
+    const wasHealthy = registered.healthy !== false;
+    const stateChanged = registered.connection_state !== state;
     
-    const messageClean = messageContent.toLowerCase().trim();
+    if (TRANSIENT_CONNECTION_STATES.includes(state)) {
+        healthy = wasHealthy;
+    }
     
-    // Verificar palavras de parada
-    const wantsToStop = stopKeywords.some(keyword => 
-        messageClean.includes(keyword)
-    );
+    registered.connection_state = state;
+    registered.healthy = healthy;
+    registered.last_health_check_at = new Date();
     
-    if (wantsToStop) {
-        console.log(`🚫 Cliente não quer contato: "${messageContent.substring(0, 50)}..."`);
-        return false;
+    try {
+        await database.query(`
+            UPDATE instances SET
+                connection_state = $2,
+                healthy = $3,
+                last_health_check_at = NOW(),
+                health_changed_at = CASE WHEN healthy IS DISTINCT FROM $3 THEN NOW() ELSE health_changed_at END
+            WHERE name = $1
+        `, [instanceName, state, healthy]);
+        
+        if (stateChanged) {
+            await database.query(`
+                INSERT INTO instance_status_history (instance_name, state, healthy, source, details)
+                VALUES ($1, $2, $3, $4, $5)
+            `, [instanceName, state, healthy, source, details]);
+        }
+    } catch (dbError) {
+        console.warn(`⚠️ Erro ao salvar estado da instância ${instanceName}: ${dbError.message}`);
     }
     
-    // Mensagem muito curta
-    if (messageContent.trim().length < 2) {
-        console.log(`📵 Mensagem muito curta para salvar contato`);
-        return false;
+    if (wasHealthy && !healthy) {
+        console.error(`🔴 Instância ${instanceName} caiu: ${state}${details ? ` (${details})` : ''}`);
+        await sendAlert(alert ? alert.type : 'instancia_desconectada', alert ? alert.details : {
+            instancia: instanceName,
+            estado: state,
+            origem: source,
+            detalhes: details
+        });
+    } else if (!healthy && stateChanged && alert) {
+        await sendAlert(alert.type, alert.details);
+    } else if (!wasHealthy && healthy) {
+        console.log(`🟢 Instância ${instanceName} reconectada`);
+        await sendAlert('instancia_reconectada', {
+            instancia: instanceName,
+            estado: state,
+            origem: source
+        });
     }
     
-    return true;
+    return { registered: true, stateChanged };
 }
 
 /**
- * Salva contato automaticamente após primeira resposta
+ * Consulta o estado de conexão de uma instância na Evolution API
  */
-async function saveContactAutomatically(phone, instanceName, conversationData) {
+async function checkInstanceHealth(instanceName) {
     try {
-        const normalizedPhone = normalizePhoneNumber(phone);
-        const today = getBrazilTime('DD/MM');
+        const response = await axios.get(
+            `${CONFIG.EVOLUTION_API_URL}/instance/connectionState/${encodeURIComponent(instanceName)}`,
+            {
+                headers: { apikey: CONFIG.EVOLUTION_API_KEY || '' },
+                timeout: 10000
+            }
+        );
         
-        console.log(`📇 Salvando contato: ${normalizedPhone} | ${today} | ${instanceName}`);
+        const state = response.data?.instance?.state || response.data?.state;
+        if (!state) {
+            console.warn(`⚠️ Health check de ${instanceName} sem estado na resposta`);
+            return;
+        }
         
-        // Verificar se já existe para hoje
-        const existing = await database.query(
-            'SELECT id FROM contacts WHERE phone = $1 AND name = $2',
-            [normalizedPhone, today]
-        );
+        await updateInstanceHealth(instanceName, state, state === 'open', 'health_check');
         
-        if (existing.rows.length > 0) {
-            console.log(`📇 Contato já existe para hoje: ${normalizedPhone}`);
-            return { success: true, action: 'exists' };
+    } catch (error) {
+        // 404: a instância não existe mais na Evolution - conta como queda
+        if (error.response && error.response.status === 404) {
+            await updateInstanceHealth(instanceName, 'not_found', false, 'health_check', 'HTTP 404');
+            return;
         }
         
-        // Salvar novo contato
-        const result = await database.query(`
-            INSERT INTO contacts (phone, name, instance, product, conversation_id) 
-            VALUES ($1, $2, $3, $4, $5)
-            RETURNING id
-        `, [
-            normalizedPhone, 
+        // Falha da própria Evolution API não derruba a instância
+        const errorMsg = error.response ? `HTTP ${error.response.status}` : error.message;
+        console.warn(`⚠️ Health check de ${instanceName} sem resposta: ${errorMsg}`);
+    }
+}
+
+/**
+ * Verifica todas as instâncias não aposentadas
+ */
+async function checkAllInstancesHealth() {
+    // Uma rodada lenta (timeout de 10s por instância) não se sobrepõe à próxima
+    if (instanceHealthChecking) return;
+    instanceHealthChecking = true;
+    
+    try {
+        const names = Array.from(instanceRegistry.values())
+            .filter(instance => instance.status !== 'retired')
+            .map(instance => instance.name);
+        
+        for (const name of names) {
+            await checkInstanceHealth(name);
+        }
+    } catch (error) {
+        console.error(`❌ Erro no monitor de instâncias: ${error.message}`);
+    } finally {
+        instanceHealthChecking = false;
+    }
+}
+
+function startInstanceHealthMonitor() {
+    if (!CONFIG.EVOLUTION_API_URL) {
+        console.warn('⚠️ Monitor de instâncias desativado (EVOLUTION_API_URL não configurada)');
+        return;
+    }
+    
+    console.log(`🩺 Monitor de instâncias a cada ${Math.round(CONFIG.INSTANCE_HEALTH_INTERVAL/1000)}s`);
+    
+    checkAllInstancesHealth();
+    setInterval(checkAllInstancesHealth, CONFIG.INSTANCE_HEALTH_INTERVAL);
+}
+
+// ============================================
+// SISTEMA DE CONTATOS
+// ============================================
+
+/**
+ * Verifica se deve salvar o contato baseado na mensagem
+ */
+function shouldSaveContact(messageContent, messageType = 'text') {
+    // Reação, edição e protocolo não são resposta; áudio, mídia, local e contato mostram engajamento real
+    if (!INBOUND_MESSAGE_TYPES.includes(messageType)) return false;
+    if (!TEXTUAL_MESSAGE_TYPES.includes(messageType)) return true;
+    
+    if (!messageContent) return false;
+    
+    // Verificar palavras de parada
+    if (findOptOutKeyword(messageContent)) {
+        console.log(`🚫 Cliente não quer contato: "${messageContent.substring(0, 50)}..."`);
+        return false;
+    }
+    
+    // Mensagem muito curta
+    if (messageContent.trim().length < 2) {
+        console.log(`📵 Mensagem muito curta para salvar contato`);
+        return false;
+    }
+    
+    return true;
+}
+
+/**
+ * Salva contato automaticamente após primeira resposta
+ */
+async function saveContactAutomatically(phone, instanceName, conversationData) {
+    try {
+        const normalizedPhone = normalizePhoneNumber(phone);
+        const today = getBrazilTime('DD/MM');
+        
+        console.log(`📇 Salvando contato: ${normalizedPhone} | ${today} | ${instanceName}`);
+        
+        // Verificar se já existe para hoje
+        const existing = await database.query(
+            'SELECT id FROM contacts WHERE phone = $1 AND name = $2',
+            [normalizedPhone, today]
+        );
+        
+        if (existing.rows.length > 0) {
+            console.log(`📇 Contato já existe para hoje: ${normalizedPhone}`);
+            return { success: true, action: 'exists' };
+        }
+        
+        // Salvar novo contato
+        const result = await database.query(`
+            INSERT INTO contacts (phone, name, instance, product, conversation_id) 
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING id
+        `, [
+            normalizedPhone, 
             today, 
             instanceName, 
             conversationData.product || 'UNKNOWN',
@@ -385,1036 +1650,5979 @@ async function saveContactAutomatically(phone, instanceName, conversationData) {
     }
 }
 // ============================================
-// SISTEMA DE COMUNICAÇÃO COM N8N
+// REGISTRO DE NÃO CONTATAR (OPT-OUT)
 // ============================================
 
+// Minúsculas, sem acentos e sem pontuação: "Não Quero!" → "nao quero"
+function normalizeOptOutText(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+        .replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+const OPT_OUT_KEYWORDS = CONFIG.OPT_OUT_KEYWORDS.split(',')
+    .map(normalizeOptOutText)
+    .filter(Boolean);
+
+// Respostas que confirmam o descadastro perguntado
+const OPT_OUT_CONFIRMATIONS = ['sim', 's', 'confirmo', 'confirmar', 'isso'];
+
 /**
- * Envia evento para o N8N com retry automático
+ * Retorna a palavra de descadastro quando ela é a mensagem inteira, ou null
+ * ("pare", "Não quero!" → opt-out; "não quero cancelar, como faço o pix?" → não)
  */
-async function sendToN8N(eventData, eventType, attempt = 1) {
-    const maxAttempts = CONFIG.MAX_RETRY_ATTEMPTS;
+function matchOptOutKeyword(messageContent) {
+    const text = normalizeOptOutText(messageContent);
+    if (!text) return null;
+    
+    return OPT_OUT_KEYWORDS.find(keyword => text === keyword) || null;
+}
+
+/**
+ * Retorna a palavra de descadastro encontrada em qualquer ponto da mensagem (palavra inteira), ou null
+ */
+function findOptOutKeyword(messageContent) {
+    const text = normalizeOptOutText(messageContent);
+    if (!text) return null;
+    
+    return OPT_OUT_KEYWORDS.find(keyword => {
+        const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+        return new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`).test(text);
+    }) || null;
+}
+
+/**
+ * Palavra de descadastro no meio da mensagem: pergunta antes de registrar o opt-out
+ */
+async function requestOptOutConfirmation(phone, instanceName, keyword, message) {
+    optOutConfirmations.set(phone, { keyword, message, askedAt: Date.now() });
+    
+    console.log(`❓ Possível opt-out de ${phone} ("${keyword}") - pedindo confirmação`);
     
     try {
-        console.log(`📤 Enviando para N8N (${attempt}/${maxAttempts}): ${eventType}`);
-        console.log(`🎯 URL: ${CONFIG.N8N_WEBHOOK_URL}`);
-        console.log(`📦 Dados:`, JSON.stringify(eventData, null, 2));
-        
-        const response = await axios.post(CONFIG.N8N_WEBHOOK_URL, eventData, {
-            headers: {
-                'Content-Type': 'application/json',
-                'User-Agent': 'Cerebro-v3.0'
-            },
-            timeout: 15000
+        await queueOutboundMessage({
+            phone,
+            instance: instanceName,
+            orderCode: getConversationForReply(phone)?.orderCode || null,
+            type: 'text',
+            content: { text: CONFIG.OPT_OUT_CONFIRMATION_MESSAGE }
         });
-        
-        console.log(`✅ N8N sucesso: ${eventType} | Status: ${response.status}`);
-        systemStats.successfulEvents++;
-        return true;
-        
     } catch (error) {
-        const errorMsg = error.response ? 
-            `HTTP ${error.response.status}: ${error.response.statusText}` : 
-            error.message;
-            
-        console.error(`❌ N8N erro (${attempt}/${maxAttempts}): ${errorMsg}`);
-        
-        if (attempt < maxAttempts) {
-            const delay = attempt * 2000; // 2s, 4s, 6s
-            console.log(`🔄 Tentando novamente em ${delay/1000}s...`);
-            
-            return new Promise((resolve) => {
-                setTimeout(async () => {
-                    const result = await sendToN8N(eventData, eventType, attempt + 1);
-                    resolve(result);
-                }, delay);
-            });
-        }
-        
-        systemStats.failedEvents++;
+        console.error(`❌ Erro ao pedir confirmação de opt-out: ${error.message}`);
+    }
+}
+
+/**
+ * Resposta a uma confirmação de opt-out pendente: retorna a confirmação se o cliente disse "sim"
+ * (qualquer outra resposta descarta o pedido e a mensagem segue para o funil)
+ */
+function takeOptOutConfirmation(phone, messageContent) {
+    const pending = optOutConfirmations.get(phone);
+    if (!pending) return null;
+    
+    optOutConfirmations.delete(phone);
+    
+    if (Date.now() - pending.askedAt > CONFIG.OPT_OUT_CONFIRMATION_TTL) return null;
+    return OPT_OUT_CONFIRMATIONS.includes(normalizeOptOutText(messageContent)) ? pending : null;
+}
+
+function isOptedOut(phone) {
+    return optOutPhones.has(getConversationKey(phone));
+}
+
+async function loadOptOuts() {
+    try {
+        const result = await database.query('SELECT phone FROM opt_outs');
+        optOutPhones = replayScoped('optOutPhones', new Set(result.rows.map(r => r.phone)));
+        console.log(`🚫 Opt-outs carregados: ${optOutPhones.size}`);
+    } catch (error) {
+        console.error(`❌ Erro ao carregar opt-outs: ${error.message}`);
+    }
+}
+
+/**
+ * Registra o opt-out, encerra o funil em andamento e avisa o N8N uma única vez
+ * Retorna false se o telefone já estava registrado
+ */
+async function registerOptOut(phone, { source, keyword = null, message = null, reason = null, createdBy = null }) {
+    const conversationKey = getConversationKey(phone);
+    const phoneConversations = getPhoneConversations(conversationKey);
+    const conversation = getConversationForReply(conversationKey);
+    
+    const result = await database.query(`
+        INSERT INTO opt_outs (phone, source, keyword, message, order_code, reason, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (phone) DO NOTHING
+        RETURNING *
+    `, [conversationKey, source, keyword, message ? String(message).substring(0, 500) : null, conversation?.orderCode || null, reason, createdBy]);
+    
+    optOutPhones.add(conversationKey);
+    
+    if (result.rows.length === 0) {
         return false;
     }
+    
+    console.log(`🚫 OPT-OUT registrado: ${conversationKey} (${source}${keyword ? `: "${keyword}"` : ''})`);
+    
+    // Nada mais sai para este telefone
+    await database.query(`
+        UPDATE outbound_messages SET status = 'cancelled', last_error = 'opt_out', updated_at = NOW()
+        WHERE phone = $1 AND status = 'queued'
+    `, [conversationKey]);
+    
+    // Todos os pedidos do telefone param (inclusive follow-ups de conversas fora da memória)
+    await cancelFollowups({ phone: conversationKey }, 'opt_out');
+    
+    for (const phoneConversation of phoneConversations) {
+        await cancelScheduledJobs('pix_timeout', phoneConversation.orderCode);
+        
+        phoneConversation.status = 'opt_out';
+        phoneConversation.waitingConfirmation = false;
+        phoneConversation.funilInProgress = false;
+        phoneConversation.pendingStep = null;
+        phoneConversation.lockedAt = null;
+        phoneConversation.lastActivity = new Date();
+        await persistConversationState(phoneConversation);
+    }
+    
+    await sendToN8N({
+        event_type: 'opt_out',
+        produto: conversation?.product || null,
+        instancia: conversation?.instance || null,
+        origem: source,
+        palavra_chave: keyword,
+        mensagem: message,
+        motivo: reason,
+        cliente: {
+            telefone: conversationKey,
+            nome: conversation ? getFirstName(conversation.clientName) : null,
+            nome_completo: conversation?.clientName || null
+        },
+        pedido: conversation ? {
+            codigo: conversation.orderCode,
+            valor: conversation.amount
+        } : null,
+        timestamp: new Date().toISOString(),
+        brazil_time: getBrazilTime()
+    }, 'opt_out');
+    
+    return true;
 }
 
 // ============================================
-// PROCESSAMENTO DE VENDA APROVADA
+// CATÁLOGO DE PRODUTOS
 // ============================================
 
-async function handleApprovedSale(orderCode, phoneNumber, firstName, fullName, product, amount) {
+/**
+ * Recarrega o cache do catálogo a partir do banco
+ */
+async function loadProductCatalog() {
     try {
-        console.log(`💰 VENDA APROVADA: ${orderCode} | ${product} | ${firstName}`);
-        
-        // Obter instância e chave de conversa
-        const instanceName = await getInstanceForClient(phoneNumber);
-        const conversationKey = getConversationKey(phoneNumber);
-        
-        console.log(`🔑 Salvando conversa aprovada com chave: ${conversationKey}`);
-        
-        // Cancelar timeout PIX se existir
-        if (pendingTimeouts.has(orderCode)) {
-            clearTimeout(pendingTimeouts.get(orderCode));
-            pendingTimeouts.delete(orderCode);
-            console.log(`🗑️ Timeout PIX cancelado: ${orderCode}`);
-        }
-        
-        // Criar objeto de conversa
-        const conversation = {
-            phone: conversationKey,
-            orderCode: orderCode,
-            product: product,
-            status: 'approved',
-            instance: instanceName,
-            amount: amount,
-            clientName: fullName,
-            createdAt: new Date(),
-            lastActivity: new Date(),
-            responseCount: 0,
-            pixUrl: '',
-            id: Date.now(),
-            // Flags de controle de funil
-            waitingConfirmation: false,
-            pendingStep: null,
-            funilInProgress: false
-        };
-        
-        // Salvar em memória (cache)
-        conversations.set(conversationKey, conversation);
-        
-        // Salvar no banco
-        try {
-            await database.query(`
-                INSERT INTO conversations 
-                (phone, order_code, product, status, instance_name, amount, client_name, created_at, updated_at)
-                VALUES ($1, $2, $3, 'approved', $4, $5, $6, NOW(), NOW())
-                ON CONFLICT (order_code) 
-                DO UPDATE SET 
-                    status = 'approved',
-                    instance_name = $4,
-                    amount = $5,
-                    client_name = $6,
-                    updated_at = NOW()
-            `, [conversationKey, orderCode, product, instanceName, amount, fullName]);
-            
-            console.log(`💾 Venda aprovada salva no banco`);
-        } catch (dbError) {
-            console.warn(`⚠️ Erro ao salvar no banco: ${dbError.message}`);
-        }
-        
-        // Enviar evento para N8N
-        const eventData = {
-            event_type: 'venda_aprovada',
-            produto: product,
-            instancia: instanceName,
-            evento_origem: 'aprovada',
-            cliente: {
-                nome: firstName,
-                telefone: conversationKey,
-                nome_completo: fullName
-            },
-            pedido: {
-                codigo: orderCode,
-                valor: amount
-            },
-            timestamp: new Date().toISOString(),
-            brazil_time: getBrazilTime(),
-            conversation_id: conversation.id
-        };
-        
-        await sendToN8N(eventData, 'venda_aprovada');
+        const result = await database.query('SELECT * FROM products ORDER BY product_key, plan_code');
         
-        console.log(`✅ Venda aprovada processada completamente: ${orderCode}`);
-        return true;
+        const catalog = new Map();
+        result.rows.forEach(row => {
+            catalog.set(row.plan_code, {
+                ...row,
+                price: row.price !== null ? parseFloat(row.price) : null
+            });
+        });
+        productCatalog = catalog;
         
+        console.log(`📦 Catálogo carregado: ${productCatalog.size} planos`);
     } catch (error) {
-        console.error(`❌ Erro ao processar venda aprovada: ${error.message}`);
-        return false;
+        console.error(`❌ Erro ao carregar catálogo de produtos: ${error.message}`);
     }
 }
 
 // ============================================
-// PROCESSAMENTO DE PIX PENDENTE
+// FUNIS POR PRODUTO E ORIGEM
 // ============================================
 
-async function handlePendingPix(orderCode, phoneNumber, firstName, fullName, product, amount, pixUrl) {
+// Como uma etapa é considerada concluída
+const STEP_COMPLETION_RULES = {
+    confirm: 'aguarda confirmação do N8N (ou entrega das mensagens nativas)',
+    on_send: 'libera assim que o evento/mensagens são enfileirados'
+};
+
+// evento_origem de cada tipo de conversa (funis e mensagens nativas usam a mesma chave)
+const CONVERSATION_ORIGINS = ['aprovada', 'pix', 'cartao_recusado', 'checkout_abandonado'];
+
+function defaultStepEventType(step) {
+    return `resposta_${String(step).padStart(2, '0')}`;
+}
+
+// Funil usado quando não há nada no banco
+const DEFAULT_FUNNEL_STEPS = [1, 2, 3].map(step => ({
+    step,
+    name: `Resposta ${step}`,
+    event_type: defaultStepEventType(step),
+    completion: 'confirm'
+}));
+
+/**
+ * Recarrega os funis ativos e suas etapas
+ */
+async function loadFunnels() {
     try {
-        console.log(`⏰ PIX GERADO: ${orderCode} | ${product} | ${firstName}`);
-        
-        // Obter instância e chave de conversa
-        const instanceName = await getInstanceForClient(phoneNumber);
-        const conversationKey = getConversationKey(phoneNumber);
-        
-        console.log(`🔑 Salvando PIX pendente com chave: ${conversationKey}`);
+        const funnels = await database.query('SELECT * FROM funnels WHERE active = TRUE ORDER BY id');
+        const steps = await database.query('SELECT * FROM funnel_steps ORDER BY funnel_id, step');
         
-        // Cancelar timeout anterior se existir
-        if (pendingTimeouts.has(orderCode)) {
-            clearTimeout(pendingTimeouts.get(orderCode));
-            pendingTimeouts.delete(orderCode);
-            console.log(`🗑️ Timeout anterior cancelado`);
-        }
+        funnelDefinitions = funnels.rows.map(funnel => ({
+            ...funnel,
+            steps: steps.rows.filter(s => s.funnel_id === funnel.id)
+        })).filter(funnel => funnel.steps.length > 0);
         
-        // Criar objeto de conversa
-        const conversation = {
-            phone: conversationKey,
-            orderCode: orderCode,
-            product: product,
-            status: 'pix_pending',
-            instance: instanceName,
-            amount: amount,
-            clientName: fullName,
-            createdAt: new Date(),
-            lastActivity: new Date(),
-            responseCount: 0,
-            pixUrl: pixUrl,
-            id: Date.now(),
-            // Flags de controle de funil
-            waitingConfirmation: false,
-            pendingStep: null,
-            funilInProgress: false
+        console.log(`🪜 Funis carregados: ${funnelDefinitions.length}`);
+    } catch (error) {
+        console.error(`❌ Erro ao carregar funis: ${error.message}`);
+    }
+}
+
+/**
+ * Funil mais específico para produto/origem:
+ * produto+origem → produto+* → *+origem → *+*
+ */
+function resolveFunnel(product, origin) {
+    const candidates = [[product, origin], [product, '*'], ['*', origin], ['*', '*']];
+    
+    for (const [p, o] of candidates) {
+        const funnel = funnelDefinitions.find(f => f.product === p && f.origin === o);
+        if (funnel) return funnel;
+    }
+    
+    return { id: null, product: '*', origin: '*', name: 'Padrão', completion_status: 'completed', steps: DEFAULT_FUNNEL_STEPS };
+}
+
+function getConversationOrigin(conversation) {
+    if (conversation.origin) return conversation.origin;
+    return conversation.status === 'approved' ? 'aprovada' : 'pix';
+}
+
+/**
+ * Funil da conversa - o atribuído na criação, se ainda existir
+ */
+function getConversationFunnel(conversation) {
+    const assigned = conversation.funnelId && funnelDefinitions.find(f => f.id === conversation.funnelId);
+    return assigned || resolveFunnel(conversation.product, getConversationOrigin(conversation));
+}
+
+function getFunnelStep(conversation, step) {
+    return getConversationFunnel(conversation).steps.find(s => s.step === step) || null;
+}
+
+function getTotalSteps(conversation) {
+    return getConversationFunnel(conversation).steps.length;
+}
+
+// ============================================
+// MENSAGENS NATIVAS VIA EVOLUTION API
+// ============================================
+
+// Tipos suportados e o endpoint/corpo de cada um na Evolution API
+const MESSAGE_SENDERS = {
+    text: (number, content) => ({
+        endpoint: 'sendText',
+        body: { number, text: content.text }
+    }),
+    image: (number, content) => ({
+        endpoint: 'sendMedia',
+        body: { number, mediatype: 'image', media: content.url, caption: content.caption || '', mimetype: content.mimetype }
+    }),
+    video: (number, content) => ({
+        endpoint: 'sendMedia',
+        body: { number, mediatype: 'video', media: content.url, caption: content.caption || '', mimetype: content.mimetype }
+    }),
+    document: (number, content) => ({
+        endpoint: 'sendMedia',
+        body: { number, mediatype: 'document', media: content.url, caption: content.caption || '', fileName: content.file_name || 'documento', mimetype: content.mimetype }
+    }),
+    audio: (number, content) => ({
+        endpoint: 'sendWhatsAppAudio',
+        body: { number, audio: content.url }
+    })
+};
+
+/**
+ * Valida o conteúdo de uma mensagem conforme o tipo
+ */
+function validateMessageContent(messageType, content) {
+    if (!MESSAGE_SENDERS[messageType]) {
+        return `tipo deve ser: ${Object.keys(MESSAGE_SENDERS).join(', ')}`;
+    }
+    if (messageType === 'text' && !content?.text) {
+        return 'text é obrigatório para mensagens de texto';
+    }
+    if (messageType !== 'text' && !content?.url) {
+        return 'url é obrigatória para mídia';
+    }
+    return null;
+}
+
+/**
+ * Substitui {{nome}}, {{pedido}}, {{valor}}, {{pix_url}} e {{produto}}
+ */
+function renderMessageTemplate(text, conversation) {
+    if (!text || !conversation) return text;
+    
+    const values = {
+        nome: getFirstName(conversation.clientName),
+        nome_completo: conversation.clientName || '',
+        pedido: conversation.orderCode || '',
+        valor: conversation.amount !== undefined ? Number(conversation.amount).toFixed(2).replace('.', ',') : '',
+        pix_url: conversation.pixUrl || '',
+        produto: conversation.product || ''
+    };
+    
+    return String(text).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => values[key] !== undefined ? values[key] : match);
+}
+
+/**
+ * Coloca uma mensagem na fila de envio
+ */
+async function queueOutboundMessage({ phone, instance, orderCode = null, step = null, type, content, delayMs = 0 }) {
+    const error = validateMessageContent(type, content);
+    if (error) throw new Error(error);
+    
+    const result = await database.query(`
+        INSERT INTO outbound_messages (phone, instance_name, order_code, step, message_type, content, scheduled_at)
+        VALUES ($1, $2, $3, $4, $5, $6, NOW() + ($7 || ' milliseconds')::INTERVAL)
+        RETURNING *
+    `, [phone, instance, orderCode, step, type, JSON.stringify(content), String(delayMs || 0)]);
+    
+    console.log(`✉️ Mensagem ${type} enfileirada #${result.rows[0].id} → ${phone} via ${instance}`);
+    return result.rows[0];
+}
+
+/**
+ * Envia uma mensagem pela Evolution API e retorna o id da mensagem no WhatsApp
+ */
+async function sendEvolutionMessage(message) {
+    const { endpoint, body } = MESSAGE_SENDERS[message.message_type](message.phone, message.content);
+    
+    try {
+        const response = await axios.post(
+            `${CONFIG.EVOLUTION_API_URL}/message/${endpoint}/${encodeURIComponent(message.instance_name)}`,
+            body,
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    apikey: CONFIG.EVOLUTION_API_KEY || ''
+                },
+                timeout: 30000
+            }
+        );
+        
+        return response.data?.key?.id || null;
+        
+    } catch (error) {
+        const errorMsg = error.response ?
+            `HTTP ${error.response.status}: ${JSON.stringify(error.response.data || error.response.statusText).substring(0, 200)}` :
+            error.message;
+        throw new Error(errorMsg);
+    }
+}
+
+/**
+ * Processa a fila respeitando a ordem por telefone
+ * (uma mensagem só sai quando as anteriores do mesmo telefone já saíram)
+ */
+async function processMessageQueue() {
+    if (messageQueueRunning || !CONFIG.EVOLUTION_API_URL) return;
+    messageQueueRunning = true;
+    
+    try {
+        const due = await database.query(`
+            UPDATE outbound_messages SET status = 'sending', attempts = attempts + 1, updated_at = NOW()
+            WHERE id IN (
+                SELECT m.id FROM outbound_messages m
+                WHERE m.status = 'queued' AND m.scheduled_at <= NOW()
+                  AND NOT EXISTS (
+                      SELECT 1 FROM outbound_messages p
+                      WHERE p.phone = m.phone AND p.id < m.id AND p.status IN ('queued', 'sending')
+                  )
+                ORDER BY m.id
+                LIMIT 20
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING *
+        `);
+        
+        const messages = due.rows.sort((a, b) => a.id - b.id);
+        for (const message of messages) {
+            await deliverOutboundMessage(message);
+        }
+        
+    } catch (error) {
+        console.error(`❌ Erro na fila de mensagens: ${error.message}`);
+    } finally {
+        messageQueueRunning = false;
+    }
+}
+
+/**
+ * Envia uma mensagem reservada e registra o resultado
+ */
+async function deliverOutboundMessage(message) {
+    if (isOptedOut(message.phone)) {
+        await database.query(`
+            UPDATE outbound_messages SET status = 'cancelled', last_error = 'opt_out', updated_at = NOW()
+            WHERE id = $1
+        `, [message.id]);
+        return;
+    }
+    
+    let providerId;
+    try {
+        providerId = await sendEvolutionMessage(message);
+    } catch (error) {
+        console.error(`❌ Erro ao enviar mensagem #${message.id} (${message.attempts}/${CONFIG.MAX_RETRY_ATTEMPTS}): ${error.message}`);
+        
+        const retry = message.attempts < CONFIG.MAX_RETRY_ATTEMPTS;
+        await database.query(`
+            UPDATE outbound_messages SET
+                status = $2,
+                last_error = $3,
+                scheduled_at = CASE WHEN $2 = 'queued' THEN NOW() + INTERVAL '30 seconds' ELSE scheduled_at END,
+                updated_at = NOW()
+            WHERE id = $1
+        `, [message.id, retry ? 'queued' : 'failed', error.message]);
+        
+        if (!retry) {
+            // Mensagens seguintes da mesma etapa não fazem sentido sem esta
+            await database.query(`
+                UPDATE outbound_messages SET status = 'cancelled', last_error = $3, updated_at = NOW()
+                WHERE order_code = $1 AND step = $2 AND status = 'queued'
+            `, [message.order_code, message.step, `mensagem #${message.id} falhou`]);
+            
+            await onNativeStepMessageSettled(message, false);
+        }
+        return;
+    }
+    
+    // Mensagem já saiu: falha daqui em diante nunca devolve a linha para a fila
+    try {
+        await database.query(`
+            UPDATE outbound_messages SET status = 'sent', provider_message_id = $2, last_error = NULL, sent_at = NOW(), updated_at = NOW()
+            WHERE id = $1
+        `, [message.id, providerId]);
+        
+        console.log(`✅ Mensagem #${message.id} (${message.message_type}) enviada para ${message.phone}`);
+        
+        await recordMessage({
+            phone: message.phone,
+            direction: 'outbound',
+            instance: message.instance_name,
+            messageId: providerId,
+            type: message.message_type,
+            text: message.content.text || message.content.caption || null,
+            media: message.content.url ? { url: message.content.url, mimetype: message.content.mimetype || null, file_name: message.content.file_name || null } : null,
+            orderCode: message.order_code,
+            source: 'cerebro'
+        });
+        await onNativeStepMessageSettled(message, true);
+        
+    } catch (error) {
+        console.error(`❌ Mensagem #${message.id} enviada, mas erro ao registrar o envio: ${error.message}`);
+    }
+}
+
+/**
+ * Quando a última mensagem de uma etapa nativa sai (ou falha), libera o funil
+ */
+async function onNativeStepMessageSettled(message, success) {
+    if (!message.order_code || !message.step) return;
+    
+    const remaining = await database.query(`
+        SELECT COUNT(*) as total FROM outbound_messages
+        WHERE order_code = $1 AND step = $2 AND status IN ('queued', 'sending')
+    `, [message.order_code, message.step]);
+    
+    if (parseInt(remaining.rows[0].total) > 0) return;
+    
+    const conversation = conversations.get(message.order_code);
+    if (!conversation || conversation.pendingStep !== message.step) {
+        return;
+    }
+    
+    if (success) {
+        console.log(`📬 Etapa nativa ${message.step} entregue para ${message.phone}`);
+        await completeFunnelStep(conversation);
+    } else {
+        console.error(`❌ Etapa nativa ${message.step} falhou - liberando conversa ${message.phone}`);
+        await releaseFunnelLock(conversation);
+        await sendAlert('mensagem_nativa_falhou', {
+            telefone: message.phone,
+            pedido: message.order_code,
+            etapa: message.step,
+            instancia: message.instance_name,
+            erro: message.last_error || null
+        });
+    }
+}
+
+/**
+ * Recarrega as mensagens nativas das etapas
+ */
+async function loadStepMessages() {
+    try {
+        const result = await database.query(
+            'SELECT * FROM step_messages WHERE active = TRUE ORDER BY product, origin, step, position, id'
+        );
+        stepMessages = result.rows;
+        console.log(`✉️ Mensagens nativas carregadas: ${stepMessages.length}`);
+    } catch (error) {
+        console.error(`❌ Erro ao carregar mensagens nativas: ${error.message}`);
+    }
+}
+
+/**
+ * Mensagens nativas de uma etapa - origem específica tem prioridade sobre '*'
+ */
+function getStepMessages(product, origin, step) {
+    const forStep = stepMessages.filter(m => m.product === product && m.step === step);
+    const specific = forStep.filter(m => m.origin === origin);
+    return specific.length > 0 ? specific : forStep.filter(m => m.origin === '*');
+}
+
+/**
+ * Enfileira as mensagens nativas de uma etapa para a conversa
+ */
+async function dispatchNativeStep(conversation, step, messages) {
+    for (const message of messages) {
+        const content = { ...message.content };
+        if (content.text) content.text = renderMessageTemplate(content.text, conversation);
+        if (content.caption) content.caption = renderMessageTemplate(content.caption, conversation);
+        
+        await queueOutboundMessage({
+            phone: conversation.phone,
+            instance: conversation.instance,
+            orderCode: conversation.orderCode,
+            step: step,
+            type: message.message_type,
+            content: content,
+            delayMs: message.delay_ms
+        });
+    }
+}
+
+/**
+ * Inicia a fila - mensagens que estavam saindo num processo morto voltam para a fila
+ */
+async function startMessageQueue() {
+    if (!CONFIG.EVOLUTION_API_URL) {
+        console.warn('⚠️ Fila de mensagens nativas desativada (EVOLUTION_API_URL não configurada)');
+        return;
+    }
+    
+    try {
+        // Mensagens presas em 'sending' por um processo morto: com id da Evolution já saíram;
+        // sem ele não dá para saber - falham em vez de voltar para a fila e duplicar
+        const sent = await database.query(`
+            UPDATE outbound_messages SET status = 'sent', sent_at = COALESCE(sent_at, updated_at), updated_at = NOW()
+            WHERE status = 'sending' AND provider_message_id IS NOT NULL
+        `);
+        const interrupted = await database.query(`
+            UPDATE outbound_messages SET status = 'failed', last_error = 'envio interrompido por reinício', updated_at = NOW()
+            WHERE status = 'sending'
+        `);
+        
+        console.log(`✉️ Fila de mensagens iniciada (${sent.rowCount || 0} confirmadas, ${interrupted.rowCount || 0} interrompidas)`);
+    } catch (error) {
+        console.error(`❌ Erro ao iniciar fila de mensagens: ${error.message}`);
+    }
+    
+    setInterval(processMessageQueue, CONFIG.MESSAGE_QUEUE_INTERVAL);
+}
+
+// ============================================
+// CONTROLE DE ETAPAS DO FUNIL
+// ============================================
+
+/**
+ * Marca a etapa pendente como concluída e libera a conversa
+ */
+async function completeFunnelStep(conversation) {
+    const funnel = getConversationFunnel(conversation);
+    const totalSteps = funnel.steps.length;
+    
+    // Atualizar contador de respostas
+    if (conversation.pendingStep) {
+        conversation.responseCount = conversation.pendingStep;
+        console.log(`📊 Respostas atualizadas: ${conversation.responseCount}/${totalSteps}`);
+    }
+    
+    // LIMPAR TODAS AS FLAGS DE BLOQUEIO
+    conversation.waitingConfirmation = false;
+    conversation.funilInProgress = false;
+    conversation.pendingStep = null;
+    conversation.lockedAt = null;
+    conversation.stepRetries = 0;
+    conversation.lastActivity = new Date();
+    
+    // Verificar se completou todas as etapas
+    if (conversation.responseCount >= totalSteps && conversation.status !== funnel.completion_status) {
+        conversation.status = funnel.completion_status || 'completed';
+        console.log(`🎯 Funil "${funnel.name}" completo - todas as ${totalSteps} etapas enviadas`);
+    }
+    
+    // Salvar conversa atualizada (memória e banco)
+    conversations.set(conversation.orderCode, conversation);
+    await persistConversationState(conversation);
+}
+
+/**
+ * Libera a conversa sem avançar a etapa (falha no envio)
+ */
+async function releaseFunnelLock(conversation) {
+    conversation.waitingConfirmation = false;
+    conversation.funilInProgress = false;
+    conversation.pendingStep = null;
+    conversation.lockedAt = null;
+    conversation.stepRetries = 0;
+    conversations.set(conversation.orderCode, conversation);
+    await persistConversationState(conversation);
+}
+
+// ============================================
+// WATCHDOG DE FUNIS TRAVADOS
+// ============================================
+
+const STUCK_FUNNEL_POLICIES = ['release', 'retry'];
+
+/**
+ * Prazo e política da etapa - valores da etapa têm prioridade sobre o CONFIG
+ */
+function getStepWatchdogPolicy(step) {
+    return {
+        deadlineMinutes: step?.deadline_minutes || CONFIG.FUNNEL_STEP_DEADLINE_MINUTES,
+        onTimeout: STUCK_FUNNEL_POLICIES.includes(step?.on_timeout) ? step.on_timeout : CONFIG.FUNNEL_STUCK_POLICY
+    };
+}
+
+/**
+ * Procura conversas bloqueadas além do prazo da etapa e libera ou reenvia
+ */
+async function checkStuckFunnels() {
+    if (watchdogRunning) return;
+    watchdogRunning = true;
+    
+    try {
+        await scanStuckFunnels();
+    } finally {
+        watchdogRunning = false;
+    }
+}
+
+async function scanStuckFunnels() {
+    const now = Date.now();
+    
+    for (const conversation of Array.from(conversations.values())) {
+        if (!conversation.funilInProgress && !conversation.waitingConfirmation) continue;
+        
+        // Conversas bloqueadas antes do watchdog existir não têm lockedAt
+        const lockedAt = conversation.lockedAt || conversation.lastActivity;
+        const funnel = getConversationFunnel(conversation);
+        const step = funnel.steps.find(s => s.step === conversation.pendingStep) || null;
+        const policy = getStepWatchdogPolicy(step);
+        const stuckMinutes = Math.floor((now - lockedAt.getTime()) / 60000);
+        
+        if (stuckMinutes < policy.deadlineMinutes) continue;
+        
+        try {
+            await handleStuckFunnel(conversation, funnel, step, policy, lockedAt, stuckMinutes);
+        } catch (error) {
+            console.error(`❌ Erro no watchdog para ${conversation.phone}: ${error.message}`);
+        }
+    }
+}
+
+async function handleStuckFunnel(conversation, funnel, step, policy, lockedAt, stuckMinutes) {
+    const eventType = step ? (step.event_type || defaultStepEventType(step.step)) : null;
+    
+    // Etapas nativas já têm retentativa por mensagem na fila - só liberamos
+    const isNative = step && getStepMessages(conversation.product, getConversationOrigin(conversation), step.step).length > 0;
+    const canRetry = step && !isNative && policy.onTimeout === 'retry' &&
+        (conversation.stepRetries || 0) < CONFIG.FUNNEL_STEP_MAX_RETRIES;
+    const action = canRetry ? 'retried' : 'released';
+    const attempt = canRetry ? (conversation.stepRetries || 0) + 1 : (conversation.stepRetries || 0);
+    
+    console.warn(`🐕 Funil travado: ${conversation.phone} | pedido ${conversation.orderCode} | etapa ${conversation.pendingStep} há ${stuckMinutes} min → ${action}`);
+    
+    await database.query(`
+        INSERT INTO funnel_incidents (phone, order_code, step, event_type, locked_at, stuck_minutes, action, attempt)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `, [conversation.phone, conversation.orderCode, conversation.pendingStep, eventType, lockedAt, stuckMinutes, action, attempt]);
+    
+    await sendAlert('funil_travado', {
+        telefone: conversation.phone,
+        pedido: conversation.orderCode,
+        produto: conversation.product,
+        instancia: conversation.instance,
+        etapa: conversation.pendingStep,
+        evento: eventType,
+        travado_desde: lockedAt.toISOString(),
+        minutos_travado: stuckMinutes,
+        acao: action,
+        tentativa: attempt
+    });
+    
+    if (canRetry) {
+        conversation.stepRetries = attempt;
+        conversation.lockedAt = new Date();
+        conversations.set(conversation.orderCode, conversation);
+        await persistConversationState(conversation);
+        
+        await dispatchFunnelStep(conversation, funnel, step, null, attempt);
+    } else {
+        await releaseFunnelLock(conversation);
+        console.log(`🔓 Conversa ${conversation.phone} liberada pelo watchdog`);
+    }
+}
+
+function startFunnelWatchdog() {
+    console.log(`🐕 Watchdog de funis: prazo ${CONFIG.FUNNEL_STEP_DEADLINE_MINUTES} min, política ${CONFIG.FUNNEL_STUCK_POLICY}`);
+    setInterval(checkStuckFunnels, CONFIG.FUNNEL_WATCHDOG_INTERVAL);
+}
+
+// ============================================
+// PARSER DE MENSAGENS DA EVOLUTION
+// ============================================
+
+// Chave do payload Baileys → tipo normalizado de mídia
+const EVOLUTION_MEDIA_TYPES = {
+    imageMessage: 'image',
+    videoMessage: 'video',
+    audioMessage: 'audio',
+    documentMessage: 'document',
+    stickerMessage: 'sticker'
+};
+
+// Invólucros que só carregam outra mensagem dentro
+// (editedMessage fica de fora: edição não é mensagem nova)
+const EVOLUTION_WRAPPERS = [
+    'ephemeralMessage',
+    'viewOnceMessage',
+    'viewOnceMessageV2',
+    'viewOnceMessageV2Extension',
+    'documentWithCaptionMessage'
+];
+
+// Tipos em que o texto foi escrito/escolhido pelo cliente
+const TEXTUAL_MESSAGE_TYPES = ['text', 'buttonsResponse', 'listResponse'];
+
+// Tipos reconhecidos pelo parser (aceitos em funnel_steps.accepted_types) - os únicos que
+// contam como resposta; protocolo (apagar), edição, enquete e desconhecidos não avançam o funil
+const INBOUND_MESSAGE_TYPES = [
+    ...TEXTUAL_MESSAGE_TYPES, 'audio', 'image', 'video', 'document', 'sticker', 'location', 'contact'
+];
+
+/**
+ * Converte o payload Baileys numa mensagem tipada:
+ * { type, text, media, location, contacts, reaction, selection }
+ * `text` é a melhor representação textual (legenda, opção escolhida, nome do local...)
+ */
+function parseEvolutionMessage(rawMessage) {
+    const parsed = { type: 'unknown', text: '', media: null, location: null, contacts: null, reaction: null, selection: null };
+    
+    let message = rawMessage;
+    for (let depth = 0; message && depth < 3; depth++) {
+        const wrapper = EVOLUTION_WRAPPERS.find(key => message[key]?.message);
+        if (!wrapper) break;
+        message = message[wrapper].message;
+    }
+    
+    if (!message) return parsed;
+    
+    if (message.conversation || message.extendedTextMessage) {
+        return { ...parsed, type: 'text', text: message.conversation || message.extendedTextMessage.text || '' };
+    }
+    
+    for (const [key, type] of Object.entries(EVOLUTION_MEDIA_TYPES)) {
+        const media = message[key];
+        if (media) {
+            return {
+                ...parsed,
+                type,
+                text: media.caption || '',
+                media: {
+                    url: media.url || null,
+                    mimetype: media.mimetype || null,
+                    file_name: media.fileName || null,
+                    seconds: media.seconds || null,
+                    voice_note: type === 'audio' ? !!media.ptt : undefined
+                }
+            };
+        }
+    }
+    
+    const location = message.locationMessage || message.liveLocationMessage;
+    if (location) {
+        return {
+            ...parsed,
+            type: 'location',
+            text: location.name || location.address || '',
+            location: {
+                latitude: location.degreesLatitude,
+                longitude: location.degreesLongitude,
+                name: location.name || null,
+                address: location.address || null,
+                live: !!message.liveLocationMessage
+            }
+        };
+    }
+    
+    if (message.contactMessage || message.contactsArrayMessage) {
+        const contacts = message.contactMessage ? [message.contactMessage] : (message.contactsArrayMessage.contacts || []);
+        return {
+            ...parsed,
+            type: 'contact',
+            text: contacts.map(c => c.displayName).filter(Boolean).join(', '),
+            contacts: contacts.map(c => ({ name: c.displayName || null, vcard: c.vcard || null }))
+        };
+    }
+    
+    if (message.reactionMessage) {
+        return {
+            ...parsed,
+            type: 'reaction',
+            text: message.reactionMessage.text || '',
+            reaction: {
+                emoji: message.reactionMessage.text || null, // vazio = reação removida
+                message_id: message.reactionMessage.key?.id || null
+            }
+        };
+    }
+    
+    const button = message.buttonsResponseMessage || message.templateButtonReplyMessage;
+    if (button) {
+        const text = button.selectedDisplayText || '';
+        return {
+            ...parsed,
+            type: 'buttonsResponse',
+            text,
+            selection: { id: button.selectedButtonId || button.selectedId || null, text }
+        };
+    }
+    
+    if (message.listResponseMessage) {
+        const list = message.listResponseMessage;
+        return {
+            ...parsed,
+            type: 'listResponse',
+            text: list.title || '',
+            selection: {
+                id: list.singleSelectReply?.selectedRowId || null,
+                text: list.title || '',
+                description: list.description || null
+            }
         };
+    }
+    
+    const firstKey = Object.keys(message).find(k => k !== 'messageContextInfo');
+    return { ...parsed, type: firstKey ? firstKey.replace(/Message$/, '') : 'unknown' };
+}
+
+// ============================================
+// HISTÓRICO DE MENSAGENS
+// ============================================
+
+/**
+ * messageTimestamp do Baileys (segundos) → Date
+ * Chega como número, string ou Long do protobuf ({ low, high }); inválido vira null (NOW() no banco)
+ */
+function parseMessageTimestamp(value) {
+    let seconds = value;
+    if (value && typeof value === 'object') {
+        seconds = typeof value.toNumber === 'function' ?
+            value.toNumber() : (Number(value.high) || 0) * 4294967296 + ((Number(value.low) || 0) >>> 0);
+    }
+    
+    seconds = Number(seconds);
+    if (!Number.isFinite(seconds) || seconds <= 0) return null;
+    
+    const date = new Date(seconds * 1000);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Grava uma mensagem no histórico - falhas não interrompem o fluxo
+ */
+async function recordMessage({ phone, direction, instance, messageId = null, type, text = null, media = null, orderCode = null, source, sentAt = null }) {
+    try {
+        const conversationKey = getConversationKey(phone);
         
-        // Salvar em memória (cache)
-        conversations.set(conversationKey, conversation);
+        await database.query(`
+            INSERT INTO messages (phone, order_code, instance_name, direction, message_id, message_type, text, media, source, sent_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, COALESCE($10, NOW()))
+            ON CONFLICT (instance_name, message_id) WHERE message_id IS NOT NULL DO NOTHING
+        `, [
+            conversationKey,
+            orderCode || getConversationForReply(conversationKey)?.orderCode || null,
+            instance || null,
+            direction,
+            messageId,
+            type,
+            text,
+            media ? JSON.stringify(media) : null,
+            source,
+            sentAt
+        ]);
+    } catch (error) {
+        console.warn(`⚠️ Erro ao gravar mensagem no histórico: ${error.message}`);
+    }
+}
+
+// ============================================
+// PERSISTÊNCIA DO ESTADO DAS CONVERSAS
+// ============================================
+
+/**
+ * Salva o estado do funil no banco para sobreviver a restarts
+ */
+async function persistConversationState(conversation) {
+    try {
+        await database.query(`
+            UPDATE conversations SET
+                status = $2,
+                last_response_at = CASE WHEN responses_count IS DISTINCT FROM $3 THEN NOW() ELSE last_response_at END,
+                responses_count = $3,
+                waiting_confirmation = $4,
+                funil_in_progress = $5,
+                pending_step = $6,
+                last_activity_at = $7,
+                funnel_id = $8,
+                locked_at = $9,
+                step_retries = $10,
+                followup_step = $11,
+                updated_at = NOW()
+            WHERE order_code = $1
+        `, [
+            conversation.orderCode,
+            conversation.status,
+            conversation.responseCount,
+            conversation.waitingConfirmation,
+            conversation.funilInProgress,
+            conversation.pendingStep,
+            conversation.lastActivity,
+            conversation.funnelId || null,
+            conversation.lockedAt || null,
+            conversation.stepRetries || 0,
+            conversation.followupStep || 0
+        ]);
+    } catch (dbError) {
+        console.warn(`⚠️ Erro ao persistir estado da conversa ${conversation.orderCode}: ${dbError.message}`);
+    }
+}
+
+/**
+ * Converte uma linha da tabela conversations para o objeto em memória
+ */
+function rowToConversation(row) {
+    return {
+        phone: row.phone,
+        orderCode: row.order_code,
+        product: row.product,
+        status: row.status,
+        instance: row.instance_name,
+        amount: parseFloat(row.amount) || 0,
+        clientName: row.client_name,
+        createdAt: new Date(row.created_at),
+        lastActivity: new Date(row.last_activity_at || row.updated_at || row.created_at),
+        responseCount: row.responses_count || 0,
+        pixUrl: row.pix_url || '',
+        id: Number(row.conversation_ref) || row.id,
+        // Flags de controle de funil
+        waitingConfirmation: !!row.waiting_confirmation,
+        pendingStep: row.pending_step,
+        funilInProgress: !!row.funil_in_progress,
+        funnelId: row.funnel_id,
+        gateway: row.gateway || 'perfectpay',
+        origin: row.origin || null,
+        lockedAt: row.locked_at ? new Date(row.locked_at) : null,
+        stepRetries: row.step_retries || 0,
+        followupStep: row.followup_step || 0
+    };
+}
+
+/**
+ * Reconstrói o Map de conversas a partir do banco após um restart
+ * Usa as mesmas janelas de retenção de cleanupOldConversations (follow-up agendado mantém a conversa)
+ */
+async function loadActiveConversations() {
+    try {
+        console.log('♻️ Reidratando conversas ativas do banco...');
+        
+        const result = await database.query(`
+            SELECT * FROM conversations c
+            WHERE (
+                COALESCE(c.last_activity_at, c.updated_at) >= NOW() - INTERVAL '48 hours'
+                AND NOT (
+                    c.status = ANY($1)
+                    AND COALESCE(c.last_activity_at, c.updated_at) < NOW() - INTERVAL '6 hours'
+                )
+            ) OR EXISTS (
+                SELECT 1 FROM followups f WHERE f.order_code = c.order_code AND f.status = 'scheduled'
+            )
+            ORDER BY c.created_at ASC
+        `, [CLOSED_CONVERSATION_STATUSES]);
+        
+        result.rows.forEach(row => {
+            const conversation = rowToConversation(row);
+            conversations.set(conversation.orderCode, conversation);
+        });
+        
+        const blocked = Array.from(conversations.values())
+            .filter(c => c.funilInProgress || c.waitingConfirmation).length;
+        
+        console.log(`✅ ${conversations.size} conversas reidratadas (${blocked} com funil em execução)`);
+        
+    } catch (error) {
+        console.error(`❌ Erro ao reidratar conversas: ${error.message}`);
+    }
+}
+
+// ============================================
+// AGENDADOR DE JOBS (PERSISTIDO NO POSTGRES)
+// ============================================
+
+/**
+ * Handlers por tipo de job - cada um recebe a linha de scheduled_jobs
+ */
+const JOB_HANDLERS = {
+    pix_timeout: async (job) => {
+        console.log(`⏰ TIMEOUT PIX ACIONADO: ${job.job_key}`);
+        return handlePixTimeout(job.job_key, job.payload.phone);
+    },
+    
+    recovery: async (job) => {
+        console.log(`🛟 RECUPERAÇÃO ACIONADA: ${job.payload.flow} | ${job.job_key}`);
+        return handleRecoveryDue(job.job_key, job.payload.phone, job.payload.flow);
+    },
+    
+    followup: async (job) => {
+        console.log(`📆 FOLLOW-UP ${job.payload.step} ACIONADO: ${job.job_key}`);
+        return handleFollowupDue(job.job_key, job.payload.phone, job.payload.step);
+    }
+};
+
+/**
+ * Agenda um job substituindo qualquer job pendente com o mesmo tipo e chave
+ */
+async function scheduleJob(jobType, jobKey, delayMs, payload = {}) {
+    await cancelScheduledJobs(jobType, jobKey);
+    
+    const result = await database.query(`
+        INSERT INTO scheduled_jobs (job_type, job_key, payload, run_at)
+        VALUES ($1, $2, $3, NOW() + ($4 || ' milliseconds')::INTERVAL)
+        RETURNING id, run_at
+    `, [jobType, jobKey, JSON.stringify(payload), String(delayMs)]);
+    
+    return result.rows[0];
+}
+
+/**
+ * Cancela jobs pendentes de um tipo/chave
+ */
+async function cancelScheduledJobs(jobType, jobKey) {
+    try {
+        const result = await database.query(`
+            UPDATE scheduled_jobs SET status = 'cancelled', updated_at = NOW()
+            WHERE job_type = $1 AND job_key = $2 AND status = 'pending'
+        `, [jobType, jobKey]);
+        
+        return result.rowCount || 0;
+    } catch (dbError) {
+        console.warn(`⚠️ Erro ao cancelar job ${jobType}/${jobKey}: ${dbError.message}`);
+        return 0;
+    }
+}
+
+/**
+ * Busca e executa os jobs vencidos
+ */
+async function pollScheduledJobs() {
+    if (schedulerRunning) return;
+    schedulerRunning = true;
+    
+    try {
+        // Reservar jobs vencidos (SKIP LOCKED evita execução dupla)
+        const due = await database.query(`
+            UPDATE scheduled_jobs SET status = 'running', attempts = attempts + 1, updated_at = NOW()
+            WHERE id IN (
+                SELECT id FROM scheduled_jobs
+                WHERE status = 'pending' AND run_at <= NOW()
+                ORDER BY run_at
+                LIMIT 20
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING *
+        `);
+        
+        for (const job of due.rows) {
+            const handler = JOB_HANDLERS[job.job_type];
+            
+            try {
+                if (!handler) {
+                    throw new Error(`Tipo de job desconhecido: ${job.job_type}`);
+                }
+                
+                await handler(job);
+                
+                await database.query(
+                    `UPDATE scheduled_jobs SET status = 'done', executed_at = NOW(), updated_at = NOW() WHERE id = $1`,
+                    [job.id]
+                );
+                
+            } catch (jobError) {
+                console.error(`❌ Erro no job ${job.job_type}/${job.job_key}: ${jobError.message}`);
+                
+                // Reagendar até o limite de tentativas
+                const retry = job.attempts < CONFIG.MAX_RETRY_ATTEMPTS;
+                await database.query(`
+                    UPDATE scheduled_jobs SET
+                        status = $2,
+                        last_error = $3,
+                        run_at = CASE WHEN $2 = 'pending' THEN NOW() + INTERVAL '30 seconds' ELSE run_at END,
+                        updated_at = NOW()
+                    WHERE id = $1
+                `, [job.id, retry ? 'pending' : 'failed', jobError.message]);
+            }
+        }
+        
+    } catch (error) {
+        console.error(`❌ Erro no agendador de jobs: ${error.message}`);
+    } finally {
+        schedulerRunning = false;
+    }
+}
+
+/**
+ * Inicia o agendador - jobs que estavam rodando num processo morto voltam para a fila
+ */
+async function startScheduler() {
+    try {
+        const recovered = await database.query(`
+            UPDATE scheduled_jobs SET status = 'pending', updated_at = NOW()
+            WHERE status = 'running'
+        `);
+        
+        const pending = await database.query(
+            `SELECT COUNT(*) as total FROM scheduled_jobs WHERE status = 'pending'`
+        );
+        
+        console.log(`⏱️ Agendador iniciado: ${pending.rows[0].total} jobs pendentes (${recovered.rowCount || 0} recuperados)`);
+    } catch (error) {
+        console.error(`❌ Erro ao iniciar agendador: ${error.message}`);
+    }
+    
+    setInterval(pollScheduledJobs, CONFIG.SCHEDULER_POLL_INTERVAL);
+}
+
+/**
+ * Total de timeouts PIX agendados
+ */
+async function countPendingPixTimeouts() {
+    const result = await database.query(
+        `SELECT COUNT(*) as total FROM scheduled_jobs WHERE job_type = 'pix_timeout' AND status = 'pending'`
+    );
+    return parseInt(result.rows[0].total);
+}
+
+/**
+ * Lista os próximos timeouts PIX agendados
+ */
+async function getUpcomingPixTimeouts(limit = 50) {
+    const result = await database.query(`
+        SELECT job_key, payload, run_at, attempts
+        FROM scheduled_jobs
+        WHERE job_type = 'pix_timeout' AND status = 'pending'
+        ORDER BY run_at
+        LIMIT $1
+    `, [limit]);
+    
+    return result.rows.map(row => ({
+        order_code: row.job_key,
+        phone: row.payload.phone,
+        run_at: new Date(row.run_at).toISOString(),
+        run_at_brazil: getBrazilTime('DD/MM/YYYY HH:mm:ss', row.run_at),
+        seconds_remaining: Math.max(0, Math.round((new Date(row.run_at) - Date.now()) / 1000)),
+        attempts: row.attempts
+    }));
+}
+
+// ============================================
+// SISTEMA DE COMUNICAÇÃO COM N8N
+// ============================================
+
+/**
+ * POST único para o webhook do N8N - lança erro com mensagem legível
+ * (o payload tem dados do cliente e não vai para o log)
+ */
+async function postToN8N(eventData, eventType, outboxId = null) {
+    console.log(`🎯 N8N: ${eventType} | pedido ${eventData?.pedido?.codigo || '-'}${outboxId ? ` | outbox #${outboxId}` : ''}`);
+    
+    try {
+        const response = await axios.post(CONFIG.N8N_WEBHOOK_URL, eventData, {
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'Cerebro-v3.0'
+            },
+            timeout: 15000
+        });
+        
+        console.log(`✅ N8N sucesso: ${eventType} | Status: ${response.status}`);
+        return response;
+        
+    } catch (error) {
+        const errorMsg = error.response ? 
+            `HTTP ${error.response.status}: ${error.response.statusText}` : 
+            error.message;
+        throw new Error(errorMsg);
+    }
+}
+
+/**
+ * Envia evento para o N8N via outbox
+ * O evento é gravado antes do envio e, se a entrega imediata falhar (ou houver
+ * evento mais antigo do mesmo pedido na fila), o dispatcher continua tentando
+ * até a dead-letter.
+ * Retorna 'sent' (entregue agora), 'queued' (no outbox, com o dispatcher)
+ * ou 'failed' (sem outbox e o envio direto falhou)
+ */
+async function sendToN8N(eventData, eventType) {
+    let outboxEvent = null;
+    
+    try {
+        outboxEvent = await enqueueOutboundEvent(eventData, eventType);
+    } catch (dbError) {
+        console.warn(`⚠️ Outbox indisponível (${dbError.message}) - envio direto`);
+        return await sendToN8NDirect(eventData, eventType) ? 'sent' : 'failed';
+    }
+    
+    // Evento mais antigo do mesmo pedido ainda na fila: este espera a vez no dispatcher
+    const deliverNow = outboxEvent.status === 'sending';
+    if (deliverNow && await deliverOutboundEvent(outboxEvent)) return 'sent';
+    
+    if (deliverNow) {
+        console.log(`📮 Evento ${eventType} mantido no outbox (#${outboxEvent.id}) para nova tentativa`);
+    } else {
+        console.log(`📮 Evento ${eventType} no outbox (#${outboxEvent.id}) aguardando eventos anteriores do pedido ${outboxEvent.order_code}`);
+    }
+    
+    return 'queued';
+}
+
+/**
+ * Envio direto com retry em memória - usado só quando o outbox não está acessível
+ */
+async function sendToN8NDirect(eventData, eventType, attempt = 1) {
+    const maxAttempts = CONFIG.MAX_RETRY_ATTEMPTS;
+    
+    try {
+        console.log(`📤 Enviando para N8N (${attempt}/${maxAttempts}): ${eventType}`);
+        await postToN8N(eventData, eventType);
+        systemStats.successfulEvents++;
+        return true;
+        
+    } catch (error) {
+        console.error(`❌ N8N erro (${attempt}/${maxAttempts}): ${error.message}`);
+        
+        if (attempt < maxAttempts) {
+            const delay = attempt * 2000; // 2s, 4s, 6s
+            console.log(`🔄 Tentando novamente em ${delay/1000}s...`);
+            
+            return new Promise((resolve) => {
+                setTimeout(async () => {
+                    const result = await sendToN8NDirect(eventData, eventType, attempt + 1);
+                    resolve(result);
+                }, delay);
+            });
+        }
+        
+        systemStats.failedEvents++;
+        return false;
+    }
+}
+
+/**
+ * Envia um alerta operacional para o N8N (event_type "alerta")
+ */
+async function sendAlert(alertType, details = {}) {
+    console.warn(`🚨 ALERTA ${alertType}:`, JSON.stringify(details));
+    
+    return sendToN8N({
+        event_type: 'alerta',
+        tipo_alerta: alertType,
+        detalhes: details,
+        timestamp: new Date().toISOString(),
+        brazil_time: getBrazilTime()
+    }, 'alerta');
+}
+
+// ============================================
+// OUTBOX E DEAD-LETTER DE EVENTOS N8N
+// ============================================
+
+/**
+ * Grava o evento no outbox já reservado para a entrega imediata ('sending'),
+ * ou como 'pending' se o pedido ainda tem evento anterior não entregue
+ */
+async function enqueueOutboundEvent(eventData, eventType, attempt = 1) {
+    try {
+        const result = await database.query(`
+            INSERT INTO outbound_events (event_type, payload, order_code, status, next_attempt_at)
+            VALUES ($1, $2, $3::varchar, CASE WHEN EXISTS (
+                SELECT 1 FROM outbound_events
+                WHERE order_code = $3::varchar AND status IN ('pending', 'sending')
+            ) THEN 'pending' ELSE 'sending' END, NOW())
+            RETURNING *
+        `, [eventType, JSON.stringify(eventData), eventData?.pedido?.codigo || null]);
+        
+        return result.rows[0];
+        
+    } catch (dbError) {
+        // Outro evento do pedido reservou a entrega ao mesmo tempo (idx_outbound_events_order_sending):
+        // na segunda tentativa ele já está visível e este entra como 'pending'
+        if (dbError.code === '23505' && attempt < 3) {
+            return enqueueOutboundEvent(eventData, eventType, attempt + 1);
+        }
+        throw dbError;
+    }
+}
+
+/**
+ * Tempo de espera antes da próxima tentativa (exponencial com teto)
+ */
+function getOutboxBackoff(attempts) {
+    const delay = CONFIG.OUTBOX_RETRY_BASE_DELAY * Math.pow(2, Math.max(0, attempts - 1));
+    return Math.min(delay, CONFIG.OUTBOX_RETRY_MAX_DELAY);
+}
+
+/**
+ * Tenta entregar um evento do outbox e registra o resultado
+ */
+async function deliverOutboundEvent(outboxEvent) {
+    const attempts = (outboxEvent.attempts || 0) + 1;
+    const maxAttempts = CONFIG.OUTBOX_MAX_ATTEMPTS;
+    const eventType = outboxEvent.event_type;
+    
+    try {
+        console.log(`📤 Enviando para N8N (${attempts}/${maxAttempts}): ${eventType} | outbox #${outboxEvent.id}`);
+        await postToN8N(outboxEvent.payload, eventType, outboxEvent.id);
+        
+        await database.query(`
+            UPDATE outbound_events SET status = 'sent', attempts = $2, last_error = NULL, sent_at = NOW(), updated_at = NOW()
+            WHERE id = $1
+        `, [outboxEvent.id, attempts]);
+        
+        systemStats.successfulEvents++;
+        return true;
+        
+    } catch (error) {
+        console.error(`❌ N8N erro (${attempts}/${maxAttempts}): ${error.message}`);
+        
+        try {
+            if (attempts >= maxAttempts) {
+                await moveToDeadLetter(outboxEvent, attempts, error.message);
+            } else {
+                const delay = getOutboxBackoff(attempts);
+                await database.query(`
+                    UPDATE outbound_events SET
+                        status = 'pending',
+                        attempts = $2,
+                        last_error = $3,
+                        next_attempt_at = NOW() + ($4 || ' milliseconds')::INTERVAL,
+                        updated_at = NOW()
+                    WHERE id = $1
+                `, [outboxEvent.id, attempts, error.message, String(delay)]);
+                
+                console.log(`🔄 Nova tentativa de ${eventType} em ${Math.round(delay/1000)}s`);
+            }
+        } catch (dbError) {
+            console.error(`❌ Erro ao atualizar outbox #${outboxEvent.id}: ${dbError.message}`);
+        }
+        
+        return false;
+    }
+}
+
+/**
+ * Move um evento que esgotou as tentativas para a dead-letter
+ */
+async function moveToDeadLetter(outboxEvent, attempts, lastError) {
+    await database.query(`
+        INSERT INTO dead_letter_events (outbox_id, event_type, payload, attempts, last_error)
+        VALUES ($1, $2, $3, $4, $5)
+    `, [outboxEvent.id, outboxEvent.event_type, JSON.stringify(outboxEvent.payload), attempts, lastError]);
+    
+    await database.query(`
+        UPDATE outbound_events SET status = 'dead', attempts = $2, last_error = $3, updated_at = NOW()
+        WHERE id = $1
+    `, [outboxEvent.id, attempts, lastError]);
+    
+    systemStats.failedEvents++;
+    console.error(`☠️ Evento ${outboxEvent.event_type} (outbox #${outboxEvent.id}) movido para dead-letter após ${attempts} tentativas`);
+}
+
+/**
+ * Dispatcher: reenvia eventos pendentes cujo backoff já venceu
+ */
+async function dispatchOutbox() {
+    if (outboxDispatching) return;
+    outboxDispatching = true;
+    
+    try {
+        // Só o evento mais antigo não entregue de cada pedido pode sair
+        const due = await database.query(`
+            UPDATE outbound_events SET status = 'sending', updated_at = NOW()
+            WHERE id IN (
+                SELECT e.id FROM outbound_events e
+                WHERE e.status = 'pending' AND e.next_attempt_at <= NOW()
+                  AND NOT EXISTS (
+                      SELECT 1 FROM outbound_events older
+                      WHERE older.order_code = e.order_code
+                        AND older.id < e.id
+                        AND older.status IN ('pending', 'sending')
+                  )
+                ORDER BY e.id
+                LIMIT 20
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING *
+        `);
+        
+        // Em ordem de criação para preservar a sequência dos eventos
+        const events = due.rows.sort((a, b) => a.id - b.id);
+        for (const outboxEvent of events) {
+            await deliverOutboundEvent(outboxEvent);
+        }
+        
+    } catch (error) {
+        console.error(`❌ Erro no dispatcher do outbox: ${error.message}`);
+    } finally {
+        outboxDispatching = false;
+    }
+}
+
+/**
+ * Inicia o dispatcher - eventos presos em 'sending' por um processo morto voltam para a fila
+ */
+async function startOutboxDispatcher() {
+    try {
+        const recovered = await database.query(`
+            UPDATE outbound_events SET status = 'pending', updated_at = NOW()
+            WHERE status = 'sending'
+        `);
+        
+        const pending = await database.query(
+            `SELECT COUNT(*) as total FROM outbound_events WHERE status = 'pending'`
+        );
+        
+        console.log(`📮 Outbox iniciado: ${pending.rows[0].total} eventos pendentes (${recovered.rowCount || 0} recuperados)`);
+    } catch (error) {
+        console.error(`❌ Erro ao iniciar outbox: ${error.message}`);
+    }
+    
+    setInterval(dispatchOutbox, CONFIG.OUTBOX_POLL_INTERVAL);
+}
+
+/**
+ * Reenfileira um evento da dead-letter como novo evento do outbox
+ */
+async function replayDeadLetter(deadLetter) {
+    const outboxEvent = await enqueueOutboundEvent(deadLetter.payload, deadLetter.event_type);
+    
+    await database.query(`
+        UPDATE dead_letter_events SET replayed_at = NOW(), replay_outbox_id = $2, replay_count = replay_count + 1
+        WHERE id = $1
+    `, [deadLetter.id, outboxEvent.id]);
+    
+    console.log(`♻️ Dead-letter #${deadLetter.id} (${deadLetter.event_type}) reenfileirado como outbox #${outboxEvent.id}`);
+    
+    const delivered = outboxEvent.status === 'sending' ? await deliverOutboundEvent(outboxEvent) : false;
+    
+    return {
+        dead_letter_id: deadLetter.id,
+        event_type: deadLetter.event_type,
+        outbox_id: outboxEvent.id,
+        delivered: delivered
+    };
+}
+
+/**
+ * Contagem de eventos no outbox por status e dead-letters não reenviados
+ */
+async function getOutboxStats() {
+    const byStatus = await database.query(
+        'SELECT status, COUNT(*) as total FROM outbound_events GROUP BY status'
+    );
+    const deadLetters = await database.query(
+        'SELECT COUNT(*) as total FROM dead_letter_events WHERE replayed_at IS NULL'
+    );
+    
+    const counts = { pending: 0, sending: 0, sent: 0, dead: 0 };
+    byStatus.rows.forEach(row => {
+        counts[row.status] = parseInt(row.total);
+    });
+    
+    return {
+        outbox: counts,
+        dead_letters: parseInt(deadLetters.rows[0].total)
+    };
+}
+
+// ============================================
+// CICLO DE VIDA DO PEDIDO
+// ============================================
+
+/**
+ * Status interno (sale_status_enum_key do Perfect Pay) → o que acontece com a conversa
+ * Os adaptadores dos outros gateways traduzem seus status para estas chaves
+ * handler: fluxo próprio (venda aprovada / PIX gerado / recuperação)
+ * event: evento enviado ao N8N | conversationStatus: novo status da conversa
+ * Status sem event/conversationStatus só entram no histórico
+ */
+const ORDER_STATUS_LIFECYCLE = {
+    pending: { handler: 'pix' },
+    approved: { handler: 'approved' },
+    authorized: {},
+    in_process: {},
+    in_review: {},
+    completed: {},
+    precheckout: { handler: 'recovery', recovery: 'checkout_abandonado' },
+    in_mediation: { event: 'mediacao' },
+    rejected: { handler: 'recovery', recovery: 'cartao_recusado' },
+    cancelled: { event: 'cancelado', conversationStatus: 'cancelado' },
+    refunded: { event: 'reembolso', conversationStatus: 'reembolsado' },
+    charged_back: { event: 'chargeback', conversationStatus: 'chargeback' },
+    expired: { event: 'pix_expirado', conversationStatus: 'expirado' },
+    checkout_error: { event: 'erro_checkout', conversationStatus: 'erro_checkout' }
+};
+
+/**
+ * Status que a conversa assume com este status do gateway (null se não muda)
+ */
+function getLifecycleConversationStatus(lifecycle) {
+    if (!lifecycle) return null;
+    if (lifecycle.handler === 'approved') return 'approved';
+    if (lifecycle.handler === 'pix') return 'pix_pending';
+    if (lifecycle.handler === 'recovery') return RECOVERY_FLOWS[lifecycle.recovery].pendingStatus;
+    return lifecycle.conversationStatus || null;
+}
+
+/**
+ * Registra a mudança de status do pedido e devolve o status anterior
+ */
+async function recordOrderStatus({ orderCode, phone, product, gateway = 'perfectpay', gatewayStatus, conversationStatus = null, eventType = null, amount = null }) {
+    try {
+        const previous = await database.query(
+            'SELECT gateway_status FROM order_status_history WHERE order_code = $1 ORDER BY id DESC LIMIT 1',
+            [orderCode]
+        );
+        const previousStatus = previous.rows[0]?.gateway_status || null;
+        
+        await database.query(`
+            INSERT INTO order_status_history (order_code, phone, product, gateway, gateway_status, previous_status, conversation_status, event_type, amount)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        `, [orderCode, phone, product, gateway, gatewayStatus, previousStatus, conversationStatus, eventType, amount]);
+        
+        console.log(`📜 Pedido ${orderCode}: ${previousStatus || '-'} → ${gatewayStatus}`);
+        return previousStatus;
+        
+    } catch (error) {
+        console.warn(`⚠️ Erro ao gravar histórico do pedido ${orderCode}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Aplica um status do gateway que encerra ou sinaliza o pedido:
+ * para o funil, atualiza a conversa e avisa o N8N
+ */
+async function handleOrderTransition(orderCode, phoneNumber, gatewayStatus, lifecycle, order) {
+    const conversationKey = getConversationKey(phoneNumber);
+    const conversation = conversations.get(orderCode);
+    const previousConversationStatus = conversation ? conversation.status : null;
+    
+    console.log(`🔁 Pedido ${orderCode}: ${gatewayStatus}${lifecycle.conversationStatus ? ` → conversa ${lifecycle.conversationStatus}` : ''}`);
+    
+    if (lifecycle.conversationStatus) {
+        if (await cancelScheduledJobs('pix_timeout', orderCode)) {
+            console.log(`🗑️ Timeout PIX cancelado: ${orderCode}`);
+        }
+        if (await cancelScheduledJobs('recovery', orderCode)) {
+            console.log(`🗑️ Recuperação cancelada: ${orderCode}`);
+        }
+        await cancelFollowups({ orderCode }, gatewayStatus);
+        
+        // Mensagens nativas ainda na fila deste pedido não saem mais
+        await database.query(`
+            UPDATE outbound_messages SET status = 'cancelled', last_error = $2, updated_at = NOW()
+            WHERE order_code = $1 AND status = 'queued'
+        `, [orderCode, `pedido ${gatewayStatus}`]);
+        
+        if (conversation) {
+            conversation.status = lifecycle.conversationStatus;
+            conversation.waitingConfirmation = false;
+            conversation.funilInProgress = false;
+            conversation.pendingStep = null;
+            conversation.lockedAt = null;
+            conversation.lastActivity = new Date();
+            conversations.set(orderCode, conversation);
+            await persistConversationState(conversation);
+        } else {
+            try {
+                await database.query(
+                    'UPDATE conversations SET status = $1, updated_at = NOW() WHERE order_code = $2',
+                    [lifecycle.conversationStatus, orderCode]
+                );
+            } catch (dbError) {
+                console.warn(`⚠️ Erro ao atualizar banco: ${dbError.message}`);
+                throw dbError;
+            }
+        }
+    }
+    
+    if (!lifecycle.event) return;
+    
+    await sendToN8N({
+        event_type: lifecycle.event,
+        produto: order.product,
+        instancia: conversation ? conversation.instance : null,
+        gateway: order.gateway,
+        status_gateway: gatewayStatus,
+        status_anterior: previousConversationStatus,
+        cliente: {
+            telefone: conversationKey,
+            nome: getFirstName(order.fullName),
+            nome_completo: order.fullName
+        },
+        pedido: {
+            codigo: orderCode,
+            valor: order.amount,
+            respostas_enviadas: conversation ? conversation.responseCount : 0
+        },
+        timestamp: new Date().toISOString(),
+        brazil_time: getBrazilTime()
+    }, lifecycle.event);
+}
+
+// ============================================
+// ADAPTADORES DE GATEWAY DE PAGAMENTO
+// ============================================
+
+/**
+ * Cada adaptador traduz o postback do gateway para o pedido interno:
+ * { gateway, orderCode, status, rawStatus, planCodes, planName, fullName, email,
+ *   phone, phoneInput, amount, pixUrl }
+ * status usa as chaves de ORDER_STATUS_LIFECYCLE; phone é o resultado de parsePhoneNumber
+ */
+const HOTMART_STATUS_MAP = {
+    APPROVED: 'approved',
+    COMPLETE: 'completed',
+    WAITING_PAYMENT: 'pending',
+    BILLET_PRINTED: 'pending',
+    PRINTED_BILLET: 'pending',
+    UNDER_ANALISYS: 'in_review',
+    STARTED: 'precheckout',
+    OUT_OF_SHOPPING_CART: 'precheckout',
+    DISPUTE: 'in_mediation',
+    PROTEST: 'in_mediation',
+    PROTESTED: 'in_mediation',
+    BLOCKED: 'rejected',
+    NO_FUNDS: 'rejected',
+    CANCELED: 'cancelled',
+    CANCELLED: 'cancelled',
+    REFUNDED: 'refunded',
+    CHARGEBACK: 'charged_back',
+    EXPIRED: 'expired',
+    DELAYED: 'expired',
+    OVERDUE: 'expired'
+};
+
+const KIWIFY_STATUS_MAP = {
+    paid: 'approved',
+    approved: 'approved',
+    waiting_payment: 'pending',
+    pending: 'pending',
+    refused: 'rejected',
+    canceled: 'cancelled',
+    refunded: 'refunded',
+    chargedback: 'charged_back'
+};
+
+// trans_status do postback da Eduzz
+const EDUZZ_STATUS_MAP = {
+    1: 'pending',
+    3: 'approved',
+    4: 'cancelled',
+    6: 'in_mediation',
+    7: 'refunded',
+    9: 'cancelled',
+    10: 'expired',
+    11: 'in_process',
+    15: 'pending'
+};
+
+const PAYMENT_GATEWAYS = {
+    perfectpay: {
+        label: 'Perfect Pay',
+        route: '/webhook/perfect',
+        verifier: 'perfect',
+        normalize: (data) => ({
+            orderCode: data.code,
+            status: data.sale_status_enum_key,
+            rawStatus: data.sale_status_enum_key,
+            planCodes: [data.plan?.code],
+            planName: data.plan?.name,
+            fullName: data.customer?.full_name,
+            email: data.customer?.email,
+            phone: parsePerfectPayPhone(
+                data.customer?.phone_extension,
+                data.customer?.phone_area_code,
+                data.customer?.phone_number
+            ),
+            phoneInput: {
+                codigo_pais: data.customer?.phone_extension || null,
+                ddd: data.customer?.phone_area_code || null,
+                numero: data.customer?.phone_number || null
+            },
+            amount: parseFloat(data.sale_amount) || 0,
+            pixUrl: data.billet_url || ''
+        })
+    },
+    
+    // Webhook 2.0: { event, data: { buyer, product, purchase } }
+    hotmart: {
+        label: 'Hotmart',
+        route: '/webhook/hotmart',
+        verifier: 'hotmart',
+        normalize: (body) => {
+            const data = body.data || {};
+            const purchase = data.purchase || {};
+            const rawStatus = purchase.status || String(body.event || '').replace(/^PURCHASE_/, '');
+            const phone = data.buyer?.checkout_phone || data.buyer?.phone;
+            const country = data.buyer?.address?.country_iso;
+            
+            return {
+                orderCode: purchase.transaction,
+                status: HOTMART_STATUS_MAP[rawStatus] || HOTMART_STATUS_MAP[String(body.event || '').replace(/^PURCHASE_/, '')],
+                rawStatus: rawStatus,
+                planCodes: [purchase.offer?.code, data.product?.id],
+                planName: data.product?.name,
+                fullName: data.buyer?.name,
+                email: data.buyer?.email,
+                phone: parseGatewayPhone(phone, country),
+                phoneInput: { numero: phone || null, pais: country || null },
+                amount: parseFloat(purchase.price?.value) || 0,
+                pixUrl: purchase.payment?.pix_qrcode || purchase.payment?.pix_code || purchase.payment?.billet_url || ''
+            };
+        }
+    },
+    
+    kiwify: {
+        label: 'Kiwify',
+        route: '/webhook/kiwify',
+        verifier: 'kiwify',
+        normalize: (data) => {
+            const phone = data.Customer?.mobile;
+            const country = data.Customer?.country;
+            
+            return {
+                orderCode: data.order_id,
+                status: KIWIFY_STATUS_MAP[data.order_status],
+                rawStatus: data.order_status,
+                planCodes: [data.Product?.product_offer_id, data.Product?.product_id],
+                planName: data.Product?.product_name,
+                fullName: data.Customer?.full_name,
+                email: data.Customer?.email,
+                phone: parseGatewayPhone(phone, country),
+                phoneInput: { numero: phone || null, pais: country || null },
+                // Valores da Kiwify vêm em centavos
+                amount: (parseInt(data.Commissions?.charge_amount) || 0) / 100,
+                pixUrl: data.pix_code || data.boleto_URL || ''
+            };
+        }
+    },
+    
+    // Postback legado (form-urlencoded) com campos trans_* e cus_*
+    eduzz: {
+        label: 'Eduzz',
+        route: '/webhook/eduzz',
+        verifier: 'eduzz',
+        normalize: (data) => {
+            const phone = data.cus_cel || data.cus_tel;
+            const country = data.cus_address_country;
+            
+            return {
+                orderCode: data.trans_cod,
+                status: EDUZZ_STATUS_MAP[parseInt(data.trans_status)],
+                rawStatus: data.trans_status !== undefined ? String(data.trans_status) : undefined,
+                planCodes: [data.product_cod],
+                planName: data.product_name,
+                fullName: data.cus_name,
+                email: data.cus_email,
+                phone: parseGatewayPhone(phone, country),
+                phoneInput: { numero: phone || null, pais: country || null },
+                amount: parseFloat(data.trans_value) || 0,
+                pixUrl: data.trans_pix_url || data.billet_url || ''
+            };
+        }
+    }
+};
+
+// Gateway dos pedidos e planos anteriores aos adaptadores: chaves sem prefixo
+const DEFAULT_GATEWAY = 'perfectpay';
+
+/**
+ * Código de pedido/plano no espaço do gateway ("kiwify:abc123"), para que
+ * códigos iguais em gateways diferentes não se misturem
+ */
+function scopeGatewayKey(gateway, code) {
+    if (code === undefined || code === null || code === '') return code;
+    return gateway === DEFAULT_GATEWAY ? String(code) : `${gateway}:${code}`;
+}
+
+/**
+ * Normaliza o postback do gateway e resolve o produto pelo catálogo
+ * (o primeiro código de plano/oferta cadastrado vence)
+ */
+function normalizeGatewayOrder(gateway, body) {
+    const order = PAYMENT_GATEWAYS[gateway].normalize(body || {});
+    const planCodes = order.planCodes.filter(Boolean).map(code => scopeGatewayKey(gateway, code));
+    const planCode = planCodes.find(code => getProductByPlanCode(code) !== 'UNKNOWN') || planCodes[0];
+    const fullName = order.fullName || 'Cliente';
+    
+    return {
+        ...order,
+        gateway,
+        orderCode: scopeGatewayKey(gateway, order.orderCode),
+        planCode,
+        product: getProductByPlanCode(planCode),
+        fullName,
+        firstName: getFirstName(fullName),
+        phoneNumber: order.phone.e164 || order.phone.input
+    };
+}
+
+// ============================================
+// PROCESSAMENTO DE VENDA APROVADA
+// ============================================
+
+/**
+ * Pedido de telefone com opt-out: nenhum funil é iniciado
+ */
+async function skipOptedOutOrder(orderCode, phoneNumber) {
+    console.log(`🚫 ${getConversationKey(phoneNumber)} está em opt-out - pedido ${orderCode} sem funil`);
+    
+    if (await cancelScheduledJobs('pix_timeout', orderCode)) {
+        console.log(`🗑️ Timeout PIX cancelado: ${orderCode}`);
+    }
+    
+    try {
+        await database.query(
+            `UPDATE conversations SET status = 'opt_out', updated_at = NOW() WHERE order_code = $1`,
+            [orderCode]
+        );
+    } catch (dbError) {
+        console.warn(`⚠️ Erro ao atualizar banco: ${dbError.message}`);
+    }
+}
+
+async function handleApprovedSale(orderCode, phoneNumber, firstName, fullName, product, amount, gateway = 'perfectpay') {
+    try {
+        console.log(`💰 VENDA APROVADA: ${orderCode} | ${product} | ${firstName}`);
+        
+        if (isOptedOut(phoneNumber)) {
+            await skipOptedOutOrder(orderCode, phoneNumber);
+            return;
+        }
+        
+        // Cartão recusado / checkout abandonado que terminou em compra
+        await convertRecoveryConversations(phoneNumber, product, orderCode);
+        
+        // Pagou (este ou outro pedido do produto): follow-ups de PIX param
+        await cancelFollowups({ phone: getConversationKey(phoneNumber), product }, 'pago');
+        
+        // Obter instância e chave de conversa
+        const instanceName = await getInstanceForClient(phoneNumber, product);
+        const conversationKey = getConversationKey(phoneNumber);
+        
+        console.log(`🔑 Salvando conversa aprovada com chave: ${conversationKey}`);
+        
+        // Cancelar timeout PIX se existir
+        if (await cancelScheduledJobs('pix_timeout', orderCode)) {
+            console.log(`🗑️ Timeout PIX cancelado: ${orderCode}`);
+        }
+        
+        // Criar objeto de conversa
+        const conversation = {
+            phone: conversationKey,
+            orderCode: orderCode,
+            product: product,
+            status: 'approved',
+            instance: instanceName,
+            amount: amount,
+            clientName: fullName,
+            createdAt: new Date(),
+            lastActivity: new Date(),
+            responseCount: 0,
+            pixUrl: '',
+            id: Date.now(),
+            gateway: gateway,
+            funnelId: resolveFunnel(product, 'aprovada').id,
+            // Flags de controle de funil
+            waitingConfirmation: false,
+            pendingStep: null,
+            funilInProgress: false
+        };
+        
+        // Salvar em memória (cache)
+        conversations.set(conversation.orderCode, conversation);
+        
+        // Salvar no banco
+        try {
+            await database.query(`
+                INSERT INTO conversations 
+                (phone, order_code, product, status, instance_name, amount, client_name, conversation_ref, funnel_id, gateway, created_at, updated_at, last_activity_at)
+                VALUES ($1, $2, $3, 'approved', $4, $5, $6, $7, $8, $9, NOW(), NOW(), NOW())
+                ON CONFLICT (order_code) 
+                DO UPDATE SET 
+                    status = 'approved',
+                    instance_name = $4,
+                    amount = $5,
+                    client_name = $6,
+                    conversation_ref = $7,
+                    funnel_id = $8,
+                    gateway = $9,
+                    responses_count = 0,
+                    waiting_confirmation = FALSE,
+                    funil_in_progress = FALSE,
+                    pending_step = NULL,
+                    last_activity_at = NOW(),
+                    updated_at = NOW()
+            `, [conversationKey, orderCode, product, instanceName, amount, fullName, conversation.id, conversation.funnelId, gateway]);
+            
+            console.log(`💾 Venda aprovada salva no banco`);
+        } catch (dbError) {
+            console.warn(`⚠️ Erro ao salvar no banco: ${dbError.message}`);
+            throw dbError;
+        }
+        
+        // Enviar evento para N8N
+        const eventData = {
+            event_type: 'venda_aprovada',
+            produto: product,
+            instancia: instanceName,
+            evento_origem: 'aprovada',
+            gateway: gateway,
+            cliente: {
+                nome: firstName,
+                telefone: conversationKey,
+                nome_completo: fullName
+            },
+            pedido: {
+                codigo: orderCode,
+                valor: amount
+            },
+            timestamp: new Date().toISOString(),
+            brazil_time: getBrazilTime(),
+            conversation_id: conversation.id
+        };
+        
+        await sendToN8N(eventData, 'venda_aprovada');
+        
+        console.log(`✅ Venda aprovada processada completamente: ${orderCode}`);
+        return true;
+        
+    } catch (error) {
+        console.error(`❌ Erro ao processar venda aprovada: ${error.message}`);
+        throw error;
+    }
+}
+
+// ============================================
+// PROCESSAMENTO DE PIX PENDENTE
+// ============================================
+
+async function handlePendingPix(orderCode, phoneNumber, firstName, fullName, product, amount, pixUrl, gateway = 'perfectpay') {
+    try {
+        console.log(`⏰ PIX GERADO: ${orderCode} | ${product} | ${firstName}`);
+        
+        if (isOptedOut(phoneNumber)) {
+            await skipOptedOutOrder(orderCode, phoneNumber);
+            return;
+        }
+        
+        // Obter instância e chave de conversa
+        const instanceName = await getInstanceForClient(phoneNumber, product);
+        const conversationKey = getConversationKey(phoneNumber);
+        
+        console.log(`🔑 Salvando PIX pendente com chave: ${conversationKey}`);
+        
+        // PIX novo do mesmo produto substitui os follow-ups do anterior
+        await cancelFollowups({ phone: conversationKey, product }, 'novo_pedido');
+        
+        // Criar objeto de conversa
+        const conversation = {
+            phone: conversationKey,
+            orderCode: orderCode,
+            product: product,
+            status: 'pix_pending',
+            instance: instanceName,
+            amount: amount,
+            clientName: fullName,
+            createdAt: new Date(),
+            lastActivity: new Date(),
+            responseCount: 0,
+            pixUrl: pixUrl,
+            id: Date.now(),
+            gateway: gateway,
+            funnelId: resolveFunnel(product, 'pix').id,
+            // Flags de controle de funil
+            waitingConfirmation: false,
+            pendingStep: null,
+            funilInProgress: false
+        };
+        
+        // Salvar em memória (cache)
+        conversations.set(conversation.orderCode, conversation);
+        
+        // Salvar no banco
+        try {
+            await database.query(`
+                INSERT INTO conversations 
+                (phone, order_code, product, status, instance_name, amount, pix_url, client_name, conversation_ref, funnel_id, gateway, created_at, updated_at, last_activity_at)
+                VALUES ($1, $2, $3, 'pix_pending', $4, $5, $6, $7, $8, $9, $10, NOW(), NOW(), NOW())
+                ON CONFLICT (order_code) 
+                DO UPDATE SET 
+                    status = 'pix_pending',
+                    instance_name = $4,
+                    amount = $5,
+                    pix_url = $6,
+                    client_name = $7,
+                    conversation_ref = $8,
+                    funnel_id = $9,
+                    gateway = $10,
+                    responses_count = 0,
+                    waiting_confirmation = FALSE,
+                    funil_in_progress = FALSE,
+                    pending_step = NULL,
+                    last_activity_at = NOW(),
+                    updated_at = NOW()
+            `, [conversationKey, orderCode, product, instanceName, amount, pixUrl, fullName, conversation.id, conversation.funnelId, gateway]);
+            
+            console.log(`💾 PIX pendente salvo no banco`);
+        } catch (dbError) {
+            console.warn(`⚠️ Erro ao salvar no banco: ${dbError.message}`);
+            throw dbError;
+        }
+        
+        // Agendar timeout do produto (substitui timeout anterior do mesmo pedido)
+        const pixTimeout = getPixTimeout(product);
+        try {
+            await scheduleJob('pix_timeout', orderCode, pixTimeout, { phone: conversationKey });
+            console.log(`⏰ Timeout agendado: ${Math.round(pixTimeout/60000)} minutos para ${orderCode}`);
+        } catch (dbError) {
+            console.error(`❌ Erro ao agendar timeout PIX ${orderCode}: ${dbError.message}`);
+            throw dbError;
+        }
+        console.log(`✅ PIX pendente processado completamente: ${orderCode}`);
+        return true;
+        
+    } catch (error) {
+        console.error(`❌ Erro ao processar PIX pendente: ${error.message}`);
+        throw error;
+    }
+}
+
+// ============================================
+// PROCESSAMENTO DE TIMEOUT PIX
+// ============================================
+
+async function handlePixTimeout(orderCode, phone) {
+    try {
+        console.log(`⏰ Processando timeout PIX: ${orderCode}`);
+        
+        // Verificar se ainda está pendente
+        const conversation = conversations.get(orderCode);
+        if (!conversation || conversation.status !== 'pix_pending') {
+            console.log(`ℹ️ PIX ${orderCode} não está mais pendente, cancelando timeout`);
+            return;
+        }
+        
+        if (isOptedOut(phone)) {
+            console.log(`🚫 ${phone} está em opt-out - timeout PIX sem evento`);
+            return;
+        }
+        
+        // Banco primeiro: se falhar, o job é repetido com a conversa ainda pendente
+        await database.query(
+            'UPDATE conversations SET status = $1, last_activity_at = NOW(), updated_at = NOW() WHERE order_code = $2',
+            ['timeout', orderCode]
+        );
+        console.log(`💾 Status timeout salvo no banco`);
+        
+        // Atualizar status para timeout
+        conversation.status = 'timeout';
+        conversation.lastActivity = new Date();
+        conversations.set(orderCode, conversation);
+        
+        // Enviar evento para N8N
+        const firstName = getFirstName(conversation.clientName);
+        const eventData = {
+            event_type: 'pix_timeout',
+            produto: conversation.product,
+            instancia: conversation.instance,
+            evento_origem: 'pix',
+            gateway: conversation.gateway || 'perfectpay',
+            cliente: {
+                nome: firstName,
+                telefone: conversation.phone,
+                nome_completo: conversation.clientName
+            },
+            pedido: {
+                codigo: orderCode,
+                valor: conversation.amount,
+                pix_url: conversation.pixUrl
+            },
+            timeout_minutos: Math.round(getPixTimeout(conversation.product)/60000),
+            timestamp: new Date().toISOString(),
+            brazil_time: getBrazilTime(),
+            conversation_id: conversation.id
+        };
+        
+        await sendToN8N(eventData, 'pix_timeout');
+        
+        // Sem resposta até aqui: começa a sequência de follow-ups
+        if (conversation.responseCount === 0 && !conversation.funilInProgress) {
+            try {
+                await scheduleNextFollowup(conversation, 0);
+            } catch (dbError) {
+                console.error(`❌ Erro ao agendar follow-up ${orderCode}: ${dbError.message}`);
+            }
+        }
+        
+        console.log(`✅ Timeout PIX processado: ${orderCode}`);
+        return true;
+        
+    } catch (error) {
+        // Repassa o erro para o agendador tentar de novo
+        console.error(`❌ Erro ao processar timeout PIX: ${error.message}`);
+        throw error;
+    }
+}
+
+// ============================================
+// FOLLOW-UPS APÓS TIMEOUT PIX
+// ============================================
+
+function defaultFollowupEventType(step) {
+    return `followup_${String(step).padStart(2, '0')}`;
+}
+
+/**
+ * Cronograma padrão (FOLLOWUP_SCHEDULE em minutos após o timeout)
+ */
+function getDefaultFollowupSchedule() {
+    return CONFIG.FOLLOWUP_SCHEDULE
+        .split(',')
+        .map(value => parseInt(value))
+        .filter(minutes => minutes > 0)
+        .map((minutes, index) => ({
+            step: index + 1,
+            delay_minutes: minutes,
+            event_type: defaultFollowupEventType(index + 1)
+        }));
+}
+
+async function loadFollowupSteps() {
+    try {
+        const result = await database.query(
+            'SELECT * FROM followup_steps WHERE active = TRUE ORDER BY product, step'
+        );
+        followupSteps = result.rows;
+        console.log(`📆 Etapas de follow-up carregadas: ${followupSteps.length}`);
+    } catch (error) {
+        console.error(`❌ Erro ao carregar etapas de follow-up: ${error.message}`);
+    }
+}
+
+/**
+ * Cronograma do produto: etapas do produto → etapas '*' → FOLLOWUP_SCHEDULE
+ */
+function getFollowupSchedule(product) {
+    for (const key of [product, '*']) {
+        const steps = followupSteps.filter(s => s.product === key);
+        if (steps.length > 0) {
+            return steps.map(s => ({ ...s, event_type: s.event_type || defaultFollowupEventType(s.step) }));
+        }
+    }
+    return getDefaultFollowupSchedule();
+}
+
+/**
+ * Agenda o próximo follow-up do pedido (afterStep 0 = logo após o timeout)
+ */
+async function scheduleNextFollowup(conversation, afterStep) {
+    const schedule = getFollowupSchedule(conversation.product);
+    const current = schedule.find(s => s.step === afterStep);
+    const next = schedule.find(s => s.step > afterStep);
+    
+    if (!next) return null;
+    
+    const delayMs = Math.max(0, next.delay_minutes - (current ? current.delay_minutes : 0)) * 60000;
+    
+    // Cada etapa é registrada uma vez por pedido (job repetido não reagenda)
+    const inserted = await database.query(`
+        INSERT INTO followups (order_code, phone, product, step, event_type, status, scheduled_for)
+        VALUES ($1, $2, $3, $4, $5, 'scheduled', NOW() + ($6 || ' milliseconds')::INTERVAL)
+        ON CONFLICT (order_code, step) DO NOTHING
+        RETURNING id
+    `, [conversation.orderCode, conversation.phone, conversation.product, next.step, next.event_type, String(delayMs)]);
+    
+    if (inserted.rows.length === 0) {
+        console.log(`📆 Follow-up ${next.step} de ${conversation.orderCode} já registrado - não reagendado`);
+        return null;
+    }
+    
+    try {
+        await scheduleJob('followup', conversation.orderCode, delayMs, { phone: conversation.phone, step: next.step });
+    } catch (error) {
+        await markFollowup(conversation.orderCode, next.step, 'cancelled', 'erro_agendamento');
+        throw error;
+    }
+    
+    console.log(`📆 Follow-up ${next.step}/${schedule.length} agendado: ${Math.round(delayMs/60000)} minutos para ${conversation.orderCode}`);
+    return next;
+}
+
+/**
+ * Para os follow-ups pendentes por pedido, telefone e/ou produto
+ */
+async function cancelFollowups({ orderCode = null, phone = null, product = null }, reason) {
+    if (!orderCode && !phone) return 0;
+    
+    try {
+        const result = await database.query(`
+            UPDATE followups SET status = 'cancelled', reason = $4, updated_at = NOW()
+            WHERE status = 'scheduled'
+              AND ($1::text IS NULL OR order_code = $1)
+              AND ($2::text IS NULL OR phone = $2)
+              AND ($3::text IS NULL OR product = $3)
+            RETURNING order_code
+        `, [orderCode, phone, product, reason]);
+        
+        const orderCodes = [...new Set(result.rows.map(row => row.order_code))];
+        for (const code of orderCodes) {
+            await cancelScheduledJobs('followup', code);
+            console.log(`🛑 Follow-ups de ${code} encerrados (${reason})`);
+        }
+        
+        return orderCodes.length;
+        
+    } catch (dbError) {
+        console.warn(`⚠️ Erro ao cancelar follow-ups: ${dbError.message}`);
+        return 0;
+    }
+}
+
+/**
+ * Fecha a etapa ainda agendada - retorna false se ela já foi enviada ou cancelada
+ */
+async function markFollowup(orderCode, step, status, reason = null) {
+    const result = await database.query(`
+        UPDATE followups SET
+            status = $3,
+            reason = $4,
+            sent_at = CASE WHEN $3 = 'sent' THEN NOW() ELSE sent_at END,
+            updated_at = NOW()
+        WHERE order_code = $1 AND step = $2 AND status = 'scheduled'
+        RETURNING id
+    `, [orderCode, step, status, reason]);
+    
+    return result.rows.length > 0;
+}
+
+/**
+ * Conversa de um telefone com follow-up agendado que já saiu da memória
+ */
+async function restoreFollowupConversation(phone) {
+    const result = await database.query(`
+        SELECT c.* FROM conversations c
+        JOIN followups f ON f.order_code = c.order_code
+        WHERE f.phone = $1 AND f.status = 'scheduled'
+        ORDER BY f.id DESC
+        LIMIT 1
+    `, [phone]);
+    
+    if (result.rows.length === 0) return null;
+    
+    const conversation = rowToConversation(result.rows[0]);
+    conversations.set(conversation.orderCode, conversation);
+    console.log(`♻️ Conversa ${conversation.orderCode} recarregada do banco (follow-up agendado)`);
+    return conversation;
+}
+
+/**
+ * Conversa do follow-up - volta do banco se não estiver na memória
+ */
+async function getFollowupConversation(orderCode) {
+    const cached = conversations.get(orderCode);
+    if (cached) return cached;
+    
+    const result = await database.query('SELECT * FROM conversations WHERE order_code = $1', [orderCode]);
+    if (result.rows.length === 0) return null;
+    
+    const conversation = rowToConversation(result.rows[0]);
+    conversations.set(orderCode, conversation);
+    return conversation;
+}
+
+async function handleFollowupDue(orderCode, phone, step) {
+    try {
+        const conversation = await getFollowupConversation(orderCode);
+        
+        // Pedido pago, respondido ou em opt-out não recebe mais follow-up
+        let reason = null;
+        if (!conversation) {
+            reason = 'sem_conversa';
+        } else if (isOptedOut(phone)) {
+            reason = 'opt_out';
+        } else if (conversation.status !== 'timeout') {
+            reason = PAID_CONVERSATION_STATUSES.includes(conversation.status) ? 'pago' : `status_${conversation.status}`;
+        } else if (conversation.responseCount > 0 || conversation.funilInProgress || conversation.waitingConfirmation) {
+            reason = 'resposta';
+        }
+        
+        if (reason) {
+            console.log(`🛑 Follow-up ${step} de ${orderCode} não enviado (${reason})`);
+            await markFollowup(orderCode, step, 'cancelled', reason);
+            return;
+        }
+        
+        const schedule = getFollowupSchedule(conversation.product);
+        const followup = schedule.find(s => s.step === step) || { step, delay_minutes: null, event_type: defaultFollowupEventType(step) };
+        
+        conversation.followupStep = step;
+        conversation.lastActivity = new Date();
+        conversations.set(orderCode, conversation);
+        await persistConversationState(conversation);
+        
+        const firstName = getFirstName(conversation.clientName);
+        const eventData = {
+            event_type: followup.event_type,
+            produto: conversation.product,
+            instancia: conversation.instance,
+            evento_origem: 'pix',
+            gateway: conversation.gateway || 'perfectpay',
+            cliente: {
+                nome: firstName,
+                telefone: conversation.phone,
+                nome_completo: conversation.clientName
+            },
+            pedido: {
+                codigo: orderCode,
+                valor: conversation.amount,
+                pix_url: conversation.pixUrl
+            },
+            followup: {
+                etapa: step,
+                total_etapas: schedule.length,
+                minutos_apos_timeout: followup.delay_minutes
+            },
+            timestamp: new Date().toISOString(),
+            brazil_time: getBrazilTime(),
+            conversation_id: conversation.id
+        };
+        
+        // Reserva a etapa antes do envio: retentativa do job não manda o mesmo follow-up de novo
+        if (!await markFollowup(orderCode, step, 'sent')) {
+            console.log(`🛑 Follow-up ${step} de ${orderCode} já enviado ou cancelado - ignorando`);
+            return;
+        }
+        
+        await sendToN8N(eventData, followup.event_type);
+        
+        console.log(`✅ Follow-up ${step}/${schedule.length} enviado: ${orderCode}`);
+        
+        try {
+            await scheduleNextFollowup(conversation, step);
+        } catch (error) {
+            console.error(`❌ Erro ao agendar próximo follow-up de ${orderCode}: ${error.message}`);
+        }
+        return true;
+        
+    } catch (error) {
+        console.error(`❌ Erro ao processar follow-up ${step} de ${orderCode}: ${error.message}`);
+        throw error;
+    }
+}
+
+// ============================================
+// RECUPERAÇÃO (CARTÃO RECUSADO E CHECKOUT ABANDONADO)
+// ============================================
+
+/**
+ * Fluxos de recuperação: status enquanto aguarda o prazo e o prazo em ms
+ * No prazo o N8N recebe o evento do fluxo e a conversa fica em 'recovery',
+ * seguindo o funil da origem (mesmo nome do fluxo) como o timeout PIX
+ */
+const RECOVERY_FLOWS = {
+    cartao_recusado: {
+        label: 'Cartão recusado',
+        pendingStatus: 'card_declined',
+        delayMs: CONFIG.CARD_DECLINED_RECOVERY_DELAY
+    },
+    checkout_abandonado: {
+        label: 'Checkout abandonado',
+        pendingStatus: 'checkout_abandoned',
+        delayMs: CONFIG.ABANDONED_CHECKOUT_RECOVERY_DELAY
+    }
+};
+
+const RECOVERY_STATUSES = [...Object.values(RECOVERY_FLOWS).map(flow => flow.pendingStatus), 'recovery'];
+
+async function handleRecoveryOrder(flowName, orderCode, phoneNumber, firstName, fullName, product, amount, gateway = 'perfectpay') {
+    try {
+        const flow = RECOVERY_FLOWS[flowName];
+        console.log(`🛟 ${flow.label.toUpperCase()}: ${orderCode} | ${product} | ${firstName}`);
+        
+        if (isOptedOut(phoneNumber)) {
+            await skipOptedOutOrder(orderCode, phoneNumber);
+            return;
+        }
+        
+        // Cliente que já pagou este produto não entra em recuperação
+        const paid = getPhoneConversations(phoneNumber)
+            .find(c => c.product === product && PAID_CONVERSATION_STATUSES.includes(c.status));
+        if (paid) {
+            console.log(`ℹ️ ${getConversationKey(phoneNumber)} já tem ${product} pago (${paid.orderCode}) - sem recuperação`);
+            return;
+        }
+        
+        const instanceName = await getInstanceForClient(phoneNumber, product);
+        const conversationKey = getConversationKey(phoneNumber);
+        
+        console.log(`🔑 Salvando recuperação (${flowName}) com chave: ${conversationKey}`);
+        
+        const conversation = {
+            phone: conversationKey,
+            orderCode: orderCode,
+            product: product,
+            status: flow.pendingStatus,
+            origin: flowName,
+            instance: instanceName,
+            amount: amount,
+            clientName: fullName,
+            createdAt: new Date(),
+            lastActivity: new Date(),
+            responseCount: 0,
+            pixUrl: '',
+            id: Date.now(),
+            gateway: gateway,
+            funnelId: resolveFunnel(product, flowName).id,
+            // Flags de controle de funil
+            waitingConfirmation: false,
+            pendingStep: null,
+            funilInProgress: false
+        };
+        
+        conversations.set(conversation.orderCode, conversation);
+        
+        try {
+            await database.query(`
+                INSERT INTO conversations 
+                (phone, order_code, product, status, origin, instance_name, amount, client_name, conversation_ref, funnel_id, gateway, created_at, updated_at, last_activity_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW(), NOW(), NOW())
+                ON CONFLICT (order_code) 
+                DO UPDATE SET 
+                    status = $4,
+                    origin = $5,
+                    instance_name = $6,
+                    amount = $7,
+                    client_name = $8,
+                    conversation_ref = $9,
+                    funnel_id = $10,
+                    gateway = $11,
+                    responses_count = 0,
+                    waiting_confirmation = FALSE,
+                    funil_in_progress = FALSE,
+                    pending_step = NULL,
+                    last_activity_at = NOW(),
+                    updated_at = NOW()
+            `, [conversationKey, orderCode, product, flow.pendingStatus, flowName, instanceName, amount, fullName, conversation.id, conversation.funnelId, gateway]);
+            
+            console.log(`💾 Recuperação salva no banco`);
+        } catch (dbError) {
+            console.warn(`⚠️ Erro ao salvar no banco: ${dbError.message}`);
+            throw dbError;
+        }
+        
+        try {
+            await scheduleJob('recovery', orderCode, flow.delayMs, { phone: conversationKey, flow: flowName });
+            console.log(`⏰ Recuperação agendada: ${Math.round(flow.delayMs/60000)} minutos para ${orderCode}`);
+        } catch (dbError) {
+            console.error(`❌ Erro ao agendar recuperação ${orderCode}: ${dbError.message}`);
+            throw dbError;
+        }
+        
+        console.log(`✅ ${flow.label} processado: ${orderCode}`);
+        return true;
+        
+    } catch (error) {
+        console.error(`❌ Erro ao processar recuperação ${flowName}: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Prazo da recuperação venceu sem pagamento - avisa o N8N para iniciar o contato
+ */
+async function handleRecoveryDue(orderCode, phone, flowName) {
+    try {
+        const flow = RECOVERY_FLOWS[flowName];
+        if (!flow) {
+            throw new Error(`Fluxo de recuperação desconhecido: ${flowName}`);
+        }
+        
+        const conversation = conversations.get(orderCode);
+        if (!conversation || conversation.status !== flow.pendingStatus) {
+            console.log(`ℹ️ Pedido ${orderCode} não está mais em ${flow.pendingStatus}, cancelando recuperação`);
+            return;
+        }
+        
+        if (isOptedOut(phone)) {
+            console.log(`🚫 ${phone} está em opt-out - recuperação sem evento`);
+            return;
+        }
+        
+        // Cliente já seguiu com outro pedido do mesmo produto (ex.: pagou por PIX)
+        const newer = getPhoneConversations(phone)
+            .find(c => c.orderCode !== orderCode && c.product === conversation.product && c.createdAt > conversation.createdAt);
+        if (newer) {
+            console.log(`ℹ️ ${orderCode} substituído por ${newer.orderCode} (${newer.status}) - sem recuperação`);
+            conversation.status = 'substituido';
+            conversations.set(orderCode, conversation);
+            await persistConversationState(conversation);
+            return;
+        }
+        
+        // Banco primeiro: se falhar, o job é repetido com a conversa ainda aguardando
+        await database.query(
+            'UPDATE conversations SET status = $1, last_activity_at = NOW(), updated_at = NOW() WHERE order_code = $2',
+            ['recovery', orderCode]
+        );
+        
+        conversation.status = 'recovery';
+        conversation.lastActivity = new Date();
+        conversations.set(orderCode, conversation);
+        
+        const firstName = getFirstName(conversation.clientName);
+        const eventData = {
+            event_type: flowName,
+            produto: conversation.product,
+            instancia: conversation.instance,
+            evento_origem: flowName,
+            gateway: conversation.gateway || 'perfectpay',
+            cliente: {
+                nome: firstName,
+                telefone: conversation.phone,
+                nome_completo: conversation.clientName
+            },
+            pedido: {
+                codigo: orderCode,
+                valor: conversation.amount
+            },
+            atraso_minutos: Math.round(flow.delayMs/60000),
+            timestamp: new Date().toISOString(),
+            brazil_time: getBrazilTime(),
+            conversation_id: conversation.id
+        };
+        
+        await sendToN8N(eventData, flowName);
+        
+        console.log(`✅ Recuperação ${flowName} iniciada: ${orderCode}`);
+        return true;
+        
+    } catch (error) {
+        // Repassa o erro para o agendador tentar de novo
+        console.error(`❌ Erro ao iniciar recuperação: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Venda aprovada: conversas de recuperação do mesmo telefone e produto viram conversão
+ */
+async function convertRecoveryConversations(phoneNumber, product, paidOrderCode) {
+    const recovering = getPhoneConversations(phoneNumber)
+        .filter(c => c.product === product && RECOVERY_STATUSES.includes(c.status));
+    
+    for (const conversation of recovering) {
+        console.log(`🎉 Recuperação convertida: ${conversation.orderCode} (${conversation.origin}) → ${paidOrderCode}`);
+        
+        if (await cancelScheduledJobs('recovery', conversation.orderCode)) {
+            console.log(`🗑️ Recuperação cancelada por pagamento: ${conversation.orderCode}`);
+        }
+        
+        conversation.status = 'convertido';
+        conversation.waitingConfirmation = false;
+        conversation.funilInProgress = false;
+        conversation.pendingStep = null;
+        conversation.lockedAt = null;
+        conversation.lastActivity = new Date();
+        conversations.set(conversation.orderCode, conversation);
+        await persistConversationState(conversation);
+        
+        await sendConversionEvent(conversation, null, paidOrderCode);
+    }
+    
+    return recovering.length;
+}
+
+// ============================================
+// PROCESSAMENTO DE CONVERSÃO PIX
+// ============================================
+
+async function sendConversionEvent(conversation, messageContent, paidOrderCode = conversation.orderCode) {
+    try {
+        const firstName = getFirstName(conversation.clientName);
+        
+        console.log(`🎯 Enviando evento de conversão: ${conversation.orderCode}`);
+        
+        const eventData = {
+            event_type: 'convertido',
+            produto: conversation.product,
+            instancia: conversation.instance,
+            evento_origem: `${getConversationOrigin(conversation)}_convertido`,
+            cliente: {
+                telefone: conversation.phone,
+                nome: firstName,
+                nome_completo: conversation.clientName
+            },
+            conversao: {
+                resposta_numero: conversation.responseCount + 1,
+                conteudo_resposta: messageContent,
+                valor_original: conversation.amount,
+                pedido_pago: paidOrderCode,
+                timestamp: new Date().toISOString(),
+                brazil_time: getBrazilTime()
+            },
+            pedido: {
+                codigo: conversation.orderCode,
+                valor: conversation.amount,
+                pix_url: conversation.pixUrl || ''
+            },
+            timestamp: new Date().toISOString(),
+            brazil_time: getBrazilTime(),
+            conversation_id: conversation.id
+        };
+        
+        const delivery = await sendToN8N(eventData, 'convertido');
+        
+        if (delivery === 'sent') {
+            console.log(`✅ Evento de conversão enviado: ${conversation.orderCode}`);
+        } else if (delivery === 'queued') {
+            console.warn(`⚠️ Evento de conversão não entregue agora - segue no outbox: ${conversation.orderCode}`);
+        } else {
+            console.error(`❌ Evento de conversão perdido (outbox indisponível): ${conversation.orderCode}`);
+        }
+        
+        return delivery === 'sent';
+        
+    } catch (error) {
+        console.error(`❌ Erro ao enviar evento de conversão: ${error.message}`);
+        return false;
+    }
+}
+
+// ============================================
+// VERIFICAÇÃO DE STATUS DE PAGAMENTO
+// ============================================
+
+async function checkPaymentStatus(orderCode) {
+    try {
+        // Verificar na memória primeiro (mais rápido)
+        const conv = conversations.get(orderCode);
+        if (conv) {
+            const isPaid = PAID_CONVERSATION_STATUSES.includes(conv.status);
+            if (isPaid) {
+                console.log(`💰 Pagamento confirmado (cache): ${orderCode}`);
+                return true;
+            }
+        }
+        
+        // Verificar no banco
+        try {
+            const result = await database.query(
+                'SELECT status FROM conversations WHERE order_code = $1 ORDER BY updated_at DESC LIMIT 1',
+                [orderCode]
+            );
+            
+            if (result.rows.length > 0) {
+                const status = result.rows[0].status;
+                const isPaid = PAID_CONVERSATION_STATUSES.includes(status);
+                if (isPaid) {
+                    console.log(`💰 Pagamento confirmado (banco): ${orderCode}`);
+                }
+                return isPaid;
+            }
+        } catch (dbError) {
+            console.warn(`⚠️ Erro ao verificar pagamento no banco: ${dbError.message}`);
+        }
+        
+        return false;
+        
+    } catch (error) {
+        console.error(`❌ Erro ao verificar status de pagamento: ${error.message}`);
+        return false;
+    }
+}
+
+// ============================================
+// PROCESSAMENTO DE MENSAGEM DO SISTEMA
+// ============================================
+
+async function handleSystemMessage(clientNumber, messageContent, instanceName) {
+    try {
+        const conversationKey = getConversationKey(clientNumber);
+        console.log(`📤 Mensagem do sistema para: ${conversationKey}`);
+        
+        // Buscar conversa
+        const conversation = getConversationForReply(conversationKey);
+        if (conversation) {
+            conversation.lastActivity = new Date();
+            conversations.set(conversation.orderCode, conversation);
+            await persistConversationState(conversation);
+            console.log(`⏰ Última atividade atualizada`);
+        }
+        
+    } catch (error) {
+        console.error(`❌ Erro ao processar mensagem do sistema: ${error.message}`);
+        throw error;
+    }
+}
+
+// ============================================
+// PROCESSAMENTO DE RESPOSTA DO CLIENTE - PARTE CRÍTICA
+// ============================================
+
+async function handleClientResponse(clientNumber, messageContent, instanceName, messageData, parsedMessage = parseEvolutionMessage(messageData?.message)) {
+    try {
+        const conversationKey = getConversationKey(clientNumber);
+        const messageType = parsedMessage.type;
+        console.log(`📥 RESPOSTA CLIENTE: ${conversationKey} | ${messageType} | "${messageContent.substring(0, 50)}..."`);
+        
+        // Telefones em opt-out não voltam para o funil
+        if (isOptedOut(conversationKey)) {
+            console.log(`🚫 ${conversationKey} está em opt-out - ignorando mensagem`);
+            return;
+        }
+        
+        // Reação a uma mensagem nossa não é resposta
+        if (messageType === 'reaction') {
+            console.log(`👍 Reação de ${conversationKey} (${parsedMessage.reaction?.emoji || 'removida'}) - ignorada pelo funil`);
+            return;
+        }
+        
+        // Mensagem apagada/editada, voto em enquete e tipos desconhecidos também não
+        if (!INBOUND_MESSAGE_TYPES.includes(messageType)) {
+            console.log(`⏭️ Mensagem ${messageType} de ${conversationKey} - ignorada pelo funil`);
+            return;
+        }
+        
+        if (TEXTUAL_MESSAGE_TYPES.includes(messageType)) {
+            const confirmation = takeOptOutConfirmation(conversationKey, messageContent);
+            if (confirmation) {
+                await registerOptOut(conversationKey, { source: 'keyword', keyword: confirmation.keyword, message: confirmation.message, reason: 'confirmado' });
+                return;
+            }
+            
+            // Só a mensagem inteira ("pare", "sair") descadastra direto; no meio de uma frase, pergunta antes
+            const optOutKeyword = matchOptOutKeyword(messageContent);
+            if (optOutKeyword) {
+                await registerOptOut(conversationKey, { source: 'keyword', keyword: optOutKeyword, message: messageContent });
+                return;
+            }
+            
+            const mentionedKeyword = findOptOutKeyword(messageContent);
+            if (mentionedKeyword) {
+                await requestOptOutConfirmation(conversationKey, instanceName, mentionedKeyword, messageContent);
+                return;
+            }
+        }
+        
+        // Buscar conversa ativa (o telefone pode ter vários pedidos) - ou a que aguarda follow-up fora da memória
+        const conversation = getConversationForReply(conversationKey) || await restoreFollowupConversation(conversationKey);
+        
+        // Qualquer resposta do telefone encerra os follow-ups pendentes
+        await cancelFollowups({ phone: conversationKey }, 'resposta');
+        
+        if (!conversation) {
+            console.log(`⚠️ Cliente ${conversationKey} não encontrado nas conversas ativas`);
+            console.log(`📋 Pedidos ativos: ${conversations.size}`);
+            return;
+        }
+        
+        // Pedido criado sem instância disponível fica com o chip em que o cliente escreveu
+        if (!conversation.instance && instanceName) {
+            conversation.instance = instanceName;
+            try {
+                await database.query(
+                    'UPDATE conversations SET instance_name = $1, updated_at = NOW() WHERE order_code = $2',
+                    [instanceName, conversation.orderCode]
+                );
+            } catch (dbError) {
+                console.warn(`⚠️ Erro ao salvar instância da conversa: ${dbError.message}`);
+            }
+        }
+        
+        const phoneOrders = getPhoneConversations(conversationKey).length;
+        if (phoneOrders > 1) {
+            console.log(`🧾 ${phoneOrders} pedidos para ${conversationKey} - resposta roteada para ${conversation.orderCode} (${conversation.product})`);
+        }
+        
+        if (STOPPED_FUNNEL_STATUSES.includes(conversation.status)) {
+            console.log(`⛔ Pedido ${conversation.orderCode} está ${conversation.status} - funil encerrado`);
+            return;
+        }
+        
+        // VERIFICAÇÃO CRÍTICA 1: Se o funil está em progresso, ignorar mensagem
+        if (conversation.funilInProgress) {
+            console.log(`🚧 Cliente ${conversationKey} - funil em progresso - ignorando mensagem`);
+            console.log(`   Status: ${conversation.status}`);
+            console.log(`   Etapa atual: ${conversation.responseCount}/${getTotalSteps(conversation)}`);
+            console.log(`   Aguardando confirmação do N8N para continuar`);
+            return;
+        }
+        
+        // VERIFICAÇÃO CRÍTICA 2: Se está aguardando confirmação do N8N, ignorar
+        if (conversation.waitingConfirmation) {
+            console.log(`⏳ Cliente ${conversationKey} aguardando confirmação N8N - ignorando mensagem`);
+            return;
+        }
+        
+        // Verificar se PIX (ou pedido em recuperação) foi pago durante o fluxo
+        if (conversation.status === 'pix_pending' || RECOVERY_STATUSES.includes(conversation.status)) {
+            const isPaid = await checkPaymentStatus(conversation.orderCode);
+            
+            if (isPaid) {
+                console.log(`🎉 Pedido pago durante fluxo (${getConversationOrigin(conversation)}) - processando conversão`);
+                
+                // Cancelar timeout PIX / recuperação
+                const pendingJob = conversation.status === 'pix_pending' ? 'pix_timeout' : 'recovery';
+                if (await cancelScheduledJobs(pendingJob, conversation.orderCode)) {
+                    console.log(`🗑️ Job ${pendingJob} cancelado por pagamento`);
+                }
+                
+                // Atualizar status
+                conversation.status = 'convertido';
+                conversation.lastActivity = new Date();
+                conversations.set(conversation.orderCode, conversation);
+                await persistConversationState(conversation);
+                
+                // Salvar contato se for primeira resposta
+                if (conversation.responseCount === 0 && shouldSaveContact(messageContent, messageType)) {
+                    await saveContactAutomatically(conversationKey, conversation.instance, conversation);
+                }
+                
+                // Enviar evento de conversão
+                await sendConversionEvent(conversation, messageContent);
+                return;
+            }
+        }
+        
+        // Determinar próximo passo baseado em responseCount
+        const funnel = getConversationFunnel(conversation);
+        const nextStep = conversation.responseCount + 1;
+        const step = funnel.steps.find(s => s.step === nextStep);
+        
+        if (!step) {
+            console.log(`✅ Funil completo - ${conversationKey} já recebeu todas as ${funnel.steps.length} etapas`);
+            return;
+        }
+        
+        // Etapa pode aceitar só alguns tipos (ex.: esperar um áudio ou uma opção da lista)
+        const acceptedTypes = step.accepted_types ? step.accepted_types.split(',') : null;
+        if (acceptedTypes && !acceptedTypes.includes(messageType)) {
+            console.log(`⏭️ Etapa ${nextStep} aceita ${step.accepted_types} - mensagem ${messageType} não avança o funil`);
+            return;
+        }
+        
+        const eventType = step.event_type || defaultStepEventType(nextStep);
+        console.log(`📋 Iniciando envio da ${eventType} (${step.name || `etapa ${nextStep}`}) para ${conversationKey}`);
+        
+        // SALVAR CONTATO NA PRIMEIRA RESPOSTA
+        if (nextStep === 1 && shouldSaveContact(messageContent, messageType)) {
+            const contactResult = await saveContactAutomatically(conversationKey, conversation.instance, conversation);
+            if (contactResult.success) {
+                console.log(`📇 Contato salvo automaticamente na primeira resposta`);
+            }
+        }
+        
+        // MARCAR CONVERSA COMO BLOQUEADA ATÉ CONFIRMAÇÃO
+        conversation.waitingConfirmation = true;
+        conversation.funilInProgress = true;
+        conversation.pendingStep = nextStep;
+        conversation.lockedAt = new Date();
+        conversation.stepRetries = 0;
+        conversation.lastActivity = new Date();
+        conversations.set(conversation.orderCode, conversation);
+        await persistConversationState(conversation);
+        
+        console.log(`🔒 Conversa bloqueada - aguardando funil completo`);
+        console.log(`   waitingConfirmation: true`);
+        console.log(`   funilInProgress: true`);
+        console.log(`   pendingStep: ${nextStep}`);
+        
+        await dispatchFunnelStep(conversation, funnel, step, messageContent, 0, parsedMessage);
+        
+    } catch (error) {
+        console.error(`❌ Erro ao processar resposta do cliente: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Dispara uma etapa já bloqueada - mensagens nativas ou evento para o N8N
+ * (também usado pelo watchdog para reenviar etapas travadas)
+ */
+async function dispatchFunnelStep(conversation, funnel, step, messageContent, retryAttempt = 0, parsedMessage = null) {
+    const eventType = step.event_type || defaultStepEventType(step.step);
+    
+    // Etapas com mensagens nativas são enviadas direto pela Evolution API
+    const origin = getConversationOrigin(conversation);
+    const nativeMessages = getStepMessages(conversation.product, origin, step.step);
+    
+    if (nativeMessages.length > 0 && CONFIG.EVOLUTION_API_URL && conversation.instance) {
+        try {
+            await dispatchNativeStep(conversation, step.step, nativeMessages);
+            console.log(`✉️ ${eventType} nativa: ${nativeMessages.length} mensagem(ns) na fila`);
+            
+            if (step.completion === 'on_send') {
+                await completeFunnelStep(conversation);
+            }
+        } catch (error) {
+            console.error(`❌ Falha ao enfileirar ${eventType} nativa - liberando conversa: ${error.message}`);
+            await releaseFunnelLock(conversation);
+        }
+        return;
+    }
+    
+    // Preparar dados para N8N
+    const firstName = getFirstName(conversation.clientName);
+    const eventData = {
+        event_type: eventType,
+        produto: conversation.product,
+        instancia: conversation.instance,
+        evento_origem: origin,
+        cliente: {
+            telefone: conversation.phone,
+            nome: firstName,
+            nome_completo: conversation.clientName
+        },
+        resposta: {
+            numero: step.step,
+            total_etapas: funnel.steps.length,
+            etapa_nome: step.name || null,
+            conteudo: messageContent,
+            tipo: parsedMessage?.type || null,
+            midia: parsedMessage?.media || null,
+            localizacao: parsedMessage?.location || null,
+            contatos: parsedMessage?.contacts || null,
+            selecao: parsedMessage?.selection || null,
+            retentativa: retryAttempt,
+            timestamp: new Date().toISOString(),
+            brazil_time: getBrazilTime()
+        },
+        pedido: {
+            codigo: conversation.orderCode,
+            valor: conversation.amount,
+            pix_url: conversation.pixUrl || ''
+        },
+        timestamp: new Date().toISOString(),
+        brazil_time: getBrazilTime(),
+        conversation_id: conversation.id
+    };
+    
+    // Enviar para N8N - evento no outbox conta como em andamento: o dispatcher
+    // reenvia (ou manda para a dead-letter) e a conversa segue bloqueada
+    const delivery = await sendToN8N(eventData, eventType);
+    
+    if (delivery !== 'failed' && step.completion === 'on_send') {
+        console.log(`✅ ${eventType} ${delivery === 'sent' ? 'enviada' : 'no outbox'} - etapa concluída no envio`);
+        await completeFunnelStep(conversation);
+    } else if (delivery === 'sent') {
+        console.log(`✅ ${eventType} enviada - aguardando execução completa do funil`);
+    } else if (delivery === 'queued') {
+        console.log(`📮 ${eventType} no outbox - conversa segue bloqueada até a entrega`);
+    } else {
+        console.error(`❌ Falha ao enviar ${eventType} - liberando conversa`);
+        
+        // Se falhou, liberar a conversa para não travar permanentemente
+        await releaseFunnelLock(conversation);
+        
+        console.log(`🔓 Conversa liberada por falha no envio`);
+    }
+}
+
+// ============================================
+// AUTENTICAÇÃO DOS WEBHOOKS
+// ============================================
+
+/**
+ * Comparação em tempo constante para tokens e assinaturas
+ */
+function safeCompare(a, b) {
+    const bufA = Buffer.from(String(a || ''));
+    const bufB = Buffer.from(String(b || ''));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Segredo exigido por origem - sem ele o webhook é recusado (503),
+ * a menos que ALLOW_UNAUTHENTICATED_WEBHOOKS=true
+ */
+const WEBHOOK_SECRET_SETTINGS = {
+    perfect: 'PERFECT_PAY_TOKEN',
+    hotmart: 'HOTMART_HOTTOK',
+    kiwify: 'KIWIFY_TOKEN',
+    eduzz: 'EDUZZ_API_KEY',
+    evolution: 'EVOLUTION_API_KEY',
+    n8n: 'WEBHOOK_SECRET'
+};
+
+/**
+ * Verificadores por origem - retornam null se válido ou o motivo da rejeição
+ */
+const WEBHOOK_VERIFIERS = {
+    // Perfect Pay envia o token da conta no corpo do postback
+    perfect: (req) => {
+        const token = req.body?.token;
+        if (!token) return 'token ausente';
+        return safeCompare(token, CONFIG.PERFECT_PAY_TOKEN) ? null : 'token inválido';
+    },
+    
+    // Hotmart envia o hottok no header X-HOTMART-HOTTOK (versões antigas no corpo)
+    hotmart: (req) => {
+        const hottok = req.get('x-hotmart-hottok') || req.body?.hottok;
+        if (!hottok) return 'hottok ausente';
+        return safeCompare(hottok, CONFIG.HOTMART_HOTTOK) ? null : 'hottok inválido';
+    },
+    
+    // Kiwify assina o corpo bruto com HMAC-SHA1 do token e manda em ?signature=
+    kiwify: (req) => {
+        const signature = req.query?.signature;
+        if (!signature) return 'assinatura ausente';
+        
+        const expected = crypto
+            .createHmac('sha1', CONFIG.KIWIFY_TOKEN)
+            .update(req.rawBody ? req.rawBody.toString('utf8') : '')
+            .digest('hex');
+        
+        return safeCompare(signature, expected) ? null : 'assinatura inválida';
+    },
+    
+    // Eduzz envia a api_key da conta no corpo do postback
+    eduzz: (req) => {
+        const apiKey = req.body?.api_key;
+        if (!apiKey) return 'api_key ausente';
+        return safeCompare(apiKey, CONFIG.EDUZZ_API_KEY) ? null : 'api_key inválida';
+    },
+    
+    // Evolution API envia a apikey no header (e também no corpo, conforme a versão)
+    evolution: (req) => {
+        const apikey = req.get('apikey') || req.body?.apikey;
+        if (!apikey) return 'apikey ausente';
+        return safeCompare(apikey, CONFIG.EVOLUTION_API_KEY) ? null : 'apikey inválida';
+    },
+    
+    // N8N assina "<timestamp>.<corpo bruto>" com HMAC-SHA256 do WEBHOOK_SECRET
+    n8n: (req) => {
+        const timestamp = req.get('x-cerebro-timestamp');
+        const signature = (req.get('x-cerebro-signature') || '').replace(/^sha256=/, '');
+        if (!timestamp || !signature) return 'assinatura ausente';
+        
+        const skew = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp));
+        if (!(skew <= CONFIG.WEBHOOK_MAX_SKEW)) return `timestamp fora da janela (${timestamp})`;
+        
+        const expected = crypto
+            .createHmac('sha256', CONFIG.WEBHOOK_SECRET)
+            .update(`${timestamp}.${req.rawBody ? req.rawBody.toString('utf8') : ''}`)
+            .digest('hex');
+        
+        return safeCompare(signature, expected) ? null : 'assinatura inválida';
+    }
+};
+
+/**
+ * Middleware de autenticação de webhook por origem
+ */
+function verifyWebhook(source) {
+    return (req, res, next) => {
+        const setting = WEBHOOK_SECRET_SETTINGS[source];
+        
+        if (setting && !CONFIG[setting]) {
+            if (CONFIG.ALLOW_UNAUTHENTICATED_WEBHOOKS) return next();
+            
+            systemStats.rejectedWebhooks[source]++;
+            console.warn(`🚫 Webhook ${source} recusado: ${setting} não configurado | IP: ${req.ip}`);
+            return res.status(503).json({ success: false, error: 'Webhook não configurado' });
+        }
+        
+        const reason = WEBHOOK_VERIFIERS[source](req);
+        
+        if (reason) {
+            systemStats.rejectedWebhooks[source]++;
+            console.warn(`🚫 Webhook ${source} rejeitado: ${reason} | IP: ${req.ip}`);
+            return res.status(401).json({ success: false, error: 'Não autorizado' });
+        }
+        
+        next();
+    };
+}
+
+// ============================================
+// LOG DE WEBHOOKS RECEBIDOS (IDEMPOTÊNCIA)
+// ============================================
+
+// Entrega presa em "processing" por mais que isso (ex.: restart no meio) pode ser reprocessada
+const INBOUND_PROCESSING_STALE_MINUTES = 5;
+
+/**
+ * Chaves do evento por origem: { dedupeKey, phone, orderCode }
+ * dedupeKey null grava o evento sem deduplicar; phone/orderCode servem para busca
+ */
+const INBOUND_EVENT_KEYS = {
+    // Pedido + status no gateway
+    gateway: (gateway) => (req) => {
+        const order = normalizeGatewayOrder(gateway, req.body);
+        return {
+            dedupeKey: order.orderCode ? `${order.orderCode}:${order.rawStatus || 'sem_status'}` : null,
+            phone: order.phone.valid ? order.phone.e164 : null,
+            orderCode: order.orderCode || null
+        };
+    },
+    
+    // Evento + id da mensagem no WhatsApp (upsert, update e send.message repetem o id;
+    // eventos de conexão não deduplicam)
+    evolution: (req) => {
+        const key = req.body?.data?.key;
+        const jid = parseJid(key?.remoteJid);
+        return {
+            dedupeKey: key?.id ? `${req.body.instance || ''}:${normalizeEvolutionEvent(req.body.event) || 'sem_evento'}:${key.id}` : null,
+            phone: jid.type === 'user' ? normalizePhoneNumber(jid.user) : null,
+            orderCode: null
+        };
+    },
+    
+    n8n: (req) => {
+        const pedido = req.body?.pedido;
+        return {
+            dedupeKey: null,
+            phone: req.body?.telefone ? normalizePhoneNumber(req.body.telefone) : null,
+            orderCode: (typeof pedido === 'object' ? pedido?.codigo : pedido) || null
+        };
+    }
+};
+
+/**
+ * Grava a entrega no log e decide se deve ser processada
+ * Retorna { id, duplicate } - entregas falhas ou presas voltam a ser processadas
+ */
+async function claimInboundEvent(source, capture) {
+    const { dedupeKey, eventType, payload, path, headers, query, phone, orderCode } = capture;
+    const params = [source, dedupeKey, eventType, JSON.stringify(payload || {}), path, JSON.stringify(headers || {}), JSON.stringify(query || {}), phone, orderCode];
+    
+    const inserted = await database.query(`
+        INSERT INTO inbound_events (source, dedupe_key, event_type, payload, path, headers, query, phone, order_code)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        ON CONFLICT (source, dedupe_key) WHERE dedupe_key IS NOT NULL DO NOTHING
+        RETURNING id
+    `, params);
+    
+    if (inserted.rows.length > 0) {
+        return { id: inserted.rows[0].id, duplicate: false };
+    }
+    
+    const reclaimed = await database.query(`
+        UPDATE inbound_events SET
+            status = 'processing',
+            attempts = attempts + 1,
+            payload = $4,
+            headers = $5,
+            query = $6,
+            updated_at = NOW()
+        WHERE source = $1 AND dedupe_key = $2
+          AND (status = 'failed' OR (status = 'processing' AND updated_at < NOW() - ($3 || ' minutes')::INTERVAL))
+        RETURNING id
+    `, [source, dedupeKey, String(INBOUND_PROCESSING_STALE_MINUTES), params[3], params[5], params[6]]);
+    
+    if (reclaimed.rows.length > 0) {
+        return { id: reclaimed.rows[0].id, duplicate: false };
+    }
+    
+    const duplicate = await database.query(`
+        UPDATE inbound_events SET
+            duplicate_count = duplicate_count + 1,
+            last_duplicate_at = NOW()
+        WHERE source = $1 AND dedupe_key = $2
+        RETURNING id, status
+    `, [source, dedupeKey]);
+    
+    return { id: duplicate.rows[0]?.id || null, status: duplicate.rows[0]?.status, duplicate: true };
+}
+
+/**
+ * Fecha a entrega com o status HTTP da resposta (null = conexão caiu antes da resposta)
+ */
+async function finishInboundEvent(id, statusCode) {
+    try {
+        const failed = statusCode === null || statusCode >= 500;
+        await database.query(`
+            UPDATE inbound_events SET
+                status = $2,
+                last_error = $3,
+                processed_at = NOW(),
+                updated_at = NOW()
+            WHERE id = $1
+        `, [id, failed ? 'failed' : 'processed', statusCode === null ? 'conexão encerrada antes da resposta' : failed ? `HTTP ${statusCode}` : null]);
+    } catch (dbError) {
+        console.warn(`⚠️ Erro ao finalizar evento recebido ${id}: ${dbError.message}`);
+    }
+}
+
+/**
+ * Middleware: registra o webhook e responde entregas repetidas sem efeitos colaterais
+ * Sem o log, eventos deduplicáveis voltam com 503 para o remetente tentar de novo
+ */
+function recordInboundEvent(source, eventKeysFn) {
+    return async (req, res, next) => {
+        let claim;
+        let dedupeKey = null;
+        try {
+            const keys = eventKeysFn(req);
+            const { phone, orderCode } = keys;
+            dedupeKey = keys.dedupeKey;
+            const eventType = req.body?.event || req.body?.sale_status_enum_key || req.body?.order_status || null;
+            claim = await claimInboundEvent(source, {
+                dedupeKey,
+                eventType: eventType ? String(eventType).substring(0, 50) : null,
+                payload: redactSecrets(req.body),
+                path: req.path,
+                headers: redactSecrets(req.headers),
+                query: redactSecrets(req.query),
+                phone,
+                orderCode: orderCode ? String(orderCode).substring(0, 50) : null
+            });
+            
+            if (claim.duplicate) {
+                systemStats.duplicateWebhooks[source] = (systemStats.duplicateWebhooks[source] || 0) + 1;
+                console.log(`♻️ Webhook ${source} repetido suprimido: ${dedupeKey} (${claim.status})`);
+                
+                // Primeira entrega ainda rodando: o gateway tenta de novo depois
+                if (claim.status === 'processing') {
+                    return res.status(409).json({
+                        success: false,
+                        duplicate: true,
+                        message: 'Evento em processamento',
+                        dedupe_key: dedupeKey
+                    });
+                }
+                
+                return res.status(200).json({
+                    success: true,
+                    duplicate: true,
+                    message: 'Evento já processado',
+                    dedupe_key: dedupeKey
+                });
+            }
+        } catch (error) {
+            console.error(`❌ Erro ao registrar webhook ${source}: ${error.message}`);
+            
+            // Sem chave não há o que deduplicar - processa mesmo sem o log
+            if (!dedupeKey) return next();
+            
+            return res.status(503).json({
+                success: false,
+                error: 'Log de eventos indisponível - tente novamente',
+                dedupe_key: dedupeKey
+            });
+        }
+        
+        // Requisição abortada ou expirada também fecha o evento (senão fica 'processing'
+        // e as novas tentativas recebem 409 até o prazo de INBOUND_PROCESSING_STALE_MINUTES)
+        let closed = false;
+        const close = (statusCode) => {
+            if (closed) return;
+            closed = true;
+            finishInboundEvent(claim.id, statusCode);
+        };
+        res.on('finish', () => close(res.statusCode));
+        res.on('close', () => {
+            if (!res.writableFinished) close(null);
+        });
+        next();
+    };
+}
+
+// ============================================
+// CAPTURA E REPLAY DE WEBHOOKS
+// ============================================
+
+// Headers e campos que nunca vão para o log de captura
+const REDACTED_HEADERS = ['authorization', 'cookie', 'apikey', 'x-api-key', 'x-hotmart-hottok', 'x-cerebro-signature'];
+const REDACTED_FIELDS = ['token', 'hottok', 'api_key', 'apikey', 'signature', 'password', 'senha'];
+
+// Máximo de eventos por replay
+const REPLAY_MAX_EVENTS = 50;
+
+/**
+ * Cópia do valor com segredos trocados por "[redacted]"
+ */
+function redactSecrets(value, depth = 0) {
+    if (!value || typeof value !== 'object' || depth > 10) return value;
+    if (Array.isArray(value)) return value.map(item => redactSecrets(item, depth + 1));
+    
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+        const lower = key.toLowerCase();
+        result[key] = REDACTED_HEADERS.includes(lower) || REDACTED_FIELDS.includes(lower) ?
+            '[redacted]' : redactSecrets(item, depth + 1);
+    }
+    return result;
+}
+
+/**
+ * Estado em memória protegido do dry-run: dentro de um replay simulado
+ * leituras e escritas vão para a cópia guardada no contexto
+ */
+function replayScoped(name, value) {
+    const current = (target) => replayContext.getStore()?.state?.[name] || target;
+    
+    return new Proxy(value, {
+        get(target, prop) {
+            const scoped = current(target);
+            const result = Reflect.get(scoped, prop, scoped);
+            return typeof result === 'function' ? result.bind(scoped) : result;
+        },
+        set(target, prop, newValue) {
+            return Reflect.set(current(target), prop, newValue);
+        }
+    });
+}
+
+/**
+ * Cópia do estado em memória usado pelos handlers (chamar fora do contexto de replay)
+ */
+function cloneReplayState() {
+    return {
+        conversations: new Map(Array.from(conversations.entries()).map(([key, conv]) => [key, structuredClone(conv)])),
+        optOutPhones: new Set(optOutPhones),
+        optOutConfirmations: new Map(optOutConfirmations),
+        lidMappings: new Map(lidMappings),
+        instanceRegistry: new Map(Array.from(instanceRegistry.entries()).map(([name, row]) => [name, structuredClone(row)])),
+        systemStats: structuredClone({ ...systemStats })
+    };
+}
+
+/**
+ * O que o replay simulado mudaria no estado em memória
+ */
+function diffReplayState(before, after) {
+    const conversationChanges = { created: [], updated: {}, removed: [] };
+    
+    for (const [orderCode, conv] of after.conversations) {
+        const previous = before.conversations.get(orderCode);
+        if (!previous) {
+            conversationChanges.created.push(conv);
+            continue;
+        }
+        
+        const fields = {};
+        for (const field of new Set([...Object.keys(previous), ...Object.keys(conv)])) {
+            if (JSON.stringify(previous[field]) !== JSON.stringify(conv[field])) {
+                fields[field] = { antes: previous[field], depois: conv[field] };
+            }
+        }
+        if (Object.keys(fields).length > 0) conversationChanges.updated[orderCode] = fields;
+    }
+    
+    for (const orderCode of before.conversations.keys()) {
+        if (!after.conversations.has(orderCode)) conversationChanges.removed.push(orderCode);
+    }
+    
+    return {
+        conversations: conversationChanges,
+        opt_outs_added: Array.from(after.optOutPhones).filter(phone => !before.optOutPhones.has(phone)),
+        lid_mappings_added: Array.from(after.lidMappings.entries())
+            .filter(([lid, phone]) => before.lidMappings.get(lid) !== phone)
+            .map(([lid, phone]) => ({ lid, phone }))
+    };
+}
+
+/**
+ * Desvia database.query para a transação do replay simulado
+ */
+function routeReplayQueries(pool) {
+    const poolQuery = pool.query.bind(pool);
+    
+    pool.query = (text, params) => {
+        const replay = replayContext.getStore();
+        return replay?.dryRun ? runReplayQuery(replay, text, params) : poolQuery(text, params);
+    };
+}
+
+/**
+ * Query do dry-run: uma de cada vez na transação do replay, com savepoint
+ * para que um erro não aborte o resto da simulação
+ */
+function runReplayQuery(replay, text, params) {
+    const run = async () => {
+        if (replay.closed) {
+            throw new Error('replay encerrado');
+        }
+        
+        await replay.client.query('SAVEPOINT replay_query');
+        try {
+            const result = await replay.client.query(text, params);
+            await replay.client.query('RELEASE SAVEPOINT replay_query');
+            
+            const write = String(text).match(/^\s*(INSERT\s+INTO|UPDATE|DELETE\s+FROM)\s+(\w+)/i);
+            if (write) {
+                replay.writes.push({ operation: write[1].split(/\s+/)[0].toUpperCase(), table: write[2], rows: result.rowCount || 0 });
+            }
+            return result;
+            
+        } catch (error) {
+            await replay.client.query('ROLLBACK TO SAVEPOINT replay_query');
+            throw error;
+        }
+    };
+    
+    const result = replay.queue.then(run, run);
+    replay.queue = result.catch(() => {});
+    return result;
+}
+
+// Chamadas HTTP do dry-run (N8N, Evolution) são registradas e respondidas com 200 sem sair do servidor
+axios.interceptors.request.use((config) => {
+    const replay = replayContext.getStore();
+    
+    if (replay?.dryRun) {
+        replay.outbound.push({
+            method: String(config.method || 'get').toUpperCase(),
+            url: config.url,
+            data: config.data
+        });
+        config.adapter = async () => ({ data: { dry_run: true }, status: 200, statusText: 'OK', headers: {}, config, request: {} });
+    }
+    
+    return config;
+});
+
+function getReplayHandler(source) {
+    if (PAYMENT_GATEWAYS[source]) return handleGatewayWebhook(source);
+    return { evolution: handleEvolutionWebhook, n8n: handleN8nConfirmWebhook }[source];
+}
+
+/**
+ * Executa o handler atual da origem com o evento capturado
+ */
+async function invokeReplayHandler(event) {
+    const handler = getReplayHandler(event.source);
+    if (!handler) {
+        return { id: event.id, source: event.source, error: `Origem sem handler: ${event.source}` };
+    }
+    
+    const headers = event.headers || {};
+    const req = {
+        method: 'POST',
+        path: event.path,
+        body: event.payload || {},
+        query: event.query || {},
+        headers,
+        ip: 'replay',
+        get: (name) => headers[String(name).toLowerCase()],
+        rawBody: Buffer.from(JSON.stringify(event.payload || {}))
+    };
+    
+    const res = {
+        statusCode: 200,
+        body: undefined,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+    
+    console.log(`⏪ Replay do evento #${event.id} (${event.source}${event.dedupe_key ? ` ${event.dedupe_key}` : ''})`);
+    await handler(req, res);
+    
+    return {
+        id: event.id,
+        source: event.source,
+        received_at: event.received_at,
+        dedupe_key: event.dedupe_key,
+        status_code: res.statusCode,
+        response: res.body
+    };
+}
+
+/**
+ * Reproduz os eventos em sequência
+ * live: efeitos reais | dry-run: cada evento numa transação desfeita logo em seguida
+ * (sem prender locks de linhas reais durante o relatório), memória copiada
+ * e chamadas externas só registradas
+ */
+async function replayInboundEvents(events, { dryRun = true } = {}) {
+    if (!dryRun) {
+        const results = [];
+        for (const event of events) {
+            results.push(await invokeReplayHandler(event));
+        }
+        return { results };
+    }
+    
+    const client = await database.connect();
+    const before = cloneReplayState();
+    const replay = {
+        dryRun: true,
+        client,
+        closed: true,
+        queue: Promise.resolve(),
+        writes: [],
+        outbound: [],
+        state: cloneReplayState()
+    };
+    
+    try {
+        const results = await replayContext.run(replay, async () => {
+            const eventResults = [];
+            for (const event of events) {
+                const writesBefore = replay.writes.length;
+                const outboundBefore = replay.outbound.length;
+                
+                await client.query('BEGIN');
+                replay.closed = false;
+                
+                let result;
+                try {
+                    result = await invokeReplayHandler(event);
+                    await replay.queue;
+                } finally {
+                    // Queries atrasadas deste evento não rodam fora da transação
+                    replay.closed = true;
+                    await replay.queue;
+                    await client.query('ROLLBACK');
+                }
+                
+                eventResults.push({
+                    ...result,
+                    database_writes: replay.writes.slice(writesBefore),
+                    outbound: replay.outbound.slice(outboundBefore)
+                });
+            }
+            return eventResults;
+        });
+        
+        return {
+            results,
+            state_changes: diffReplayState(before, replay.state),
+            database_writes: replay.writes,
+            outbound: replay.outbound
+        };
+        
+    } finally {
+        // Nada do dry-run fica no banco, nem o que chegar depois
+        replay.closed = true;
+        await replay.queue;
+        await client.query('ROLLBACK').catch(() => {});
+        client.release();
+    }
+}
+
+// ============================================
+// AUTENTICAÇÃO ADMINISTRATIVA (PAINEL, DEBUG, EXPORTAÇÃO)
+// ============================================
+
+// Hierarquia de papéis: cada papel inclui as permissões dos anteriores
+const ROLE_LEVELS = {
+    viewer: 1,
+    operator: 2,
+    admin: 3
+};
+
+const SESSION_COOKIE = 'cerebro_session';
+
+/**
+ * Chaves de API vindas do ambiente: ADMIN_API_KEYS="admin:chave1,viewer:chave2"
+ */
+const ADMIN_API_KEYS = CONFIG.ADMIN_API_KEYS
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+        const [role, ...rest] = entry.split(':');
+        return { role: role.trim(), key: rest.join(':').trim() };
+    })
+    .filter(entry => ROLE_LEVELS[entry.role] && entry.key);
+
+/**
+ * Hash de senha com scrypt: "scrypt$<salt>$<hash>"
+ */
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const candidate = crypto.scryptSync(String(password), salt, 64).toString('hex');
+    return safeCompare(candidate, hash);
+}
+
+function hashSessionToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    String(header || '').split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+        }
+    });
+    return cookies;
+}
+
+/**
+ * Cria o usuário admin inicial a partir do ambiente (não sobrescreve senha existente)
+ */
+async function ensureBootstrapAdmin() {
+    if (!CONFIG.ADMIN_USERNAME || !CONFIG.ADMIN_PASSWORD) {
+        if (ADMIN_API_KEYS.length === 0) {
+            console.warn('⚠️ ADMIN_USERNAME/ADMIN_PASSWORD e ADMIN_API_KEYS não configurados - painel sem usuários');
+        }
+        return;
+    }
+    
+    try {
+        const result = await database.query(`
+            INSERT INTO admin_users (username, password_hash, role)
+            VALUES ($1, $2, 'admin')
+            ON CONFLICT (username) DO NOTHING
+            RETURNING id
+        `, [CONFIG.ADMIN_USERNAME, hashPassword(CONFIG.ADMIN_PASSWORD)]);
+        
+        if (result.rows.length > 0) {
+            console.log(`👤 Usuário admin inicial criado: ${CONFIG.ADMIN_USERNAME}`);
+        }
+    } catch (error) {
+        console.error(`❌ Erro ao criar usuário admin: ${error.message}`);
+    }
+}
+
+/**
+ * Identifica quem está chamando: chave de API (header) ou sessão (cookie)
+ */
+async function resolvePrincipal(req) {
+    const bearer = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    const apiKey = req.get('x-api-key') || bearer;
+    
+    if (apiKey) {
+        const match = ADMIN_API_KEYS.find(entry => safeCompare(entry.key, apiKey));
+        return match ? { type: 'api_key', username: `api_key:${match.role}`, role: match.role } : null;
+    }
+    
+    const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (!token) return null;
+    
+    const result = await database.query(
+        'SELECT username, role FROM admin_sessions WHERE token_hash = $1 AND expires_at > NOW()',
+        [hashSessionToken(token)]
+    );
+    
+    if (result.rows.length === 0) return null;
+    return { type: 'session', username: result.rows[0].username, role: result.rows[0].role };
+}
+
+/**
+ * Middleware de autorização por papel mínimo
+ */
+function requireRole(minRole) {
+    return async (req, res, next) => {
+        try {
+            const principal = await resolvePrincipal(req);
+            
+            if (!principal) {
+                // Navegador sem sessão vai para o login
+                if (req.method === 'GET' && (req.get('accept') || '').includes('text/html')) {
+                    return res.redirect('/login');
+                }
+                return res.status(401).json({ success: false, error: 'Autenticação necessária' });
+            }
+            
+            if ((ROLE_LEVELS[principal.role] || 0) < ROLE_LEVELS[minRole]) {
+                console.warn(`🚫 Acesso negado: ${principal.username} (${principal.role}) → ${req.method} ${req.path}`);
+                return res.status(403).json({ success: false, error: `Requer papel ${minRole}` });
+            }
+            
+            req.principal = principal;
+            next();
+            
+        } catch (error) {
+            console.error(`❌ Erro na autenticação: ${error.message}`);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    };
+}
+
+function hasRole(req, role) {
+    return !!req.principal && (ROLE_LEVELS[req.principal.role] || 0) >= ROLE_LEVELS[role];
+}
+
+/**
+ * Mascara telefone para quem não é operador: 5511*****4321
+ */
+function maskPhone(phone) {
+    const value = String(phone || '');
+    if (value.length <= 8) return value.replace(/\d/g, '*');
+    return value.slice(0, 4) + '*'.repeat(value.length - 8) + value.slice(-4);
+}
+
+// ============================================
+// WEBHOOKS PRINCIPAIS
+// ============================================
+
+/**
+ * WEBHOOKS DOS GATEWAYS DE PAGAMENTO
+ * Todos caem no mesmo fluxo depois de normalizados pelo adaptador
+ */
+function handleGatewayWebhook(gateway) {
+    const label = PAYMENT_GATEWAYS[gateway].label;
+    
+    return async (req, res) => {
+        try {
+            const order = normalizeGatewayOrder(gateway, req.body);
+            const { orderCode, status, product, fullName, firstName, phoneNumber, amount, pixUrl } = order;
+            const parsedPhone = order.phone;
+            
+            console.log(`\n📥 WEBHOOK ${label.toUpperCase()}`);
+            console.log(`   Pedido: ${orderCode}`);
+            console.log(`   Status: ${status}${order.rawStatus !== status ? ` (${order.rawStatus})` : ''}`);
+            console.log(`   Produto: ${product}`);
+            console.log(`   Cliente: ${fullName}`);
+            console.log(`   Telefone: ${phoneNumber}${parsedPhone.country ? ` (${parsedPhone.country})` : ''}`);
+            
+            systemStats.totalEvents++;
+            
+            if (!orderCode) {
+                console.warn(`⚠️ Webhook ${label} sem código de pedido`);
+                return res.status(400).json({ success: false, error: 'Código do pedido ausente' });
+            }
+            
+            // Número inválido: sem conversa, só o aviso para a operação
+            if (!parsedPhone.valid) {
+                console.warn(`📵 Telefone inválido no pedido ${orderCode}: ${parsedPhone.reason}`);
+                
+                await sendToN8N({
+                    event_type: 'telefone_invalido',
+                    produto: product,
+                    gateway: gateway,
+                    evento_origem: status === 'approved' ? 'aprovada' : status,
+                    motivo: parsedPhone.reason,
+                    cliente: {
+                        nome: firstName,
+                        nome_completo: fullName,
+                        email: order.email || null,
+                        telefone_informado: order.phoneInput
+                    },
+                    pedido: {
+                        codigo: orderCode,
+                        status: status,
+                        valor: amount
+                    },
+                    timestamp: new Date().toISOString(),
+                    brazil_time: getBrazilTime()
+                }, 'telefone_invalido');
+                
+                return res.status(200).json({
+                    success: false,
+                    message: 'Telefone inválido - pedido sem conversa',
+                    order_code: orderCode,
+                    reason: parsedPhone.reason
+                });
+            }
+            
+            // Plano fora do catálogo: processa como UNKNOWN e avisa a operação
+            if (product === 'UNKNOWN') {
+                const entry = productCatalog.get(order.planCode);
+                await sendAlert('produto_desconhecido', {
+                    motivo: entry ? 'plano_inativo' : 'plano_nao_cadastrado',
+                    gateway: gateway,
+                    plano: order.planCode || null,
+                    plano_nome: order.planName || null,
+                    pedido: orderCode,
+                    status: status,
+                    valor: amount
+                });
+            }
+            
+            // Processar baseado no status
+            const lifecycle = ORDER_STATUS_LIFECYCLE[status];
+            
+            await recordOrderStatus({
+                orderCode,
+                phone: phoneNumber,
+                product,
+                gateway,
+                gatewayStatus: status || order.rawStatus || 'desconhecido',
+                conversationStatus: getLifecycleConversationStatus(lifecycle),
+                eventType: lifecycle?.event || lifecycle?.recovery || null,
+                amount
+            });
+            
+            if (isOptedOut(phoneNumber) && lifecycle && !lifecycle.handler) {
+                console.log(`🚫 ${phoneNumber} está em opt-out - status ${status} só registrado`);
+            } else if (lifecycle?.handler === 'approved') {
+                await handleApprovedSale(orderCode, phoneNumber, firstName, fullName, product, amount, gateway);
+            } else if (lifecycle?.handler === 'pix') {
+                await handlePendingPix(orderCode, phoneNumber, firstName, fullName, product, amount, pixUrl, gateway);
+            } else if (lifecycle?.handler === 'recovery') {
+                await handleRecoveryOrder(lifecycle.recovery, orderCode, phoneNumber, firstName, fullName, product, amount, gateway);
+            } else if (lifecycle) {
+                await handleOrderTransition(orderCode, phoneNumber, status, lifecycle, { product, fullName, amount, gateway });
+            } else {
+                console.log(`ℹ️ Status desconhecido: ${order.rawStatus}`);
+            }
+            
+            res.status(200).json({ 
+                success: true, 
+                message: `${label} processado`,
+                order_code: orderCode,
+                product: product,
+                phone_normalized: getConversationKey(phoneNumber)
+            });
+            
+        } catch (error) {
+            console.error(`❌ Erro no webhook ${label}: ${error.message}`);
+            systemStats.failedEvents++;
+            res.status(500).json({ success: false, error: error.message });
+        }
+    };
+}
+
+for (const [gateway, adapter] of Object.entries(PAYMENT_GATEWAYS)) {
+    app.post(
+        adapter.route,
+        verifyWebhook(adapter.verifier),
+        recordInboundEvent(gateway, INBOUND_EVENT_KEYS.gateway(gateway)),
+        handleGatewayWebhook(gateway)
+    );
+}
+
+// ============================================
+// EVENTOS DE CONEXÃO DA EVOLUTION API
+// ============================================
+
+// Códigos de desconexão do WhatsApp (Baileys) que exigem ação humana
+const DISCONNECT_REASONS = {
+    401: { state: 'logged_out', alert: 'instancia_requer_qrcode', label: 'sessão encerrada - escanear QR code' },
+    403: { state: 'banned', alert: 'instancia_banida', label: 'número banido pelo WhatsApp' }
+};
+
+/**
+ * Normaliza o nome do evento: v1 envia CONNECTION_UPDATE, v2 envia connection.update
+ */
+function normalizeEvolutionEvent(event) {
+    return String(event || '').toLowerCase().replace(/_/g, '.');
+}
+
+/**
+ * Handlers dos eventos de ciclo de vida da instância
+ * Cada um recebe (instanceName, data) e retorna um resumo para a resposta HTTP
+ */
+const EVOLUTION_CONNECTION_HANDLERS = {
+    'connection.update': async (instanceName, data) => {
+        const state = data?.state || 'unknown';
+        const statusReason = parseInt(data?.statusReason) || null;
+        
+        if (state === 'open') {
+            await updateInstanceHealth(instanceName, 'open', true, 'webhook');
+            return { state: 'open' };
+        }
+        
+        // Reconexão em andamento não derruba a instância
+        if (TRANSIENT_CONNECTION_STATES.includes(state)) {
+            await updateInstanceHealth(instanceName, state, true, 'webhook');
+            return { state, transient: true };
+        }
+        
+        const reason = state === 'close' ? DISCONNECT_REASONS[statusReason] : null;
+        const finalState = reason ? reason.state : state;
+        const details = statusReason ? `statusReason ${statusReason}` : null;
+        
+        await updateInstanceHealth(instanceName, finalState, false, 'webhook', details, reason ? {
+            type: reason.alert,
+            details: {
+                instancia: instanceName,
+                estado: finalState,
+                motivo: reason.label,
+                status_reason: statusReason
+            }
+        } : null);
+        
+        return { state: finalState, status_reason: statusReason };
+    },
+    
+    // QR code novo = instância desconectada aguardando leitura
+    'qrcode.updated': async (instanceName) => {
+        await updateInstanceHealth(instanceName, 'qrcode', false, 'webhook', 'aguardando leitura do QR code', {
+            type: 'instancia_requer_qrcode',
+            details: {
+                instancia: instanceName,
+                estado: 'qrcode',
+                motivo: 'QR code gerado - escanear para reconectar'
+            }
+        });
+        
+        return { state: 'qrcode' };
+    },
+    
+    'logout.instance': async (instanceName) => {
+        await updateInstanceHealth(instanceName, 'logged_out', false, 'webhook', 'logout', {
+            type: 'instancia_requer_qrcode',
+            details: {
+                instancia: instanceName,
+                estado: 'logged_out',
+                motivo: DISCONNECT_REASONS[401].label
+            }
+        });
+        
+        return { state: 'logged_out' };
+    },
+    
+    'remove.instance': async (instanceName) => {
+        await updateInstanceHealth(instanceName, 'removed', false, 'webhook', 'instância removida da Evolution', {
+            type: 'instancia_removida',
+            details: {
+                instancia: instanceName,
+                estado: 'removed'
+            }
+        });
+        
+        return { state: 'removed' };
+    }
+};
+
+/**
+ * WEBHOOK EVOLUTION API
+ */
+async function handleEvolutionWebhook(req, res) {
+    try {
+        const data = req.body;
+        const messageData = data.data;
+        const eventType = normalizeEvolutionEvent(data.event);
+        
+        // Eventos de conexão da instância (não são mensagens)
+        const connectionHandler = EVOLUTION_CONNECTION_HANDLERS[eventType];
+        if (connectionHandler) {
+            const instanceName = data.instance || messageData?.instance;
+            
+            console.log(`\n📡 WEBHOOK EVOLUTION: ${eventType} | Instância: ${instanceName}`);
+            systemStats.totalEvents++;
+            
+            const result = await connectionHandler(instanceName, messageData);
+            
+            return res.status(200).json({
+                success: true,
+                message: 'Evento de conexão processado',
+                event: eventType,
+                instance: instanceName,
+                ...result
+            });
+        }
+        
+        // Mensagens recebidas e enviadas pela API seguem o fluxo do funil
+        if (eventType && !['messages.upsert', 'send.message'].includes(eventType)) {
+            return res.status(200).json({ success: true, message: 'Evento ignorado', event: eventType });
+        }
+        
+        if (!messageData || !messageData.key) {
+            return res.status(200).json({ success: true, message: 'Estrutura inválida' });
+        }
+        
+        const fromMe = messageData.key.fromMe;
+        const parsedMessage = parseEvolutionMessage(messageData.message);
+        const messageContent = parsedMessage.text;
+        const instanceName = data.instance;
+        
+        // Grupos, status, listas e LIDs sem telefone não entram no funil
+        const sender = await resolveMessageSender(messageData, instanceName);
+        if (sender.skip) {
+            const reason = systemStats.skippedMessages[sender.skip] !== undefined ? sender.skip : 'unknown';
+            systemStats.skippedMessages[reason]++;
+            console.log(`⏭️ Mensagem ignorada (${reason}): ${sender.jid.jid} | Instância: ${instanceName}`);
+            return res.status(200).json({ success: true, message: 'Remetente ignorado', jid_type: sender.jid.type, reason });
+        }
+        
+        const clientNumber = sender.phone;
+        
+        console.log(`\n📱 WEBHOOK EVOLUTION`);
+        console.log(`   De: ${fromMe ? 'Sistema' : 'Cliente'}`);
+        console.log(`   Número: ${clientNumber}`);
+        console.log(`   Instância: ${instanceName}`);
+        console.log(`   Tipo: ${parsedMessage.type}`);
+        
+        systemStats.totalEvents++;
+        
+        await recordMessage({
+            phone: clientNumber,
+            direction: fromMe ? 'outbound' : 'inbound',
+            instance: instanceName,
+            messageId: messageData.key.id || null,
+            type: parsedMessage.type,
+            text: parsedMessage.text || null,
+            media: parsedMessage.media || parsedMessage.location || parsedMessage.contacts || parsedMessage.reaction || parsedMessage.selection,
+            source: 'whatsapp',
+            sentAt: parseMessageTimestamp(messageData.messageTimestamp)
+        });
+        
+        if (fromMe) {
+            await handleSystemMessage(clientNumber, messageContent, instanceName);
+        } else {
+            await handleClientResponse(clientNumber, messageContent, instanceName, messageData, parsedMessage);
+        }
+        
+        res.status(200).json({ 
+            success: true, 
+            message: 'Evolution processado',
+            client_number: getConversationKey(clientNumber),
+            from_me: fromMe
+        });
+        
+    } catch (error) {
+        console.error(`❌ Erro no webhook Evolution: ${error.message}`);
+        systemStats.failedEvents++;
+        res.status(500).json({ success: false, error: error.message });
+    }
+}
+
+app.post('/webhook/evolution', verifyWebhook('evolution'), recordInboundEvent('evolution', INBOUND_EVENT_KEYS.evolution), handleEvolutionWebhook);
+
+/**
+ * WEBHOOK N8N CONFIRM - CRÍTICO PARA LIBERAR FUNIL
+ */
+async function handleN8nConfirmWebhook(req, res) {
+    try {
+        const { tipo_mensagem, telefone, instancia, funil_completo, pedido } = req.body;
+        
+        // SEMPRE normalizar o telefone
+        const conversationKey = getConversationKey(telefone);
+        
+        console.log(`\n📨 WEBHOOK N8N CONFIRM`);
+        console.log(`   Tipo: ${tipo_mensagem}`);
+        console.log(`   Telefone: ${telefone} → ${conversationKey}`);
+        console.log(`   Instância: ${instancia}`);
+        console.log(`   Funil completo: ${funil_completo} (tipo: ${typeof funil_completo})`);
+        
+        // Buscar conversa: pelo pedido informado ou pelo pedido bloqueado do telefone
+        const orderCode = typeof pedido === 'object' && pedido !== null ? pedido.codigo : pedido;
+        const conversation = orderCode ?
+            conversations.get(String(orderCode)) :
+            getConversationForReply(conversationKey);
+        
+        if (!conversation || (telefone && conversation.phone !== conversationKey)) {
+            console.warn(`⚠️ Conversa não encontrada para confirmação: ${conversationKey}${orderCode ? ` / pedido ${orderCode}` : ''}`);
+            console.log(`📋 Pedidos do telefone: ${getPhoneConversations(conversationKey).map(c => c.orderCode).join(', ') || 'nenhum'}`);
+            
+            return res.json({ 
+                success: false, 
+                message: 'Conversa não encontrada',
+                chave_buscada: conversationKey,
+                total_conversas: conversations.size
+            });
+        }
+        
+        console.log(`📊 Estado atual da conversa:`);
+        console.log(`   Cliente: ${conversation.clientName}`);
+        console.log(`   Pedido: ${conversation.orderCode}`);
+        console.log(`   Status: ${conversation.status}`);
+        console.log(`   Respostas: ${conversation.responseCount}/${getTotalSteps(conversation)}`);
+        console.log(`   waitingConfirmation: ${conversation.waitingConfirmation}`);
+        console.log(`   funilInProgress: ${conversation.funilInProgress}`);
+        console.log(`   pendingStep: ${conversation.pendingStep}`);
+        
+        // PROCESSAR CONFIRMAÇÃO BASEADO EM funil_completo
+        if (funil_completo === true || funil_completo === 'true' || funil_completo === "true") {
+            console.log(`✅ FUNIL COMPLETO - Liberando conversa`);
+            
+            await completeFunnelStep(conversation);
+            
+            console.log(`🔓 CONVERSA LIBERADA - Cliente pode enviar próxima mensagem`);
+            console.log(`   waitingConfirmation: false`);
+            console.log(`   funilInProgress: false`);
+            const nextStep = getFunnelStep(conversation, conversation.responseCount + 1);
+            console.log(`   Próxima resposta será: ${nextStep ? nextStep.event_type : 'nenhuma (funil completo)'}`);
+            
+        } else {
+            // Funil ainda em execução
+            console.log(`⏳ Funil ainda em execução - mantendo bloqueio`);
+            conversation.lastActivity = new Date();
+            conversations.set(conversation.orderCode, conversation);
+            await persistConversationState(conversation);
+        }
+        
+        res.json({ 
+            success: true,
+            message: funil_completo ? 'Funil completo - conversa liberada' : 'Funil em execução',
+            funil_completo: funil_completo,
+            pedido: conversation.orderCode,
+            cliente: conversation.clientName,
+            telefone_normalizado: conversationKey,
+            respostas_atuais: conversation.responseCount,
+            total_etapas: getTotalSteps(conversation),
+            proxima_resposta: getFunnelStep(conversation, conversation.responseCount + 1)?.event_type || 'completo',
+            status_conversa: conversation.status,
+            liberado_para_proxima: !conversation.funilInProgress && !conversation.waitingConfirmation,
+            flags: {
+                waitingConfirmation: conversation.waitingConfirmation,
+                funilInProgress: conversation.funilInProgress,
+                pendingStep: conversation.pendingStep
+            }
+        });
+        
+    } catch (error) {
+        console.error(`❌ Erro no webhook N8N confirm: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+}
+
+app.post('/webhook/n8n-confirm', verifyWebhook('n8n'), recordInboundEvent('n8n', INBOUND_EVENT_KEYS.n8n), handleN8nConfirmWebhook);
+
+// ============================================
+// ENDPOINTS AUXILIARES PARA N8N
+// ============================================
+
+/**
+ * Verificar status de pagamento
+ */
+app.get('/check-payment/:orderId', verifyWebhook('n8n'), async (req, res) => {
+    try {
+        const { orderId } = req.params;
+        
+        console.log(`💳 Verificando pagamento: ${orderId}`);
+        
+        const isPaid = await checkPaymentStatus(orderId);
+        
+        res.json({ 
+            status: isPaid ? 'paid' : 'pending',
+            order_id: orderId,
+            timestamp: getBrazilTime()
+        });
+        
+    } catch (error) {
+        console.error(`❌ Erro ao verificar pagamento: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Marcar conversa como completa
+ */
+app.post('/webhook/complete/:orderId', verifyWebhook('n8n'), async (req, res) => {
+    try {
+        const { orderId } = req.params;
+        
+        console.log(`✅ Marcando como completo: ${orderId}`);
+        
+        // Buscar e atualizar conversa
+        const conv = conversations.get(orderId);
+        const found = !!conv;
+        if (conv) {
+            conv.status = 'completed';
+            conv.lastActivity = new Date();
+            console.log(`✅ Conversa marcada como completa em memória`);
+        }
+        
+        // Atualizar banco
+        try {
+            await database.query(
+                'UPDATE conversations SET status = $1, last_activity_at = NOW(), updated_at = NOW() WHERE order_code = $2',
+                ['completed', orderId]
+            );
+            console.log(`✅ Status completo salvo no banco`);
+        } catch (dbError) {
+            console.warn(`⚠️ Erro ao atualizar banco: ${dbError.message}`);
+        }
+        
+        res.json({ 
+            success: true, 
+            message: 'Conversa marcada como completa',
+            order_id: orderId,
+            found_in_memory: found
+        });
+        
+    } catch (error) {
+        console.error(`❌ Erro ao marcar como completo: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+// ============================================
+// ENDPOINTS DE DEBUG
+// ============================================
+
+/**
+ * Debug de conversa específica
+ */
+app.get('/debug/conversation/:phone', requireRole('operator'), (req, res) => {
+    const phone = req.params.phone;
+    const conversationKey = getConversationKey(phone);
+    const phoneConversations = getPhoneConversations(conversationKey);
+    const replyTarget = getConversationForReply(conversationKey);
+    
+    console.log(`🔍 Debug conversa: ${phone} → ${conversationKey} (${phoneConversations.length} pedidos)`);
+    
+    res.json({
+        telefone_original: phone,
+        chave_normalizada: conversationKey,
+        conversa_encontrada: phoneConversations.length > 0,
+        total_pedidos: phoneConversations.length,
+        pedido_para_respostas: replyTarget ? replyTarget.orderCode : null,
+        detalhes_conversa: replyTarget,
+        conversas: phoneConversations.map(conv => ({
+            ...conv,
+            totalSteps: getTotalSteps(conv),
+            aberta: isConversationOpen(conv)
+        })),
+        total_conversas_ativas: conversations.size
+    });
+});
+
+/**
+ * Limpar flags travadas (emergência)
+ */
+app.post('/debug/clear-flags/:phone', requireRole('operator'), async (req, res) => {
+    const phone = req.params.phone;
+    const conversationKey = getConversationKey(phone);
+    // ?order= escolhe o pedido; sem ele vale a regra de roteamento (pedido bloqueado primeiro)
+    const conversation = req.query.order ?
+        getPhoneConversations(conversationKey).find(conv => conv.orderCode === req.query.order) :
+        getConversationForReply(conversationKey);
+    
+    if (conversation) {
+        console.log(`🔧 Limpando flags de ${conversationKey} (pedido ${conversation.orderCode})`);
+        await releaseFunnelLock(conversation);
+        
+        res.json({
+            success: true,
+            message: 'Flags limpas',
+            conversa: conversation
+        });
+    } else {
+        res.status(404).json({
+            success: false,
+            message: 'Conversa não encontrada'
+        });
+    }
+});
+
+// ============================================
+// ENDPOINTS DE CONTATOS
+// ============================================
+
+/**
+ * Estatísticas de contatos
+ */
+app.get('/contacts/stats', requireRole('viewer'), async (req, res) => {
+    try {
+        const stats = await database.query(`
+            SELECT 
+                instance,
+                COUNT(*) as total,
+                COUNT(*) FILTER (WHERE saved_at >= NOW() - INTERVAL '24 hours') as today,
+                COUNT(*) FILTER (WHERE saved_at >= NOW() - INTERVAL '7 days') as this_week,
+                MIN(saved_at) as first_contact,
+                MAX(saved_at) as last_contact
+            FROM contacts 
+            GROUP BY instance 
+            ORDER BY total DESC
+        `);
+        
+        const totalContacts = await database.query('SELECT COUNT(*) as total FROM contacts');
+        
+        res.json({
+            total_contacts: parseInt(totalContacts.rows[0].total || 0),
+            by_instance: stats.rows.map(row => ({
+                instance: row.instance,
+                total: parseInt(row.total),
+                today: parseInt(row.today || 0),
+                this_week: parseInt(row.this_week || 0),
+                first_contact: row.first_contact,
+                last_contact: row.last_contact
+            }))
+        });
+        
+    } catch (error) {
+        console.error(`❌ Erro ao obter estatísticas de contatos: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Exportar contatos por instância
+ */
+app.get('/contacts/export/:instance', requireRole('admin'), async (req, res) => {
+    try {
+        const { instance } = req.params;
+        
+        console.log(`📥 Exportando contatos da instância: ${instance}`);
+        
+        const contacts = await database.query(`
+            SELECT phone, name, saved_at, product
+            FROM contacts 
+            WHERE instance = $1 
+            ORDER BY saved_at DESC
+        `, [instance.toUpperCase()]);
+        
+        if (contacts.rows.length === 0) {
+            return res.status(404).json({ 
+                success: false, 
+                message: `Nenhum contato encontrado para ${instance}` 
+            });
+        }
+        
+        // Gerar CSV formato Google Contacts
+        let csv = 'Name,Phone 1 - Value,Notes\n';
+        
+        contacts.rows.forEach(contact => {
+            const date = getBrazilTime('DD/MM/YYYY HH:mm', contact.saved_at);
+            const notes = `Instância: ${instance} | Produto: ${contact.product} | Salvo: ${date}`;
+            csv += `"${contact.name}","${contact.phone}","${notes}"\n`;
+        });
+        
+        const filename = `contatos_${instance.toLowerCase()}_${getBrazilTime('YYYY-MM-DD')}.csv`;
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(csv);
+        
+        console.log(`✅ ${contacts.rows.length} contatos exportados: ${instance}`);
+        
+    } catch (error) {
+        console.error(`❌ Erro ao exportar contatos: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Exportar todos os contatos
+ */
+app.get('/contacts/export/all', requireRole('admin'), async (req, res) => {
+    try {
+        console.log('📥 Exportando TODOS os contatos...');
+        
+        const contacts = await database.query(`
+            SELECT phone, name, instance, saved_at, product
+            FROM contacts 
+            ORDER BY instance, saved_at DESC
+        `);
+        
+        if (contacts.rows.length === 0) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Nenhum contato encontrado' 
+            });
+        }
+        
+        // Gerar CSV com instância no nome
+        let csv = 'Name,Phone 1 - Value,Notes\n';
+        
+        contacts.rows.forEach(contact => {
+            const date = getBrazilTime('DD/MM/YYYY HH:mm', contact.saved_at);
+            const name = `${contact.name} - ${contact.instance}`;
+            const notes = `Produto: ${contact.product} | Salvo: ${date}`;
+            csv += `"${name}","${contact.phone}","${notes}"\n`;
+        });
+        
+        const filename = `todos_contatos_${getBrazilTime('YYYY-MM-DD')}.csv`;
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(csv);
+        
+        console.log(`✅ ${contacts.rows.length} contatos exportados (todos)`);
+        
+    } catch (error) {
+        console.error(`❌ Erro ao exportar todos os contatos: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ============================================
+// ENDPOINTS DE OUTBOX E DEAD-LETTER
+// ============================================
+
+/**
+ * Resumo do outbox por status
+ */
+app.get('/admin/outbox', requireRole('viewer'), async (req, res) => {
+    try {
+        res.json(await getOutboxStats());
+    } catch (error) {
+        console.error(`❌ Erro ao obter outbox: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Enviar evento de teste para o N8N
+ */
+app.post('/admin/n8n/test', requireRole('operator'), async (req, res) => {
+    try {
+        const eventData = {
+            event_type: 'system_test',
+            produto: 'TEST',
+            instancia: 'SYSTEM',
+            teste: true,
+            timestamp: new Date().toISOString(),
+            brazil_time: getBrazilTime()
+        };
+        
+        const outboxEvent = await enqueueOutboundEvent(eventData, 'system_test');
+        const delivered = await deliverOutboundEvent(outboxEvent);
+        
+        res.status(delivered ? 200 : 502).json({
+            success: delivered,
+            message: delivered ? 'N8N respondeu ao evento de teste' : 'N8N não respondeu - evento mantido no outbox',
+            outbox_id: outboxEvent.id
+        });
+        
+    } catch (error) {
+        console.error(`❌ Erro ao testar N8N: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Listar eventos na dead-letter
+ */
+app.get('/admin/dead-letters', requireRole('operator'), async (req, res) => {
+    try {
+        const { limit = 50, event_type, include_replayed } = req.query;
+        
+        const result = await database.query(`
+            SELECT id, outbox_id, event_type, attempts, last_error, failed_at, replay_count, replayed_at, replay_outbox_id,
+                   payload->'cliente'->>'telefone' as telefone,
+                   payload->'pedido'->>'codigo' as pedido
+            FROM dead_letter_events
+            WHERE ($1::text IS NULL OR event_type = $1)
+              AND ($2::boolean OR replayed_at IS NULL)
+            ORDER BY failed_at DESC
+            LIMIT $3
+        `, [event_type || null, include_replayed === 'true', parseInt(limit)]);
+        
+        res.json({
+            dead_letters: result.rows.map(row => ({
+                ...row,
+                failed_at_brazil: getBrazilTime('DD/MM/YYYY HH:mm:ss', row.failed_at)
+            })),
+            total: result.rows.length,
+            brazil_time: getBrazilTime()
+        });
+        
+    } catch (error) {
+        console.error(`❌ Erro ao listar dead-letters: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Detalhe de um evento na dead-letter (payload completo)
+ */
+app.get('/admin/dead-letters/:id', requireRole('operator'), async (req, res) => {
+    try {
+        const result = await database.query('SELECT * FROM dead_letter_events WHERE id = $1', [parseInt(req.params.id)]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Dead-letter não encontrado' });
+        }
+        
+        res.json(result.rows[0]);
+        
+    } catch (error) {
+        console.error(`❌ Erro ao obter dead-letter: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Reenviar um evento da dead-letter
+ */
+app.post('/admin/dead-letters/:id/replay', requireRole('operator'), async (req, res) => {
+    try {
+        const result = await database.query('SELECT * FROM dead_letter_events WHERE id = $1', [parseInt(req.params.id)]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Dead-letter não encontrado' });
+        }
+        
+        const replay = await replayDeadLetter(result.rows[0]);
+        
+        res.json({ success: true, ...replay });
+        
+    } catch (error) {
+        console.error(`❌ Erro ao reenviar dead-letter: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Reenviar todos os eventos ainda não reenviados (opcionalmente por tipo)
+ */
+app.post('/admin/dead-letters/replay', requireRole('operator'), async (req, res) => {
+    try {
+        const { event_type } = req.body || {};
+        
+        const result = await database.query(`
+            SELECT * FROM dead_letter_events
+            WHERE replayed_at IS NULL AND ($1::text IS NULL OR event_type = $1)
+            ORDER BY id
+        `, [event_type || null]);
+        
+        const replays = [];
+        for (const deadLetter of result.rows) {
+            replays.push(await replayDeadLetter(deadLetter));
+        }
+        
+        res.json({
+            success: true,
+            replayed: replays.length,
+            delivered: replays.filter(r => r.delivered).length,
+            results: replays
+        });
+        
+    } catch (error) {
+        console.error(`❌ Erro ao reenviar dead-letters: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ============================================
+// ENDPOINTS DO CATÁLOGO DE PRODUTOS
+// ============================================
+
+/**
+ * Valida e normaliza os campos de um produto vindos da API
+ */
+function parseProductInput(body) {
+    const input = body || {};
+    const product = {
+        product_key: input.product_key ? String(input.product_key).trim().toUpperCase() : undefined,
+        display_name: input.display_name !== undefined ? String(input.display_name).trim() : undefined,
+        // undefined = campo não enviado, null = limpar valor
+        price: input.price === undefined ? undefined : (input.price === null || input.price === '' ? null : parseFloat(input.price)),
+        active: typeof input.active === 'boolean' ? input.active : undefined,
+        pix_timeout_minutes: input.pix_timeout_minutes === undefined ? undefined : (input.pix_timeout_minutes ? parseInt(input.pix_timeout_minutes) : null),
+        balancing_strategy: input.balancing_strategy === undefined ? undefined : (input.balancing_strategy || null)
+    };
+    
+    if (product.product_key !== undefined && (!product.product_key || product.product_key.length > 10)) {
+        return { error: 'product_key deve ter entre 1 e 10 caracteres' };
+    }
+    if (product.price !== undefined && product.price !== null && isNaN(product.price)) {
+        return { error: 'price inválido' };
+    }
+    if (product.pix_timeout_minutes !== undefined && product.pix_timeout_minutes !== null && !(product.pix_timeout_minutes > 0)) {
+        return { error: 'pix_timeout_minutes deve ser maior que zero' };
+    }
+    if (product.balancing_strategy && !BALANCING_STRATEGIES[product.balancing_strategy]) {
+        return { error: `balancing_strategy deve ser: ${Object.keys(BALANCING_STRATEGIES).join(', ')}` };
+    }
+    
+    return { product };
+}
+
+/**
+ * Listar catálogo
+ */
+app.get('/admin/products', requireRole('viewer'), async (req, res) => {
+    try {
+        const result = await database.query('SELECT * FROM products ORDER BY product_key, plan_code');
+        res.json({
+            products: result.rows,
+            default_pix_timeout_minutes: Math.round(CONFIG.PIX_TIMEOUT / 60000),
+            default_balancing_strategy: CONFIG.BALANCING_STRATEGY,
+            balancing_strategies: Object.keys(BALANCING_STRATEGIES)
+        });
+    } catch (error) {
+        console.error(`❌ Erro ao listar produtos: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Cadastrar plano (planos de Hotmart, Kiwify e Eduzz ficam como "gateway:código")
+ */
+app.post('/admin/products', requireRole('admin'), async (req, res) => {
+    try {
+        const gateway = req.body?.gateway || DEFAULT_GATEWAY;
+        const planCode = scopeGatewayKey(gateway, String(req.body?.plan_code || '').trim());
+        const { product, error } = parseProductInput(req.body);
+        
+        if (!PAYMENT_GATEWAYS[gateway]) {
+            return res.status(400).json({ success: false, error: `gateway deve ser: ${Object.keys(PAYMENT_GATEWAYS).join(', ')}` });
+        }
+        if (error || !planCode || !product.product_key) {
+            return res.status(400).json({ success: false, error: error || 'plan_code e product_key são obrigatórios' });
+        }
+        
+        const result = await database.query(`
+            INSERT INTO products (plan_code, product_key, display_name, price, active, pix_timeout_minutes, balancing_strategy)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING *
+        `, [
+            planCode,
+            product.product_key,
+            product.display_name || product.product_key,
+            product.price === undefined ? null : product.price,
+            product.active !== undefined ? product.active : true,
+            product.pix_timeout_minutes === undefined ? null : product.pix_timeout_minutes,
+            product.balancing_strategy || null
+        ]);
+        
+        await loadProductCatalog();
+        console.log(`📦 Plano cadastrado por ${req.principal.username}: ${planCode} → ${product.product_key}`);
+        
+        res.status(201).json({ success: true, product: result.rows[0] });
+        
+    } catch (error) {
+        if (error.message.includes('products_plan_code_key')) {
+            return res.status(409).json({ success: false, error: 'Plano já cadastrado' });
+        }
+        console.error(`❌ Erro ao cadastrar produto: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Atualizar plano
+ */
+app.put('/admin/products/:planCode', requireRole('admin'), async (req, res) => {
+    try {
+        const { product, error } = parseProductInput(req.body);
+        
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        
+        const result = await database.query(`
+            UPDATE products SET
+                product_key = COALESCE($2, product_key),
+                display_name = COALESCE($3, display_name),
+                price = CASE WHEN $7 THEN $4 ELSE price END,
+                active = COALESCE($5, active),
+                pix_timeout_minutes = CASE WHEN $8 THEN $6 ELSE pix_timeout_minutes END,
+                balancing_strategy = CASE WHEN $10 THEN $9 ELSE balancing_strategy END,
+                updated_at = NOW()
+            WHERE plan_code = $1
+            RETURNING *
+        `, [
+            req.params.planCode,
+            product.product_key || null,
+            product.display_name || null,
+            product.price === undefined ? null : product.price,
+            product.active !== undefined ? product.active : null,
+            product.pix_timeout_minutes === undefined ? null : product.pix_timeout_minutes,
+            product.price !== undefined,
+            product.pix_timeout_minutes !== undefined,
+            product.balancing_strategy === undefined ? null : product.balancing_strategy,
+            product.balancing_strategy !== undefined
+        ]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Plano não encontrado' });
+        }
+        
+        await loadProductCatalog();
+        console.log(`📦 Plano atualizado por ${req.principal.username}: ${req.params.planCode}`);
+        
+        res.json({ success: true, product: result.rows[0] });
+        
+    } catch (error) {
+        console.error(`❌ Erro ao atualizar produto: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Remover plano
+ */
+app.delete('/admin/products/:planCode', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await database.query('DELETE FROM products WHERE plan_code = $1 RETURNING plan_code', [req.params.planCode]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Plano não encontrado' });
+        }
+        
+        await loadProductCatalog();
+        console.log(`📦 Plano removido por ${req.principal.username}: ${req.params.planCode}`);
+        
+        res.json({ success: true, plan_code: req.params.planCode });
+        
+    } catch (error) {
+        console.error(`❌ Erro ao remover produto: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ============================================
+// ENDPOINTS DO REGISTRO DE INSTÂNCIAS
+// ============================================
+
+/**
+ * Altera o status de uma instância e recarrega o cache
+ */
+async function setInstanceStatus(name, status, reason) {
+    const result = await database.query(`
+        UPDATE instances SET status = $2, status_reason = $3, updated_at = NOW()
+        WHERE name = $1
+        RETURNING *
+    `, [name, status, reason || null]);
+    
+    await loadInstanceRegistry();
+    return result.rows[0] || null;
+}
+
+/**
+ * Listar instâncias
+ */
+app.get('/admin/instances', requireRole('viewer'), async (req, res) => {
+    try {
+        const result = await database.query(`
+            SELECT i.*, COUNT(DISTINCT c.phone) as clients
+            FROM instances i
+            LEFT JOIN conversations c ON c.instance_name = i.name
+            GROUP BY i.name
+            ORDER BY i.name
+        `);
+        
+        res.json({
+            instances: result.rows.map(row => ({ ...row, clients: parseInt(row.clients) })),
+            routable: getRoutableInstances(),
+            healthy: getHealthyInstances()
+        });
+    } catch (error) {
+        console.error(`❌ Erro ao listar instâncias: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Cadastrar instância
+ */
+app.post('/admin/instances', requireRole('admin'), async (req, res) => {
+    try {
+        const name = String(req.body?.name || '').trim().toUpperCase();
+        const instanceId = req.body?.instance_id || null;
+        
+        if (!name || name.length > 20) {
+            return res.status(400).json({ success: false, error: 'name é obrigatório (até 20 caracteres)' });
+        }
+        
+        const result = await database.query(`
+            INSERT INTO instances (name, instance_id, status) VALUES ($1, $2, 'active')
+            RETURNING *
+        `, [name, instanceId]);
+        
+        await loadInstanceRegistry();
+        console.log(`📱 Instância cadastrada por ${req.principal.username}: ${name}`);
+        
+        res.status(201).json({ success: true, instance: result.rows[0] });
+        
+    } catch (error) {
+        if (error.message.includes('instances_pkey')) {
+            return res.status(409).json({ success: false, error: 'Instância já cadastrada' });
+        }
+        console.error(`❌ Erro ao cadastrar instância: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Histórico de conexão de uma instância
+ */
+app.get('/admin/instances/:name/history', requireRole('viewer'), async (req, res) => {
+    try {
+        const { limit = 100 } = req.query;
+        const result = await database.query(`
+            SELECT state, healthy, source, details, created_at
+            FROM instance_status_history
+            WHERE instance_name = $1
+            ORDER BY created_at DESC
+            LIMIT $2
+        `, [req.params.name, parseInt(limit)]);
+        
+        res.json({
+            instance: req.params.name,
+            current: instanceRegistry.get(req.params.name) || null,
+            history: result.rows.map(row => ({
+                ...row,
+                created_at_brazil: getBrazilTime('DD/MM/YYYY HH:mm:ss', row.created_at)
+            }))
+        });
+    } catch (error) {
+        console.error(`❌ Erro ao obter histórico da instância: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Ajustar peso e limite diário de uma instância
+ */
+app.patch('/admin/instances/:name', requireRole('admin'), async (req, res) => {
+    try {
+        const { weight, daily_cap } = req.body || {};
+        
+        if (weight !== undefined && !(parseInt(weight) > 0)) {
+            return res.status(400).json({ success: false, error: 'weight deve ser maior que zero' });
+        }
+        if (daily_cap !== undefined && daily_cap !== null && !(parseInt(daily_cap) > 0)) {
+            return res.status(400).json({ success: false, error: 'daily_cap deve ser maior que zero ou null' });
+        }
+        
+        const result = await database.query(`
+            UPDATE instances SET
+                weight = COALESCE($2, weight),
+                daily_cap = CASE WHEN $4 THEN $3 ELSE daily_cap END,
+                updated_at = NOW()
+            WHERE name = $1
+            RETURNING *
+        `, [
+            req.params.name,
+            weight !== undefined ? parseInt(weight) : null,
+            daily_cap ? parseInt(daily_cap) : null,
+            daily_cap !== undefined
+        ]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Instância não encontrada' });
+        }
+        
+        await loadInstanceRegistry();
+        console.log(`📱 Instância ${req.params.name} ajustada por ${req.principal.username}`);
+        
+        res.json({ success: true, instance: result.rows[0] });
+        
+    } catch (error) {
+        console.error(`❌ Erro ao ajustar instância: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Desativar instância (opcionalmente migrando os clientes)
+ */
+app.post('/admin/instances/:name/disable', requireRole('operator'), async (req, res) => {
+    try {
+        const { reason = 'desativada manualmente', migrate = false } = req.body || {};
+        
+        // Sem destino para os clientes a instância continua ativa
+        if (migrate && instanceRegistry.has(req.params.name) && !hasMigrationTarget(req.params.name)) {
+            return res.status(409).json({ success: false, error: 'Nenhuma outra instância ativa para receber os clientes' });
+        }
+        
+        const instance = await setInstanceStatus(req.params.name, 'disabled', reason);
+        
+        if (!instance) {
+            return res.status(404).json({ success: false, error: 'Instância não encontrada' });
+        }
+        
+        console.log(`⏸️ Instância ${instance.name} desativada por ${req.principal.username}: ${reason}`);
+        
+        const migrated = migrate ? await migrateInstanceClients(instance.name, reason) : [];
+        
+        res.json({ success: true, instance, migrated_clients: migrated.length, migrations: migrated });
+        
+    } catch (error) {
+        console.error(`❌ Erro ao desativar instância: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Reativar instância
+ */
+app.post('/admin/instances/:name/enable', requireRole('operator'), async (req, res) => {
+    try {
+        const current = instanceRegistry.get(req.params.name);
+        if (current && current.status === 'retired') {
+            return res.status(409).json({ success: false, error: 'Instância aposentada não pode ser reativada' });
+        }
+        
+        const instance = await setInstanceStatus(req.params.name, 'active', null);
+        
+        if (!instance) {
+            return res.status(404).json({ success: false, error: 'Instância não encontrada' });
+        }
+        
+        console.log(`▶️ Instância ${instance.name} reativada por ${req.principal.username}`);
+        res.json({ success: true, instance });
+        
+    } catch (error) {
+        console.error(`❌ Erro ao reativar instância: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Aposentar instância definitivamente - sempre migra os clientes
+ */
+app.post('/admin/instances/:name/retire', requireRole('admin'), async (req, res) => {
+    try {
+        const { reason = 'aposentada' } = req.body || {};
+        
+        // Sem destino para os clientes a instância continua como está
+        if (instanceRegistry.has(req.params.name) && !hasMigrationTarget(req.params.name)) {
+            return res.status(409).json({ success: false, error: 'Nenhuma outra instância ativa para receber os clientes' });
+        }
+        
+        const instance = await setInstanceStatus(req.params.name, 'retired', reason);
+        
+        if (!instance) {
+            return res.status(404).json({ success: false, error: 'Instância não encontrada' });
+        }
+        
+        console.log(`🪦 Instância ${instance.name} aposentada por ${req.principal.username}: ${reason}`);
+        
+        const migrated = await migrateInstanceClients(instance.name, reason);
+        
+        res.json({ success: true, instance, migrated_clients: migrated.length, migrations: migrated });
+        
+    } catch (error) {
+        console.error(`❌ Erro ao aposentar instância: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Migrar clientes de uma instância inativa para instâncias ativas
+ */
+app.post('/admin/instances/:name/migrate', requireRole('operator'), async (req, res) => {
+    try {
+        const instance = instanceRegistry.get(req.params.name);
+        
+        if (!instance) {
+            return res.status(404).json({ success: false, error: 'Instância não encontrada' });
+        }
+        if (instance.status === 'active') {
+            return res.status(409).json({ success: false, error: 'Desative a instância antes de migrar os clientes' });
+        }
+        
+        const migrated = await migrateInstanceClients(instance.name, req.body?.reason || instance.status_reason || 'migração manual');
+        
+        res.json({ success: true, migrated_clients: migrated.length, migrations: migrated });
+        
+    } catch (error) {
+        console.error(`❌ Erro ao migrar clientes: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ============================================
+// FUNIS - ADMIN
+// ============================================
+
+/**
+ * Valida a lista de etapas de um funil vinda da API
+ */
+function parseFunnelSteps(steps) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+        return { error: 'steps deve ser uma lista com pelo menos uma etapa' };
+    }
+    
+    const parsed = steps.map((step, index) => ({
+        step: index + 1,
+        name: step?.name ? String(step.name).trim() : `Etapa ${index + 1}`,
+        event_type: step?.event_type ? String(step.event_type).trim() : defaultStepEventType(index + 1),
+        completion: step?.completion || 'confirm',
+        deadline_minutes: step?.deadline_minutes ? parseInt(step.deadline_minutes) : null,
+        on_timeout: step?.on_timeout || null,
+        accepted_types: Array.isArray(step?.accepted_types) && step.accepted_types.length > 0 ? step.accepted_types.join(',') : null
+    }));
+    
+    const invalid = parsed.find(step => !STEP_COMPLETION_RULES[step.completion]);
+    if (invalid) {
+        return { error: `completion deve ser: ${Object.keys(STEP_COMPLETION_RULES).join(', ')}` };
+    }
+    if (parsed.some(step => step.on_timeout && !STUCK_FUNNEL_POLICIES.includes(step.on_timeout))) {
+        return { error: `on_timeout deve ser: ${STUCK_FUNNEL_POLICIES.join(', ')}` };
+    }
+    if (parsed.some(step => step.accepted_types && step.accepted_types.split(',').some(type => !INBOUND_MESSAGE_TYPES.includes(type)))) {
+        return { error: `accepted_types deve conter: ${INBOUND_MESSAGE_TYPES.join(', ')}` };
+    }
+    if (parsed.some(step => step.deadline_minutes !== null && !(step.deadline_minutes > 0))) {
+        return { error: 'deadline_minutes deve ser maior que zero' };
+    }
+    
+    return { steps: parsed };
+}
+
+/**
+ * Troca as etapas do funil numa transação - erro em qualquer etapa mantém as anteriores
+ */
+async function saveFunnelSteps(funnelId, steps) {
+    const client = await database.connect();
+    
+    try {
+        await client.query('BEGIN');
+        await client.query('DELETE FROM funnel_steps WHERE funnel_id = $1', [funnelId]);
+        
+        for (const step of steps) {
+            await client.query(`
+                INSERT INTO funnel_steps (funnel_id, step, name, event_type, completion, deadline_minutes, on_timeout, accepted_types)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            `, [funnelId, step.step, step.name, step.event_type, step.completion, step.deadline_minutes, step.on_timeout, step.accepted_types]);
+        }
+        
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Listar funis com etapas
+ */
+app.get('/admin/funnels', requireRole('viewer'), async (req, res) => {
+    try {
+        const funnels = await database.query('SELECT * FROM funnels ORDER BY product, origin');
+        const steps = await database.query('SELECT * FROM funnel_steps ORDER BY funnel_id, step');
+        
+        res.json({
+            completion_rules: STEP_COMPLETION_RULES,
+            message_types: INBOUND_MESSAGE_TYPES,
+            watchdog: {
+                default_deadline_minutes: CONFIG.FUNNEL_STEP_DEADLINE_MINUTES,
+                default_policy: CONFIG.FUNNEL_STUCK_POLICY,
+                max_retries: CONFIG.FUNNEL_STEP_MAX_RETRIES,
+                policies: STUCK_FUNNEL_POLICIES
+            },
+            funnels: funnels.rows.map(funnel => ({
+                ...funnel,
+                steps: steps.rows.filter(s => s.funnel_id === funnel.id)
+            }))
+        });
+        
+    } catch (error) {
+        console.error(`❌ Erro ao listar funis: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Cadastrar funil para produto/origem
+ */
+app.post('/admin/funnels', requireRole('admin'), async (req, res) => {
+    try {
+        const { product = '*', origin = '*', name, completion_status = 'completed' } = req.body || {};
+        
+        if (![...CONVERSATION_ORIGINS, '*'].includes(origin)) {
+            return res.status(400).json({ success: false, error: `origin deve ser ${CONVERSATION_ORIGINS.join(', ')} ou '*'` });
+        }
+        
+        const { steps, error } = parseFunnelSteps(req.body?.steps);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        
+        const result = await database.query(`
+            INSERT INTO funnels (product, origin, name, completion_status)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (product, origin) DO NOTHING
+            RETURNING *
+        `, [String(product).toUpperCase(), origin, name || `${product}/${origin}`, completion_status]);
+        
+        if (result.rows.length === 0) {
+            return res.status(409).json({ success: false, error: 'Já existe funil para este produto/origem' });
+        }
+        
+        await saveFunnelSteps(result.rows[0].id, steps);
+        await loadFunnels();
+        
+        console.log(`🪜 Funil ${product}/${origin} criado por ${req.principal.username} (${steps.length} etapas)`);
+        res.status(201).json({ success: true, funnel: { ...result.rows[0], steps } });
+        
+    } catch (error) {
+        console.error(`❌ Erro ao criar funil: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Atualizar funil - etapas enviadas substituem as atuais
+ */
+app.put('/admin/funnels/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const { name, completion_status, active } = req.body || {};
+        
+        let steps;
+        if (req.body?.steps !== undefined) {
+            const parsed = parseFunnelSteps(req.body.steps);
+            if (parsed.error) {
+                return res.status(400).json({ success: false, error: parsed.error });
+            }
+            steps = parsed.steps;
+        }
+        
+        const result = await database.query(`
+            UPDATE funnels SET
+                name = COALESCE($2, name),
+                completion_status = COALESCE($3, completion_status),
+                active = COALESCE($4, active),
+                updated_at = NOW()
+            WHERE id = $1
+            RETURNING *
+        `, [parseInt(req.params.id) || 0, name || null, completion_status || null, typeof active === 'boolean' ? active : null]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Funil não encontrado' });
+        }
+        
+        if (steps) {
+            await saveFunnelSteps(result.rows[0].id, steps);
+        }
+        await loadFunnels();
+        
+        console.log(`🪜 Funil #${req.params.id} atualizado por ${req.principal.username}`);
+        res.json({ success: true, funnel: result.rows[0] });
+        
+    } catch (error) {
+        console.error(`❌ Erro ao atualizar funil: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Remover funil - o padrão (*, *) não pode ser removido
+ */
+app.delete('/admin/funnels/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await database.query(`
+            DELETE FROM funnels WHERE id = $1 AND NOT (product = '*' AND origin = '*')
+            RETURNING id
+        `, [parseInt(req.params.id) || 0]);
         
-        // Salvar no banco
-        try {
-            await database.query(`
-                INSERT INTO conversations 
-                (phone, order_code, product, status, instance_name, amount, pix_url, client_name, created_at, updated_at)
-                VALUES ($1, $2, $3, 'pix_pending', $4, $5, $6, $7, NOW(), NOW())
-                ON CONFLICT (order_code) 
-                DO UPDATE SET 
-                    status = 'pix_pending',
-                    instance_name = $4,
-                    amount = $5,
-                    pix_url = $6,
-                    client_name = $7,
-                    updated_at = NOW()
-            `, [conversationKey, orderCode, product, instanceName, amount, pixUrl, fullName]);
-            
-            console.log(`💾 PIX pendente salvo no banco`);
-        } catch (dbError) {
-            console.warn(`⚠️ Erro ao salvar no banco: ${dbError.message}`);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Funil não encontrado ou é o funil padrão' });
         }
         
-        // Criar timeout de 7 minutos
-        const timeout = setTimeout(async () => {
-            console.log(`⏰ TIMEOUT PIX ACIONADO: ${orderCode}`);
-            pendingTimeouts.delete(orderCode);
-            await handlePixTimeout(orderCode, conversation);
-        }, CONFIG.PIX_TIMEOUT);
+        await loadFunnels();
         
-        pendingTimeouts.set(orderCode, timeout);
+        console.log(`🗑️ Funil #${req.params.id} removido por ${req.principal.username}`);
+        res.json({ success: true });
         
-        console.log(`⏰ Timeout criado: ${Math.round(CONFIG.PIX_TIMEOUT/60000)} minutos para ${orderCode}`);
-        console.log(`✅ PIX pendente processado completamente: ${orderCode}`);
-        return true;
+    } catch (error) {
+        console.error(`❌ Erro ao remover funil: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Incidentes de funis travados registrados pelo watchdog
+ */
+app.get('/admin/funnel-incidents', requireRole('viewer'), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        
+        const result = await database.query(`
+            SELECT * FROM funnel_incidents
+            WHERE ($1::text IS NULL OR phone = $1)
+              AND ($2::text IS NULL OR order_code = $2)
+            ORDER BY id DESC
+            LIMIT $3
+        `, [req.query.phone ? getConversationKey(req.query.phone) : null, req.query.order || null, limit]);
+        
+        const incidents = hasRole(req, 'operator') ? result.rows :
+            result.rows.map(i => ({ ...i, phone: maskPhone(i.phone) }));
+        
+        res.json({ count: incidents.length, incidents });
         
     } catch (error) {
-        console.error(`❌ Erro ao processar PIX pendente: ${error.message}`);
-        return false;
+        console.error(`❌ Erro ao listar incidentes de funil: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
     }
-}
+});
 
 // ============================================
-// PROCESSAMENTO DE TIMEOUT PIX
+// MENSAGENS NATIVAS - ADMIN
 // ============================================
 
-async function handlePixTimeout(orderCode, conversation) {
+/**
+ * Enviar mensagem avulsa pela instância da conversa (ou a informada)
+ */
+app.post('/admin/messages/send', requireRole('operator'), async (req, res) => {
     try {
-        console.log(`⏰ Processando timeout PIX: ${orderCode}`);
+        const { phone, type = 'text', content, instance, delay_ms } = req.body || {};
         
-        // Verificar se ainda está pendente
-        const currentConv = conversations.get(conversation.phone);
-        if (!currentConv || currentConv.status !== 'pix_pending') {
-            console.log(`ℹ️ PIX ${orderCode} não está mais pendente, cancelando timeout`);
-            return;
+        if (!phone) {
+            return res.status(400).json({ success: false, error: 'phone é obrigatório' });
         }
         
-        // Atualizar status para timeout
-        currentConv.status = 'timeout';
-        currentConv.lastActivity = new Date();
-        conversations.set(conversation.phone, currentConv);
+        const conversationKey = getConversationKey(phone);
+        const conversation = getConversationForReply(conversationKey);
+        const instanceName = instance || conversation?.instance;
         
-        // Atualizar no banco
-        try {
-            await database.query(
-                'UPDATE conversations SET status = $1, updated_at = NOW() WHERE order_code = $2',
-                ['timeout', orderCode]
-            );
-            console.log(`💾 Status timeout salvo no banco`);
-        } catch (dbError) {
-            console.warn(`⚠️ Erro ao atualizar banco: ${dbError.message}`);
+        if (isOptedOut(conversationKey)) {
+            return res.status(409).json({ success: false, error: 'Telefone em opt-out' });
         }
         
-        // Enviar evento para N8N
-        const firstName = getFirstName(conversation.clientName);
-        const eventData = {
-            event_type: 'pix_timeout',
-            produto: conversation.product,
-            instancia: conversation.instance,
-            evento_origem: 'pix',
-            cliente: {
-                nome: firstName,
-                telefone: conversation.phone,
-                nome_completo: conversation.clientName
-            },
-            pedido: {
-                codigo: orderCode,
-                valor: conversation.amount,
-                pix_url: conversation.pixUrl
-            },
-            timeout_minutos: Math.round(CONFIG.PIX_TIMEOUT/60000),
-            timestamp: new Date().toISOString(),
-            brazil_time: getBrazilTime(),
-            conversation_id: conversation.id
-        };
+        if (!instanceName) {
+            return res.status(400).json({ success: false, error: 'Sem conversa ativa - informe a instância' });
+        }
+        if (!instanceRegistry.has(instanceName)) {
+            return res.status(400).json({ success: false, error: 'Instância desconhecida' });
+        }
         
-        await sendToN8N(eventData, 'pix_timeout');
+        const error = validateMessageContent(type, content);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
         
-        console.log(`✅ Timeout PIX processado: ${orderCode}`);
-        return true;
+        const rendered = { ...content };
+        if (rendered.text) rendered.text = renderMessageTemplate(rendered.text, conversation);
+        if (rendered.caption) rendered.caption = renderMessageTemplate(rendered.caption, conversation);
+        
+        const message = await queueOutboundMessage({
+            phone: conversationKey,
+            instance: instanceName,
+            orderCode: conversation?.orderCode || null,
+            type,
+            content: rendered,
+            delayMs: parseInt(delay_ms) || 0
+        });
+        
+        console.log(`✉️ Mensagem avulsa enfileirada por ${req.principal.username}`);
+        res.json({ success: true, message });
         
     } catch (error) {
-        console.error(`❌ Erro ao processar timeout PIX: ${error.message}`);
-        return false;
+        console.error(`❌ Erro ao enfileirar mensagem: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
     }
-}
-
-// ============================================
-// PROCESSAMENTO DE CONVERSÃO PIX
-// ============================================
+});
 
-async function sendConversionEvent(conversation, messageContent) {
+/**
+ * Fila de mensagens - filtros por status e telefone
+ */
+app.get('/admin/messages/queue', requireRole('viewer'), async (req, res) => {
     try {
-        const firstName = getFirstName(conversation.clientName);
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
         
-        console.log(`🎯 Enviando evento de conversão: ${conversation.orderCode}`);
+        const result = await database.query(`
+            SELECT * FROM outbound_messages
+            WHERE ($1::text IS NULL OR status = $1)
+              AND ($2::text IS NULL OR phone = $2)
+            ORDER BY id DESC
+            LIMIT $3
+        `, [req.query.status || null, req.query.phone ? getConversationKey(req.query.phone) : null, limit]);
         
-        const eventData = {
-            event_type: 'convertido',
-            produto: conversation.product,
-            instancia: conversation.instance,
-            evento_origem: 'pix_convertido',
-            cliente: {
-                telefone: conversation.phone,
-                nome: firstName,
-                nome_completo: conversation.clientName
-            },
-            conversao: {
-                resposta_numero: conversation.responseCount + 1,
-                conteudo_resposta: messageContent,
-                valor_original: conversation.amount,
-                timestamp: new Date().toISOString(),
-                brazil_time: getBrazilTime()
-            },
-            pedido: {
-                codigo: conversation.orderCode,
-                valor: conversation.amount,
-                pix_url: conversation.pixUrl || ''
-            },
-            timestamp: new Date().toISOString(),
-            brazil_time: getBrazilTime(),
-            conversation_id: conversation.id
-        };
+        const stats = await database.query(`
+            SELECT status, COUNT(*) as total FROM outbound_messages GROUP BY status
+        `);
         
-        const success = await sendToN8N(eventData, 'convertido');
+        const messages = hasRole(req, 'operator') ? result.rows :
+            result.rows.map(m => ({ ...m, phone: maskPhone(m.phone), content: undefined }));
         
-        if (success) {
-            console.log(`✅ Evento de conversão enviado: ${conversation.orderCode}`);
+        res.json({
+            stats: Object.fromEntries(stats.rows.map(r => [r.status, parseInt(r.total)])),
+            count: messages.length,
+            messages
+        });
+        
+    } catch (error) {
+        console.error(`❌ Erro ao listar fila de mensagens: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Histórico cronológico de mensagens por telefone ou pedido
+ */
+app.get('/admin/messages/thread', requireRole('operator'), async (req, res) => {
+    try {
+        const phone = req.query.phone ? getConversationKey(req.query.phone) : null;
+        const order = req.query.order || null;
+        
+        if (!phone && !order) {
+            return res.status(400).json({ success: false, error: 'Informe phone ou order' });
         }
         
-        return success;
+        const limit = Math.min(parseInt(req.query.limit) || 200, 1000);
+        
+        const result = await database.query(`
+            SELECT * FROM (
+                SELECT * FROM messages
+                WHERE ($1::text IS NULL OR phone = $1)
+                  AND ($2::text IS NULL OR order_code = $2)
+                ORDER BY sent_at DESC, id DESC
+                LIMIT $3
+            ) recent
+            ORDER BY sent_at ASC, id ASC
+        `, [phone, order, limit]);
+        
+        const conversationRow = await database.query(`
+            SELECT phone, order_code, product, status, instance_name, client_name, responses_count
+            FROM conversations
+            WHERE ($1::text IS NULL OR phone = $1) AND ($2::text IS NULL OR order_code = $2)
+            ORDER BY created_at DESC
+            LIMIT 1
+        `, [phone, order]);
+        
+        res.json({
+            phone: phone || conversationRow.rows[0]?.phone || null,
+            order_code: order,
+            conversation: conversationRow.rows[0] || null,
+            count: result.rows.length,
+            messages: result.rows.map(m => ({
+                ...m,
+                sent_at_brazil: getBrazilTime('DD/MM/YYYY HH:mm:ss', m.sent_at)
+            }))
+        });
         
     } catch (error) {
-        console.error(`❌ Erro ao enviar evento de conversão: ${error.message}`);
-        return false;
+        console.error(`❌ Erro ao buscar histórico de mensagens: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
     }
-}
+});
 
-// ============================================
-// VERIFICAÇÃO DE STATUS DE PAGAMENTO
-// ============================================
+/**
+ * Mensagens nativas configuradas por etapa
+ */
+app.get('/admin/step-messages', requireRole('viewer'), async (req, res) => {
+    try {
+        const result = await database.query(`
+            SELECT * FROM step_messages
+            WHERE ($1::text IS NULL OR product = $1)
+            ORDER BY product, origin, step, position, id
+        `, [req.query.product || null]);
+        
+        res.json({ count: result.rows.length, step_messages: result.rows });
+        
+    } catch (error) {
+        console.error(`❌ Erro ao listar mensagens nativas: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-async function checkPaymentStatus(orderCode) {
+/**
+ * Cadastrar mensagem nativa de uma etapa
+ */
+app.post('/admin/step-messages', requireRole('admin'), async (req, res) => {
     try {
-        // Verificar na memória primeiro (mais rápido)
-        for (const [phone, conv] of conversations) {
-            if (conv.orderCode === orderCode) {
-                const isPaid = conv.status === 'approved' || conv.status === 'completed' || conv.status === 'convertido';
-                if (isPaid) {
-                    console.log(`💰 Pagamento confirmado (cache): ${orderCode}`);
-                    return true;
-                }
-            }
+        const { product, origin = '*', step, position = 1, type = 'text', content, delay_ms = 0 } = req.body || {};
+        
+        if (!product || !parseInt(step)) {
+            return res.status(400).json({ success: false, error: 'product e step são obrigatórios' });
+        }
+        if (![...CONVERSATION_ORIGINS, '*'].includes(origin)) {
+            return res.status(400).json({ success: false, error: `origin deve ser ${CONVERSATION_ORIGINS.join(', ')} ou '*'` });
         }
         
-        // Verificar no banco
-        try {
-            const result = await database.query(
-                'SELECT status FROM conversations WHERE order_code = $1 ORDER BY updated_at DESC LIMIT 1',
-                [orderCode]
-            );
-            
-            if (result.rows.length > 0) {
-                const status = result.rows[0].status;
-                const isPaid = status === 'approved' || status === 'completed' || status === 'convertido';
-                if (isPaid) {
-                    console.log(`💰 Pagamento confirmado (banco): ${orderCode}`);
-                }
-                return isPaid;
-            }
-        } catch (dbError) {
-            console.warn(`⚠️ Erro ao verificar pagamento no banco: ${dbError.message}`);
+        const error = validateMessageContent(type, content);
+        if (error) {
+            return res.status(400).json({ success: false, error });
         }
         
-        return false;
+        const result = await database.query(`
+            INSERT INTO step_messages (product, origin, step, position, message_type, content, delay_ms)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING *
+        `, [product, origin, parseInt(step), parseInt(position) || 1, type, JSON.stringify(content), parseInt(delay_ms) || 0]);
+        
+        await loadStepMessages();
+        
+        console.log(`✉️ Mensagem nativa criada por ${req.principal.username}: ${product}/${origin} etapa ${step}`);
+        res.status(201).json({ success: true, step_message: result.rows[0] });
         
     } catch (error) {
-        console.error(`❌ Erro ao verificar status de pagamento: ${error.message}`);
-        return false;
+        console.error(`❌ Erro ao criar mensagem nativa: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
     }
-}
-
-// ============================================
-// PROCESSAMENTO DE MENSAGEM DO SISTEMA
-// ============================================
+});
 
-async function handleSystemMessage(clientNumber, messageContent, instanceName) {
+/**
+ * Remover mensagem nativa
+ */
+app.delete('/admin/step-messages/:id', requireRole('admin'), async (req, res) => {
     try {
-        const conversationKey = getConversationKey(clientNumber);
-        console.log(`📤 Mensagem do sistema para: ${conversationKey}`);
+        const result = await database.query('DELETE FROM step_messages WHERE id = $1 RETURNING id', [parseInt(req.params.id) || 0]);
         
-        // Buscar conversa
-        const conversation = conversations.get(conversationKey);
-        if (conversation) {
-            conversation.lastActivity = new Date();
-            conversations.set(conversationKey, conversation);
-            console.log(`⏰ Última atividade atualizada`);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Mensagem não encontrada' });
         }
         
+        await loadStepMessages();
+        
+        console.log(`🗑️ Mensagem nativa #${req.params.id} removida por ${req.principal.username}`);
+        res.json({ success: true });
+        
     } catch (error) {
-        console.error(`❌ Erro ao processar mensagem do sistema: ${error.message}`);
+        console.error(`❌ Erro ao remover mensagem nativa: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
     }
-}
+});
 
 // ============================================
-// PROCESSAMENTO DE RESPOSTA DO CLIENTE - PARTE CRÍTICA
+// FOLLOW-UPS - ADMIN
 // ============================================
 
-async function handleClientResponse(clientNumber, messageContent, instanceName, messageData) {
+/**
+ * Cronogramas de follow-up (etapas cadastradas + padrão do FOLLOWUP_SCHEDULE)
+ */
+app.get('/admin/followup-steps', requireRole('viewer'), async (req, res) => {
     try {
-        const conversationKey = getConversationKey(clientNumber);
-        console.log(`📥 RESPOSTA CLIENTE: ${conversationKey} | "${messageContent.substring(0, 50)}..."`);
-        
-        // Buscar conversa ativa
-        const conversation = conversations.get(conversationKey);
-        
-        if (!conversation) {
-            console.log(`⚠️ Cliente ${conversationKey} não encontrado nas conversas ativas`);
-            console.log(`📋 Chaves ativas: ${Array.from(conversations.keys()).join(', ')}`);
-            return;
-        }
-        
-        // VERIFICAÇÃO CRÍTICA 1: Se o funil está em progresso, ignorar mensagem
-        if (conversation.funilInProgress) {
-            console.log(`🚧 Cliente ${conversationKey} - funil em progresso - ignorando mensagem`);
-            console.log(`   Status: ${conversation.status}`);
-            console.log(`   Etapa atual: ${conversation.responseCount}/3`);
-            console.log(`   Aguardando confirmação do N8N para continuar`);
-            return;
-        }
-        
-        // VERIFICAÇÃO CRÍTICA 2: Se está aguardando confirmação do N8N, ignorar
-        if (conversation.waitingConfirmation) {
-            console.log(`⏳ Cliente ${conversationKey} aguardando confirmação N8N - ignorando mensagem`);
-            return;
-        }
+        const result = await database.query(`
+            SELECT * FROM followup_steps
+            WHERE ($1::text IS NULL OR product = $1)
+            ORDER BY product, step
+        `, [req.query.product || null]);
         
-        // Verificar se PIX foi pago durante o fluxo
-        if (conversation.status === 'pix_pending') {
-            const isPaid = await checkPaymentStatus(conversation.orderCode);
-            
-            if (isPaid) {
-                console.log(`🎉 PIX pago durante fluxo - processando conversão`);
-                
-                // Cancelar timeout PIX
-                if (pendingTimeouts.has(conversation.orderCode)) {
-                    clearTimeout(pendingTimeouts.get(conversation.orderCode));
-                    pendingTimeouts.delete(conversation.orderCode);
-                    console.log(`🗑️ Timeout PIX cancelado por pagamento`);
-                }
-                
-                // Atualizar status
-                conversation.status = 'convertido';
-                conversation.lastActivity = new Date();
-                conversations.set(conversationKey, conversation);
-                
-                // Salvar contato se for primeira resposta
-                if (conversation.responseCount === 0 && shouldSaveContact(messageContent)) {
-                    await saveContactAutomatically(conversationKey, conversation.instance, conversation);
-                }
-                
-                // Enviar evento de conversão
-                await sendConversionEvent(conversation, messageContent);
-                return;
-            }
-        }
+        res.json({
+            count: result.rows.length,
+            followup_steps: result.rows,
+            default_schedule: getDefaultFollowupSchedule()
+        });
         
-        // Determinar próximo passo baseado em responseCount
-        const nextStep = conversation.responseCount + 1;
+    } catch (error) {
+        console.error(`❌ Erro ao listar etapas de follow-up: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Cadastrar/atualizar etapa de follow-up de um produto ('*' = todos)
+ */
+app.post('/admin/followup-steps', requireRole('admin'), async (req, res) => {
+    try {
+        const { product = '*', step, delay_minutes, event_type = null, active = true } = req.body || {};
         
-        if (nextStep > 3) {
-            console.log(`✅ Funil completo - ${conversationKey} já recebeu todas as 3 respostas`);
-            return;
+        if (!parseInt(step) || !(parseInt(delay_minutes) > 0)) {
+            return res.status(400).json({ success: false, error: 'step e delay_minutes (minutos após o timeout) são obrigatórios' });
         }
         
-        console.log(`📋 Iniciando envio da resposta_0${nextStep} para ${conversationKey}`);
+        const result = await database.query(`
+            INSERT INTO followup_steps (product, step, delay_minutes, event_type, active)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (product, step) DO UPDATE SET
+                delay_minutes = EXCLUDED.delay_minutes,
+                event_type = EXCLUDED.event_type,
+                active = EXCLUDED.active,
+                updated_at = NOW()
+            RETURNING *
+        `, [product, parseInt(step), parseInt(delay_minutes), event_type, active !== false]);
         
-        // SALVAR CONTATO NA PRIMEIRA RESPOSTA
-        if (nextStep === 1 && shouldSaveContact(messageContent)) {
-            const contactResult = await saveContactAutomatically(conversationKey, conversation.instance, conversation);
-            if (contactResult.success) {
-                console.log(`📇 Contato salvo automaticamente na primeira resposta`);
-            }
+        await loadFollowupSteps();
+        
+        console.log(`📆 Etapa de follow-up salva por ${req.principal.username}: ${product} etapa ${step} (+${delay_minutes} min)`);
+        res.status(201).json({ success: true, followup_step: result.rows[0] });
+        
+    } catch (error) {
+        console.error(`❌ Erro ao salvar etapa de follow-up: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Remover etapa de follow-up
+ */
+app.delete('/admin/followup-steps/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await database.query('DELETE FROM followup_steps WHERE id = $1 RETURNING id', [parseInt(req.params.id) || 0]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Etapa não encontrada' });
         }
         
-        // MARCAR CONVERSA COMO BLOQUEADA ATÉ CONFIRMAÇÃO
-        conversation.waitingConfirmation = true;
-        conversation.funilInProgress = true;
-        conversation.pendingStep = nextStep;
-        conversation.lastActivity = new Date();
-        conversations.set(conversationKey, conversation);
+        await loadFollowupSteps();
         
-        console.log(`🔒 Conversa bloqueada - aguardando funil completo`);
-        console.log(`   waitingConfirmation: true`);
-        console.log(`   funilInProgress: true`);
-        console.log(`   pendingStep: ${nextStep}`);
+        console.log(`🗑️ Etapa de follow-up #${req.params.id} removida por ${req.principal.username}`);
+        res.json({ success: true });
         
-        // Preparar dados para N8N
-        const firstName = getFirstName(conversation.clientName);
-        const eventData = {
-            event_type: `resposta_0${nextStep}`,
-            produto: conversation.product,
-            instancia: conversation.instance,
-            evento_origem: conversation.status === 'approved' ? 'aprovada' : 'pix',
-            cliente: {
-                telefone: conversationKey,
-                nome: firstName,
-                nome_completo: conversation.clientName
-            },
-            resposta: {
-                numero: nextStep,
-                conteudo: messageContent,
-                timestamp: new Date().toISOString(),
-                brazil_time: getBrazilTime()
-            },
-            pedido: {
-                codigo: conversation.orderCode,
-                valor: conversation.amount,
-                pix_url: conversation.pixUrl || ''
-            },
-            timestamp: new Date().toISOString(),
-            brazil_time: getBrazilTime(),
-            conversation_id: conversation.id
-        };
+    } catch (error) {
+        console.error(`❌ Erro ao remover etapa de follow-up: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Follow-ups registrados + resumo por etapa (enviados, cancelados e convertidos)
+ */
+app.get('/admin/followups', requireRole('viewer'), async (req, res) => {
+    try {
+        const phone = req.query.phone ? normalizePhoneNumber(req.query.phone) : null;
+        const filters = [req.query.order || null, phone, req.query.status || null, req.query.product || null];
         
-        // Enviar para N8N
-        const success = await sendToN8N(eventData, `resposta_0${nextStep}`);
+        const result = await database.query(`
+            SELECT * FROM followups
+            WHERE ($1::text IS NULL OR order_code = $1)
+              AND ($2::text IS NULL OR phone = $2)
+              AND ($3::text IS NULL OR status = $3)
+              AND ($4::text IS NULL OR product = $4)
+            ORDER BY id DESC
+            LIMIT $5
+        `, [...filters, Math.min(parseInt(req.query.limit) || 100, 500)]);
+        
+        const summary = await database.query(`
+            SELECT f.product, f.step, f.status, COUNT(*) AS total,
+                   COUNT(*) FILTER (WHERE c.status = ANY($5)) AS converted
+            FROM followups f
+            LEFT JOIN conversations c ON c.order_code = f.order_code
+            WHERE ($1::text IS NULL OR f.order_code = $1)
+              AND ($2::text IS NULL OR f.phone = $2)
+              AND ($3::text IS NULL OR f.status = $3)
+              AND ($4::text IS NULL OR f.product = $4)
+            GROUP BY f.product, f.step, f.status
+            ORDER BY f.product, f.step, f.status
+        `, [...filters, PAID_CONVERSATION_STATUSES]);
+        
+        const followups = hasRole(req, 'operator') ? result.rows :
+            result.rows.map(f => ({ ...f, phone: maskPhone(f.phone) }));
         
-        if (success) {
-            console.log(`✅ Resposta_0${nextStep} enviada - aguardando execução completa do funil`);
-        } else {
-            console.error(`❌ Falha ao enviar resposta_0${nextStep} - liberando conversa`);
-            
-            // Se falhou, liberar a conversa para não travar permanentemente
-            conversation.waitingConfirmation = false;
-            conversation.funilInProgress = false;
-            conversation.pendingStep = null;
-            conversations.set(conversationKey, conversation);
-            
-            console.log(`🔓 Conversa liberada por falha no envio`);
-        }
+        res.json({
+            count: followups.length,
+            summary: summary.rows.map(s => ({ ...s, total: parseInt(s.total), converted: parseInt(s.converted) })),
+            followups
+        });
         
     } catch (error) {
-        console.error(`❌ Erro ao processar resposta do cliente: ${error.message}`);
+        console.error(`❌ Erro ao listar follow-ups: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
     }
-}
+});
 
 // ============================================
-// WEBHOOKS PRINCIPAIS
+// HISTÓRICO DE PEDIDOS - ADMIN
 // ============================================
 
 /**
- * WEBHOOK PERFECT PAY
+ * Histórico de status de um pedido no gateway
  */
-app.post('/webhook/perfect', async (req, res) => {
+app.get('/admin/orders/:code/history', requireRole('viewer'), async (req, res) => {
     try {
-        const data = req.body;
-        const orderCode = data.code;
-        const status = data.sale_status_enum_key;
-        const planCode = data.plan?.code;
-        const product = getProductByPlanCode(planCode);
-        
-        const fullName = data.customer?.full_name || 'Cliente';
-        const firstName = getFirstName(fullName);
-        const phoneNumber = formatPhoneFromPerfectPay(
-            data.customer?.phone_extension,
-            data.customer?.phone_area_code,
-            data.customer?.phone_number
+        const result = await database.query(
+            'SELECT * FROM order_status_history WHERE order_code = $1 ORDER BY id ASC',
+            [req.params.code]
         );
-        const amount = parseFloat(data.sale_amount) || 0;
-        const pixUrl = data.billet_url || '';
-        
-        console.log(`\n📥 WEBHOOK PERFECT PAY`);
-        console.log(`   Pedido: ${orderCode}`);
-        console.log(`   Status: ${status}`);
-        console.log(`   Produto: ${product}`);
-        console.log(`   Cliente: ${fullName}`);
-        console.log(`   Telefone: ${phoneNumber}`);
         
-        systemStats.totalEvents++;
+        const history = hasRole(req, 'operator') ? result.rows :
+            result.rows.map(h => ({ ...h, phone: maskPhone(h.phone) }));
         
-        // Processar baseado no status
-        if (status === 'approved') {
-            await handleApprovedSale(orderCode, phoneNumber, firstName, fullName, product, amount);
-        } else if (status === 'pending') {
-            await handlePendingPix(orderCode, phoneNumber, firstName, fullName, product, amount, pixUrl);
-        } else {
-            console.log(`ℹ️ Status ignorado: ${status}`);
-        }
+        const conversation = conversations.get(req.params.code);
         
-        res.status(200).json({ 
-            success: true, 
-            message: 'Perfect Pay processado',
-            order_code: orderCode,
-            product: product,
-            phone_normalized: getConversationKey(phoneNumber)
+        res.json({
+            order_code: req.params.code,
+            conversation_status: conversation ? conversation.status : null,
+            count: history.length,
+            history
         });
         
     } catch (error) {
-        console.error(`❌ Erro no webhook Perfect Pay: ${error.message}`);
-        systemStats.failedEvents++;
+        console.error(`❌ Erro ao buscar histórico do pedido: ${error.message}`);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
+// ============================================
+// WEBHOOKS RECEBIDOS - ADMIN
+// ============================================
+
 /**
- * WEBHOOK EVOLUTION API
+ * Filtros de busca dos webhooks capturados: source, status, phone, order, from, to
+ * Retorna null se alguma data for inválida
+ */
+function parseInboundEventFilters(input) {
+    const filters = {
+        source: input.source || null,
+        status: input.status || null,
+        phone: input.phone ? normalizePhoneNumber(input.phone) : null,
+        order: input.order || null,
+        from: input.from ? new Date(input.from) : null,
+        to: input.to ? new Date(input.to) : null
+    };
+    
+    if ((filters.from && isNaN(filters.from)) || (filters.to && isNaN(filters.to))) return null;
+    return filters;
+}
+
+async function searchInboundEvents(filters, { duplicatesOnly = false, limit = 100, ascending = false } = {}) {
+    const result = await database.query(`
+        SELECT * FROM inbound_events
+        WHERE ($1::text IS NULL OR source = $1)
+          AND ($2::text IS NULL OR status = $2)
+          AND ($3::boolean IS NOT TRUE OR duplicate_count > 0)
+          AND ($4::text IS NULL OR phone = $4)
+          AND ($5::text IS NULL OR order_code = $5)
+          AND ($6::timestamp IS NULL OR received_at >= $6)
+          AND ($7::timestamp IS NULL OR received_at <= $7)
+        ORDER BY received_at ${ascending ? 'ASC' : 'DESC'}, id ${ascending ? 'ASC' : 'DESC'}
+        LIMIT $8
+    `, [filters.source, filters.status, duplicatesOnly, filters.phone, filters.order, filters.from, filters.to, limit]);
+    
+    return result.rows;
+}
+
+/**
+ * Listar entregas de webhook (?source=, ?status=, ?phone=, ?order=, ?from=, ?to=,
+ * ?duplicates=1 só as repetidas)
  */
-app.post('/webhook/evolution', async (req, res) => {
+app.get('/admin/inbound-events', requireRole('viewer'), async (req, res) => {
     try {
-        const data = req.body;
-        const messageData = data.data;
+        const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+        const filters = parseInboundEventFilters(req.query);
         
-        if (!messageData || !messageData.key) {
-            return res.status(200).json({ success: true, message: 'Estrutura inválida' });
+        if (!filters) {
+            return res.status(400).json({ success: false, error: 'Data inválida em from/to' });
         }
         
-        const remoteJid = messageData.key.remoteJid;
-        const fromMe = messageData.key.fromMe;
-        const messageContent = messageData.message?.conversation || 
-                              messageData.message?.extendedTextMessage?.text || '';
-        const instanceName = data.instance;
-        
-        const clientNumber = remoteJid.replace('@s.whatsapp.net', '');
-        
-        console.log(`\n📱 WEBHOOK EVOLUTION`);
-        console.log(`   De: ${fromMe ? 'Sistema' : 'Cliente'}`);
-        console.log(`   Número: ${clientNumber}`);
-        console.log(`   Instância: ${instanceName}`);
-        
-        systemStats.totalEvents++;
+        const rows = await searchInboundEvents(filters, {
+            duplicatesOnly: req.query.duplicates === '1' || req.query.duplicates === 'true',
+            limit
+        });
         
-        if (fromMe) {
-            await handleSystemMessage(clientNumber, messageContent, instanceName);
-        } else {
-            await handleClientResponse(clientNumber, messageContent, instanceName, messageData);
-        }
+        // Payload bruto e headers têm dados pessoais
+        const events = hasRole(req, 'operator') ? rows :
+            rows.map(e => ({ ...e, phone: maskPhone(e.phone), payload: undefined, headers: undefined }));
         
-        res.status(200).json({ 
-            success: true, 
-            message: 'Evolution processado',
-            client_number: getConversationKey(clientNumber),
-            from_me: fromMe
+        res.json({
+            duplicates_since_start: systemStats.duplicateWebhooks,
+            count: events.length,
+            events
         });
         
     } catch (error) {
-        console.error(`❌ Erro no webhook Evolution: ${error.message}`);
-        systemStats.failedEvents++;
+        console.error(`❌ Erro ao listar webhooks recebidos: ${error.message}`);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
 /**
- * WEBHOOK N8N CONFIRM - CRÍTICO PARA LIBERAR FUNIL
+ * Webhook capturado completo (payload, headers e query sem segredos)
  */
-app.post('/webhook/n8n-confirm', async (req, res) => {
+app.get('/admin/inbound-events/:id', requireRole('operator'), async (req, res) => {
     try {
-        const { tipo_mensagem, telefone, instancia, funil_completo } = req.body;
+        const result = await database.query('SELECT * FROM inbound_events WHERE id = $1', [parseInt(req.params.id) || 0]);
         
-        // SEMPRE normalizar o telefone
-        const conversationKey = getConversationKey(telefone);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Evento não encontrado' });
+        }
         
-        console.log(`\n📨 WEBHOOK N8N CONFIRM`);
-        console.log(`   Tipo: ${tipo_mensagem}`);
-        console.log(`   Telefone: ${telefone} → ${conversationKey}`);
-        console.log(`   Instância: ${instancia}`);
-        console.log(`   Funil completo: ${funil_completo} (tipo: ${typeof funil_completo})`);
+        res.json(result.rows[0]);
         
-        // Buscar conversa
-        const conversation = conversations.get(conversationKey);
+    } catch (error) {
+        console.error(`❌ Erro ao buscar webhook recebido: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Reproduzir webhooks capturados nos handlers atuais
+ * Body: { ids: [..] } ou filtros { source, phone, order, from, to, limit }
+ * mode: "dry_run" (padrão - só relata o que aconteceria) ou "live"
+ */
+app.post('/admin/inbound-events/replay', requireRole('admin'), async (req, res) => {
+    try {
+        const body = req.body || {};
+        const mode = body.mode || 'dry_run';
         
-        if (!conversation) {
-            console.warn(`⚠️ Conversa não encontrada para confirmação: ${conversationKey}`);
-            console.log(`📋 Chaves disponíveis: ${Array.from(conversations.keys()).slice(0, 5).join(', ')}...`);
-            
-            return res.json({ 
-                success: false, 
-                message: 'Conversa não encontrada',
-                chave_buscada: conversationKey,
-                total_conversas: conversations.size
-            });
+        if (!['dry_run', 'live'].includes(mode)) {
+            return res.status(400).json({ success: false, error: 'mode deve ser dry_run ou live' });
         }
         
-        console.log(`📊 Estado atual da conversa:`);
-        console.log(`   Cliente: ${conversation.clientName}`);
-        console.log(`   Pedido: ${conversation.orderCode}`);
-        console.log(`   Status: ${conversation.status}`);
-        console.log(`   Respostas: ${conversation.responseCount}/3`);
-        console.log(`   waitingConfirmation: ${conversation.waitingConfirmation}`);
-        console.log(`   funilInProgress: ${conversation.funilInProgress}`);
-        console.log(`   pendingStep: ${conversation.pendingStep}`);
-        
-        // PROCESSAR CONFIRMAÇÃO BASEADO EM funil_completo
-        if (funil_completo === true || funil_completo === 'true' || funil_completo === "true") {
-            console.log(`✅ FUNIL COMPLETO - Liberando conversa`);
-            
-            // Atualizar contador de respostas
-            if (conversation.pendingStep) {
-                conversation.responseCount = conversation.pendingStep;
-                console.log(`📊 Respostas atualizadas: ${conversation.responseCount}/3`);
-            }
+        let events;
+        if (Array.isArray(body.ids) && body.ids.length > 0) {
+            const ids = body.ids.map(id => parseInt(id)).filter(Boolean).slice(0, REPLAY_MAX_EVENTS);
+            const result = await database.query('SELECT * FROM inbound_events WHERE id = ANY($1::int[])', [ids]);
             
-            // LIMPAR TODAS AS FLAGS DE BLOQUEIO
-            conversation.waitingConfirmation = false;
-            conversation.funilInProgress = false;
-            conversation.pendingStep = null;
-            conversation.lastActivity = new Date();
+            // Mantém a ordem pedida - permite montar a sequência
+            events = ids.map(id => result.rows.find(row => row.id === id)).filter(Boolean);
+        } else {
+            const filters = parseInboundEventFilters(body);
             
-            // Verificar se completou todas as respostas
-            if (conversation.responseCount === 3) {
-                conversation.status = 'completed';
-                console.log(`🎯 Funil totalmente completo - todas as 3 respostas enviadas`);
-                
-                // Atualizar no banco
-                try {
-                    await database.query(
-                        'UPDATE conversations SET status = $1, responses_count = $2, updated_at = NOW() WHERE order_code = $3',
-                        ['completed', 3, conversation.orderCode]
-                    );
-                } catch (dbError) {
-                    console.warn(`⚠️ Erro ao atualizar banco: ${dbError.message}`);
-                }
-            } else {
-                // Atualizar apenas o contador no banco
-                try {
-                    await database.query(
-                        'UPDATE conversations SET responses_count = $1, last_response_at = NOW(), updated_at = NOW() WHERE order_code = $2',
-                        [conversation.responseCount, conversation.orderCode]
-                    );
-                } catch (dbError) {
-                    console.warn(`⚠️ Erro ao atualizar banco: ${dbError.message}`);
-                }
+            if (!filters) {
+                return res.status(400).json({ success: false, error: 'Data inválida em from/to' });
+            }
+            if (!filters.phone && !filters.order && !filters.from) {
+                return res.status(400).json({ success: false, error: 'Informe ids, phone, order ou from' });
             }
             
-            // Salvar conversa atualizada
-            conversations.set(conversationKey, conversation);
-            
-            console.log(`🔓 CONVERSA LIBERADA - Cliente pode enviar próxima mensagem`);
-            console.log(`   waitingConfirmation: false`);
-            console.log(`   funilInProgress: false`);
-            console.log(`   Próxima resposta será: resposta_0${conversation.responseCount + 1}`);
-            
-        } else {
-            // Funil ainda em execução
-            console.log(`⏳ Funil ainda em execução - mantendo bloqueio`);
-            conversation.lastActivity = new Date();
-            conversations.set(conversationKey, conversation);
+            events = await searchInboundEvents(filters, {
+                limit: Math.min(parseInt(body.limit) || REPLAY_MAX_EVENTS, REPLAY_MAX_EVENTS),
+                ascending: true
+            });
         }
         
-        res.json({ 
+        if (events.length === 0) {
+            return res.status(404).json({ success: false, error: 'Nenhum evento encontrado' });
+        }
+        
+        console.log(`⏪ Replay ${mode} de ${events.length} eventos por ${req.principal.username}`);
+        
+        const report = await replayInboundEvents(events, { dryRun: mode === 'dry_run' });
+        
+        res.json({
             success: true,
-            message: funil_completo ? 'Funil completo - conversa liberada' : 'Funil em execução',
-            funil_completo: funil_completo,
-            pedido: conversation.orderCode,
-            cliente: conversation.clientName,
-            telefone_normalizado: conversationKey,
-            respostas_atuais: conversation.responseCount,
-            proxima_resposta: conversation.responseCount < 3 ? `resposta_0${conversation.responseCount + 1}` : 'completo',
-            status_conversa: conversation.status,
-            liberado_para_proxima: !conversation.funilInProgress && !conversation.waitingConfirmation,
-            flags: {
-                waitingConfirmation: conversation.waitingConfirmation,
-                funilInProgress: conversation.funilInProgress,
-                pendingStep: conversation.pendingStep
-            }
+            mode,
+            count: events.length,
+            ...report
         });
         
     } catch (error) {
-        console.error(`❌ Erro no webhook N8N confirm: ${error.message}`);
+        console.error(`❌ Erro no replay de webhooks: ${error.message}`);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
 // ============================================
-// ENDPOINTS AUXILIARES PARA N8N
+// OPT-OUT - ADMIN
 // ============================================
 
 /**
- * Verificar status de pagamento
+ * Listar telefones em opt-out
  */
-app.get('/check-payment/:orderId', async (req, res) => {
+app.get('/admin/opt-outs', requireRole('viewer'), async (req, res) => {
     try {
-        const { orderId } = req.params;
+        const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
         
-        console.log(`💳 Verificando pagamento: ${orderId}`);
+        const result = await database.query(`
+            SELECT * FROM opt_outs
+            WHERE ($1::text IS NULL OR phone = $1)
+            ORDER BY created_at DESC
+            LIMIT $2
+        `, [req.query.phone ? getConversationKey(req.query.phone) : null, limit]);
         
-        const isPaid = await checkPaymentStatus(orderId);
+        const optOuts = hasRole(req, 'operator') ? result.rows :
+            result.rows.map(o => ({ ...o, phone: maskPhone(o.phone), message: undefined }));
         
-        res.json({ 
-            status: isPaid ? 'paid' : 'pending',
-            order_id: orderId,
-            timestamp: getBrazilTime()
-        });
+        res.json({ total: optOutPhones.size, keywords: OPT_OUT_KEYWORDS, count: optOuts.length, opt_outs: optOuts });
         
     } catch (error) {
-        console.error(`❌ Erro ao verificar pagamento: ${error.message}`);
+        console.error(`❌ Erro ao listar opt-outs: ${error.message}`);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
 /**
- * Marcar conversa como completa
+ * Registrar opt-out manualmente
  */
-app.post('/webhook/complete/:orderId', async (req, res) => {
+app.post('/admin/opt-outs', requireRole('operator'), async (req, res) => {
     try {
-        const { orderId } = req.params;
+        const { phone, reason } = req.body || {};
         
-        console.log(`✅ Marcando como completo: ${orderId}`);
-        
-        // Buscar e atualizar conversa
-        let found = false;
-        for (const [phone, conv] of conversations) {
-            if (conv.orderCode === orderId) {
-                conv.status = 'completed';
-                conv.lastActivity = new Date();
-                conversations.set(phone, conv);
-                found = true;
-                console.log(`✅ Conversa marcada como completa em memória`);
-                break;
-            }
+        if (!phone) {
+            return res.status(400).json({ success: false, error: 'phone é obrigatório' });
         }
         
-        // Atualizar banco
-        try {
-            await database.query(
-                'UPDATE conversations SET status = $1, updated_at = NOW() WHERE order_code = $2',
-                ['completed', orderId]
-            );
-            console.log(`✅ Status completo salvo no banco`);
-        } catch (dbError) {
-            console.warn(`⚠️ Erro ao atualizar banco: ${dbError.message}`);
-        }
+        const created = await registerOptOut(phone, {
+            source: 'admin',
+            reason: reason || null,
+            createdBy: req.principal.username
+        });
         
-        res.json({ 
-            success: true, 
-            message: 'Conversa marcada como completa',
-            order_id: orderId,
-            found_in_memory: found
+        res.status(created ? 201 : 200).json({
+            success: true,
+            created,
+            phone: getConversationKey(phone)
         });
         
     } catch (error) {
-        console.error(`❌ Erro ao marcar como completo: ${error.message}`);
+        console.error(`❌ Erro ao registrar opt-out: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Remover opt-out - o telefone volta a receber funis em novas vendas
+ */
+app.delete('/admin/opt-outs/:phone', requireRole('admin'), async (req, res) => {
+    try {
+        const conversationKey = getConversationKey(req.params.phone);
+        const result = await database.query('DELETE FROM opt_outs WHERE phone = $1 RETURNING phone', [conversationKey]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Telefone não está em opt-out' });
+        }
+        
+        optOutPhones.delete(conversationKey);
+        
+        console.log(`✅ Opt-out removido por ${req.principal.username}: ${conversationKey}`);
+        res.json({ success: true, phone: conversationKey });
+        
+    } catch (error) {
+        console.error(`❌ Erro ao remover opt-out: ${error.message}`);
         res.status(500).json({ success: false, error: error.message });
     }
 });
+
 // ============================================
-// ENDPOINTS DE DEBUG
+// LOGIN E USUÁRIOS DO PAINEL
 // ============================================
 
 /**
- * Debug de conversa específica
+ * Página de login
  */
-app.get('/debug/conversation/:phone', (req, res) => {
-    const phone = req.params.phone;
-    const conversationKey = getConversationKey(phone);
-    const conversation = conversations.get(conversationKey);
-    
-    console.log(`🔍 Debug conversa: ${phone} → ${conversationKey}`);
-    
-    res.json({
-        telefone_original: phone,
-        chave_normalizada: conversationKey,
-        conversa_encontrada: !!conversation,
-        detalhes_conversa: conversation || null,
-        total_conversas_ativas: conversations.size,
-        chaves_ativas: Array.from(conversations.keys()).slice(0, 10)
-    });
+app.get('/login', (req, res) => {
+    res.send(getLoginHTML());
 });
 
 /**
- * Limpar flags travadas (emergência)
+ * Login com usuário e senha - cria sessão em cookie
  */
-app.post('/debug/clear-flags/:phone', (req, res) => {
-    const phone = req.params.phone;
-    const conversationKey = getConversationKey(phone);
-    const conversation = conversations.get(conversationKey);
-    
-    if (conversation) {
-        console.log(`🔧 Limpando flags de ${conversationKey}`);
-        conversation.waitingConfirmation = false;
-        conversation.funilInProgress = false;
-        conversation.pendingStep = null;
-        conversations.set(conversationKey, conversation);
+app.post('/auth/login', async (req, res) => {
+    try {
+        const { username, password } = req.body || {};
         
-        res.json({
-            success: true,
-            message: 'Flags limpas',
-            conversa: conversation
-        });
-    } else {
-        res.status(404).json({
-            success: false,
-            message: 'Conversa não encontrada'
-        });
+        const result = await database.query(
+            'SELECT username, password_hash, role FROM admin_users WHERE username = $1 AND active = TRUE',
+            [String(username || '')]
+        );
+        
+        const user = result.rows[0];
+        if (!user || !verifyPassword(password, user.password_hash)) {
+            console.warn(`🚫 Login inválido: ${username} | IP: ${req.ip}`);
+            return res.status(401).json({ success: false, error: 'Usuário ou senha inválidos' });
+        }
+        
+        const token = crypto.randomBytes(32).toString('hex');
+        
+        await database.query('DELETE FROM admin_sessions WHERE expires_at < NOW()');
+        await database.query(`
+            INSERT INTO admin_sessions (token_hash, username, role, expires_at)
+            VALUES ($1, $2, $3, NOW() + ($4 || ' hours')::INTERVAL)
+        `, [hashSessionToken(token), user.username, user.role, String(CONFIG.SESSION_TTL_HOURS)]);
+        
+        await database.query('UPDATE admin_users SET last_login_at = NOW() WHERE username = $1', [user.username]);
+        
+        const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+        res.setHeader('Set-Cookie',
+            `${SESSION_COOKIE}=${token}; HttpOnly; SameSite=Lax; Path=/; Max-Age=${CONFIG.SESSION_TTL_HOURS * 3600}${secure}`
+        );
+        
+        console.log(`👤 Login: ${user.username} (${user.role})`);
+        res.json({ success: true, username: user.username, role: user.role });
+        
+    } catch (error) {
+        console.error(`❌ Erro no login: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// ============================================
-// ENDPOINTS DE CONTATOS
-// ============================================
-
 /**
- * Estatísticas de contatos
+ * Logout - remove a sessão
  */
-app.get('/contacts/stats', async (req, res) => {
+app.post('/auth/logout', async (req, res) => {
     try {
-        const stats = await database.query(`
-            SELECT 
-                instance,
-                COUNT(*) as total,
-                COUNT(*) FILTER (WHERE saved_at >= NOW() - INTERVAL '24 hours') as today,
-                COUNT(*) FILTER (WHERE saved_at >= NOW() - INTERVAL '7 days') as this_week,
-                MIN(saved_at) as first_contact,
-                MAX(saved_at) as last_contact
-            FROM contacts 
-            GROUP BY instance 
-            ORDER BY total DESC
-        `);
-        
-        const totalContacts = await database.query('SELECT COUNT(*) as total FROM contacts');
+        const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        if (token) {
+            await database.query('DELETE FROM admin_sessions WHERE token_hash = $1', [hashSessionToken(token)]);
+        }
         
-        res.json({
-            total_contacts: parseInt(totalContacts.rows[0].total || 0),
-            by_instance: stats.rows.map(row => ({
-                instance: row.instance,
-                total: parseInt(row.total),
-                today: parseInt(row.today || 0),
-                this_week: parseInt(row.this_week || 0),
-                first_contact: row.first_contact,
-                last_contact: row.last_contact
-            }))
-        });
+        res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; HttpOnly; SameSite=Lax; Path=/; Max-Age=0`);
+        res.json({ success: true });
         
     } catch (error) {
-        console.error(`❌ Erro ao obter estatísticas de contatos: ${error.message}`);
+        console.error(`❌ Erro no logout: ${error.message}`);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
 /**
- * Exportar contatos por instância
+ * Quem está logado
+ */
+app.get('/auth/me', requireRole('viewer'), (req, res) => {
+    res.json({ username: req.principal.username, role: req.principal.role, type: req.principal.type });
+});
+
+/**
+ * Listar usuários do painel
  */
-app.get('/contacts/export/:instance', async (req, res) => {
+app.get('/admin/users', requireRole('admin'), async (req, res) => {
     try {
-        const { instance } = req.params;
-        
-        console.log(`📥 Exportando contatos da instância: ${instance}`);
-        
-        const contacts = await database.query(`
-            SELECT phone, name, saved_at, product
-            FROM contacts 
-            WHERE instance = $1 
-            ORDER BY saved_at DESC
-        `, [instance.toUpperCase()]);
+        const result = await database.query(
+            'SELECT username, role, active, last_login_at, created_at FROM admin_users ORDER BY username'
+        );
+        res.json({ users: result.rows });
+    } catch (error) {
+        console.error(`❌ Erro ao listar usuários: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Criar usuário do painel
+ */
+app.post('/admin/users', requireRole('admin'), async (req, res) => {
+    try {
+        const { username, password, role = 'viewer' } = req.body || {};
         
-        if (contacts.rows.length === 0) {
-            return res.status(404).json({ 
-                success: false, 
-                message: `Nenhum contato encontrado para ${instance}` 
-            });
+        if (!username || !password || !ROLE_LEVELS[role]) {
+            return res.status(400).json({ success: false, error: 'username, password e role (viewer/operator/admin) são obrigatórios' });
         }
         
-        // Gerar CSV formato Google Contacts
-        let csv = 'Name,Phone 1 - Value,Notes\n';
-        
-        contacts.rows.forEach(contact => {
-            const date = getBrazilTime('DD/MM/YYYY HH:mm', contact.saved_at);
-            const notes = `Instância: ${instance} | Produto: ${contact.product} | Salvo: ${date}`;
-            csv += `"${contact.name}","${contact.phone}","${notes}"\n`;
-        });
-        
-        const filename = `contatos_${instance.toLowerCase()}_${getBrazilTime('YYYY-MM-DD')}.csv`;
-        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-        res.send(csv);
+        await database.query(
+            'INSERT INTO admin_users (username, password_hash, role) VALUES ($1, $2, $3)',
+            [username, hashPassword(password), role]
+        );
         
-        console.log(`✅ ${contacts.rows.length} contatos exportados: ${instance}`);
+        console.log(`👤 Usuário criado por ${req.principal.username}: ${username} (${role})`);
+        res.status(201).json({ success: true, username, role });
         
     } catch (error) {
-        console.error(`❌ Erro ao exportar contatos: ${error.message}`);
+        if (error.message.includes('admin_users_username_key')) {
+            return res.status(409).json({ success: false, error: 'Usuário já existe' });
+        }
+        console.error(`❌ Erro ao criar usuário: ${error.message}`);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
 /**
- * Exportar todos os contatos
+ * Alterar papel, senha ou status de um usuário (sessões abertas são encerradas)
  */
-app.get('/contacts/export/all', async (req, res) => {
+app.patch('/admin/users/:username', requireRole('admin'), async (req, res) => {
     try {
-        console.log('📥 Exportando TODOS os contatos...');
-        
-        const contacts = await database.query(`
-            SELECT phone, name, instance, saved_at, product
-            FROM contacts 
-            ORDER BY instance, saved_at DESC
-        `);
+        const { username } = req.params;
+        const { role, password, active } = req.body || {};
         
-        if (contacts.rows.length === 0) {
-            return res.status(404).json({ 
-                success: false, 
-                message: 'Nenhum contato encontrado' 
-            });
+        if (role !== undefined && !ROLE_LEVELS[role]) {
+            return res.status(400).json({ success: false, error: 'role inválido' });
         }
         
-        // Gerar CSV com instância no nome
-        let csv = 'Name,Phone 1 - Value,Notes\n';
-        
-        contacts.rows.forEach(contact => {
-            const date = getBrazilTime('DD/MM/YYYY HH:mm', contact.saved_at);
-            const name = `${contact.name} - ${contact.instance}`;
-            const notes = `Produto: ${contact.product} | Salvo: ${date}`;
-            csv += `"${name}","${contact.phone}","${notes}"\n`;
-        });
+        const result = await database.query(`
+            UPDATE admin_users SET
+                role = COALESCE($2, role),
+                password_hash = COALESCE($3, password_hash),
+                active = COALESCE($4, active),
+                updated_at = NOW()
+            WHERE username = $1
+            RETURNING username, role, active
+        `, [username, role || null, password ? hashPassword(password) : null, typeof active === 'boolean' ? active : null]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Usuário não encontrado' });
+        }
         
-        const filename = `todos_contatos_${getBrazilTime('YYYY-MM-DD')}.csv`;
-        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-        res.send(csv);
+        await database.query('DELETE FROM admin_sessions WHERE username = $1', [username]);
         
-        console.log(`✅ ${contacts.rows.length} contatos exportados (todos)`);
+        console.log(`👤 Usuário alterado por ${req.principal.username}: ${username}`);
+        res.json({ success: true, ...result.rows[0] });
         
     } catch (error) {
-        console.error(`❌ Erro ao exportar todos os contatos: ${error.message}`);
+        console.error(`❌ Erro ao alterar usuário: ${error.message}`);
         res.status(500).json({ success: false, error: error.message });
     }
 });
@@ -1426,7 +7634,7 @@ app.get('/contacts/export/all', async (req, res) => {
 /**
  * Dashboard principal
  */
-app.get('/', (req, res) => {
+app.get('/', requireRole('viewer'), (req, res) => {
     const htmlPath = path.join(__dirname, 'dashboard.html');
     if (fs.existsSync(htmlPath)) {
         res.sendFile(htmlPath);
@@ -1438,11 +7646,19 @@ app.get('/', (req, res) => {
 /**
  * Status completo do sistema
  */
-app.get('/status', async (req, res) => {
+app.get('/status', requireRole('viewer'), async (req, res) => {
     try {
+        // Dados pessoais completos só para operador ou acima
+        const showCustomerData = hasRole(req, 'operator');
+        
         // Converter Map para Array para JSON
         const conversationsArray = Array.from(conversations.values()).map(conv => ({
             ...conv,
+            phone: showCustomerData ? conv.phone : maskPhone(conv.phone),
+            clientName: showCustomerData ? conv.clientName : getFirstName(conv.clientName),
+            pixUrl: showCustomerData ? conv.pixUrl : undefined,
+            totalSteps: getTotalSteps(conv),
+            funnelName: getConversationFunnel(conv).name,
             createdAt: conv.createdAt.toISOString(),
             lastActivity: conv.lastActivity.toISOString(),
             created_at_brazil: getBrazilTime('DD/MM/YYYY HH:mm:ss', conv.createdAt),
@@ -1455,15 +7671,39 @@ app.get('/status', async (req, res) => {
             approved: conversationsArray.filter(c => c.status === 'approved').length,
             completed: conversationsArray.filter(c => c.status === 'completed').length,
             convertidos: conversationsArray.filter(c => c.status === 'convertido').length,
+            recuperacao: conversationsArray.filter(c => RECOVERY_STATUSES.includes(c.status)).length,
             timeout: conversationsArray.filter(c => c.status === 'timeout').length,
+            opt_out: conversationsArray.filter(c => c.status === 'opt_out').length,
+            encerrados_gateway: conversationsArray.filter(c => STOPPED_FUNNEL_STATUSES.includes(c.status) && c.status !== 'opt_out').length,
             blocked: conversationsArray.filter(c => c.funilInProgress || c.waitingConfirmation).length
         };
         
-        // Distribuição por instância
-        const instanceDistribution = {};
-        conversationsArray.forEach(conv => {
-            instanceDistribution[conv.instance] = (instanceDistribution[conv.instance] || 0) + 1;
-        });
+        // Fila de timeouts PIX agendados (lista limitada, total contado à parte)
+        let upcomingTimeouts = [];
+        let pendingTimeouts = 0;
+        try {
+            upcomingTimeouts = await getUpcomingPixTimeouts();
+            pendingTimeouts = await countPendingPixTimeouts();
+        } catch (dbError) {
+            console.warn(`⚠️ Erro ao listar timeouts agendados: ${dbError.message}`);
+        }
+        
+        // Fila de eventos N8N
+        let outboxStats = null;
+        try {
+            outboxStats = await getOutboxStats();
+        } catch (dbError) {
+            console.warn(`⚠️ Erro ao obter outbox: ${dbError.message}`);
+        }
+        
+        // Distribuição e carga por instância
+        const instanceDistribution = await getInstanceLoad();
+        
+        // Estratégia efetiva por produto do catálogo
+        const strategiesByProduct = {};
+        for (const entry of productCatalog.values()) {
+            strategiesByProduct[entry.product_key] = getBalancingStrategy(entry.product_key);
+        }
         
         res.json({
             system_status: 'online',
@@ -1478,35 +7718,48 @@ app.get('/status', async (req, res) => {
                 approved_sales: stats.approved,
                 completed_sales: stats.completed,
                 converted_sales: stats.convertidos,
+                recovery_conversations: stats.recuperacao,
                 timeout_sales: stats.timeout,
                 blocked_conversations: stats.blocked,
                 contacts_saved: systemStats.contactsSaved,
                 total_events: systemStats.totalEvents,
                 successful_events: systemStats.successfulEvents,
                 failed_events: systemStats.failedEvents,
+                rejected_webhooks: systemStats.rejectedWebhooks,
+                skipped_messages: systemStats.skippedMessages,
+                duplicate_webhooks: systemStats.duplicateWebhooks,
+                duplicates_suppressed: Object.values(systemStats.duplicateWebhooks).reduce((sum, count) => sum + count, 0),
+                outbox_pending: outboxStats ? outboxStats.outbox.pending : null,
+                dead_letters: outboxStats ? outboxStats.dead_letters : null,
                 success_rate: systemStats.totalEvents > 0 
                     ? ((systemStats.successfulEvents / systemStats.totalEvents) * 100).toFixed(2) + '%'
                     : '0%'
             },
             
             config: {
-                n8n_webhook_url: CONFIG.N8N_WEBHOOK_URL,
-                evolution_api_url: CONFIG.EVOLUTION_API_URL,
+                // URLs de integração só para admin
+                n8n_webhook_url: hasRole(req, 'admin') ? CONFIG.N8N_WEBHOOK_URL : (CONFIG.N8N_WEBHOOK_URL ? 'configurado' : null),
+                evolution_api_url: hasRole(req, 'admin') ? CONFIG.EVOLUTION_API_URL : (CONFIG.EVOLUTION_API_URL ? 'configurado' : null),
                 pix_timeout_minutes: Math.round(CONFIG.PIX_TIMEOUT / 60000),
                 timezone: CONFIG.TIMEZONE
             },
             
             conversations: conversationsArray,
             instance_distribution: instanceDistribution,
-            pending_timeouts: pendingTimeouts.size,
+            balancing: {
+                default_strategy: CONFIG.BALANCING_STRATEGY,
+                by_product: strategiesByProduct
+            },
+            pending_timeouts: pendingTimeouts,
+            upcoming_timeouts: upcomingTimeouts,
             
             features: [
                 'Sistema de chaves consistente',
                 'Controle robusto de funil',
                 'Debug aprimorado',
                 'Contatos automáticos',
-                'Timeout PIX configurável',
-                'Retry automático N8N'
+                'Timeout PIX persistente (sobrevive a restarts)',
+                'Outbox N8N com backoff exponencial e dead-letter'
             ]
         });
         
@@ -1519,7 +7772,7 @@ app.get('/status', async (req, res) => {
 /**
  * Eventos recentes
  */
-app.get('/events', async (req, res) => {
+app.get('/events', requireRole('viewer'), async (req, res) => {
     try {
         const { limit = 50 } = req.query;
         
@@ -1535,11 +7788,12 @@ app.get('/events', async (req, res) => {
                     date: getBrazilTime('DD/MM/YYYY', conv.createdAt),
                     time: getBrazilTime('HH:mm:ss', conv.createdAt),
                     clientName: getFirstName(conv.clientName),
-                    clientPhone: conv.phone,
+                    clientPhone: hasRole(req, 'operator') ? conv.phone : maskPhone(conv.phone),
                     orderCode: conv.orderCode,
                     product: conv.product,
                     instance: conv.instance,
                     responses: conv.responseCount,
+                    total_steps: getTotalSteps(conv),
                     amount: conv.amount,
                     blocked: conv.funilInProgress || conv.waitingConfirmation
                 });
@@ -1564,7 +7818,14 @@ app.get('/events', async (req, res) => {
 /**
  * Health check
  */
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
+    let pendingTimeouts = null;
+    try {
+        pendingTimeouts = await countPendingPixTimeouts();
+    } catch (dbError) {
+        console.warn(`⚠️ Erro ao contar timeouts: ${dbError.message}`);
+    }
+    
     res.json({
         status: 'online',
         version: '3.0',
@@ -1572,7 +7833,7 @@ app.get('/health', (req, res) => {
         brazil_time: getBrazilTime(),
         database: database ? 'connected' : 'disconnected',
         memory_conversations: conversations.size,
-        pending_timeouts: pendingTimeouts.size,
+        pending_timeouts: pendingTimeouts,
         system_stats: systemStats
     });
 });
@@ -1743,6 +8004,86 @@ function getDashboardHTML() {
 </html>`;
 }
 
+function getLoginHTML() {
+    return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+    <title>Cérebro v3.0 - Login</title>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body { 
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            min-height: 100vh;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            padding: 20px;
+        }
+        .card { 
+            background: rgba(255,255,255,0.98); 
+            padding: 30px; 
+            border-radius: 15px; 
+            width: 100%;
+            max-width: 360px;
+            box-shadow: 0 10px 30px rgba(0,0,0,0.1);
+        }
+        h1 { color: #333; margin-bottom: 20px; font-size: 1.5rem; }
+        input {
+            width: 100%;
+            padding: 10px 14px;
+            margin-bottom: 12px;
+            border: 1px solid #ddd;
+            border-radius: 8px;
+            font-size: 1rem;
+        }
+        .btn { 
+            width: 100%;
+            background: linear-gradient(135deg, #667eea, #764ba2);
+            color: white; 
+            padding: 10px 20px; 
+            border: none; 
+            border-radius: 20px; 
+            cursor: pointer;
+            font-weight: 600;
+        }
+        .error { color: #e53e3e; margin-top: 12px; font-size: 0.9rem; min-height: 1em; }
+    </style>
+</head>
+<body>
+    <form class="card" id="login-form">
+        <h1>🧠 Cérebro de Atendimento</h1>
+        <input name="username" placeholder="Usuário" autocomplete="username" required>
+        <input name="password" type="password" placeholder="Senha" autocomplete="current-password" required>
+        <button class="btn" type="submit">Entrar</button>
+        <div class="error" id="error"></div>
+    </form>
+    
+    <script>
+        document.getElementById('login-form').addEventListener('submit', async (event) => {
+            event.preventDefault();
+            const form = new FormData(event.target);
+            
+            const response = await fetch('/auth/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username: form.get('username'), password: form.get('password') })
+            });
+            
+            if (response.ok) {
+                window.location.href = '/';
+            } else {
+                const data = await response.json().catch(() => ({}));
+                document.getElementById('error').textContent = data.error || 'Erro ao entrar';
+            }
+        });
+    </script>
+</body>
+</html>`;
+}
+
 // ============================================
 // SISTEMA DE LIMPEZA E MANUTENÇÃO
 // ============================================
@@ -1750,25 +8091,37 @@ function getDashboardHTML() {
 /**
  * Limpar conversas antigas da memória
  */
-function cleanupOldConversations() {
+async function cleanupOldConversations() {
     const now = new Date();
     const twoDaysAgo = new Date(now - 48 * 60 * 60 * 1000);
     const sixHoursAgo = new Date(now - 6 * 60 * 60 * 1000);
     
+    // Pedidos com follow-up agendado ficam em memória até a sequência terminar
+    let followupOrders;
+    try {
+        const result = await database.query(`SELECT DISTINCT order_code FROM followups WHERE status = 'scheduled'`);
+        followupOrders = new Set(result.rows.map(row => row.order_code));
+    } catch (dbError) {
+        console.warn(`⚠️ Limpeza adiada - erro ao consultar follow-ups: ${dbError.message}`);
+        return;
+    }
+    
     let cleaned = 0;
     
-    for (const [phone, conversation] of conversations) {
+    for (const [orderCode, conversation] of conversations) {
+        if (followupOrders.has(orderCode)) continue;
+        
         // Remover conversas muito antigas
         if (conversation.lastActivity < twoDaysAgo) {
-            conversations.delete(phone);
+            conversations.delete(orderCode);
             cleaned++;
             continue;
         }
         
         // Remover conversas completadas/timeout após 6 horas
-        if ((conversation.status === 'completed' || conversation.status === 'timeout') && 
+        if (CLOSED_CONVERSATION_STATUSES.includes(conversation.status) && 
             conversation.lastActivity < sixHoursAgo) {
-            conversations.delete(phone);
+            conversations.delete(orderCode);
             cleaned++;
         }
     }
@@ -1792,6 +8145,21 @@ async function initializeSystem() {
         // Conectar ao banco de dados
         await connectDatabase();
         
+        // Catálogo de produtos e instâncias em cache
+        await loadProductCatalog();
+        await loadInstanceRegistry();
+        await loadStepMessages();
+        await loadFunnels();
+        await loadFollowupSteps();
+        await loadOptOuts();
+        await loadLidMappings();
+        
+        // Recuperar conversas em andamento antes de aceitar webhooks
+        await loadActiveConversations();
+        
+        // Usuário admin inicial do painel
+        await ensureBootstrapAdmin();
+        
         // Validar configurações
         if (!CONFIG.N8N_WEBHOOK_URL) {
             console.warn('⚠️ N8N_WEBHOOK_URL não configurada');
@@ -1799,6 +8167,29 @@ async function initializeSystem() {
         if (!CONFIG.EVOLUTION_API_URL) {
             console.warn('⚠️ EVOLUTION_API_URL não configurada');
         }
+        // Origens sem segredo recusam webhooks, exceto com ALLOW_UNAUTHENTICATED_WEBHOOKS=true
+        const unauthenticatedWarning = CONFIG.ALLOW_UNAUTHENTICATED_WEBHOOKS ? 'sem autenticação' : 'webhooks recusados';
+        if (CONFIG.ALLOW_UNAUTHENTICATED_WEBHOOKS) {
+            console.warn('⚠️ ALLOW_UNAUTHENTICATED_WEBHOOKS ativo - origens sem segredo aceitam qualquer requisição');
+        }
+        if (!CONFIG.PERFECT_PAY_TOKEN) {
+            console.warn(`⚠️ PERFECT_PAY_TOKEN não configurado - /webhook/perfect ${unauthenticatedWarning}`);
+        }
+        if (!CONFIG.HOTMART_HOTTOK) {
+            console.warn(`⚠️ HOTMART_HOTTOK não configurado - /webhook/hotmart ${unauthenticatedWarning}`);
+        }
+        if (!CONFIG.KIWIFY_TOKEN) {
+            console.warn(`⚠️ KIWIFY_TOKEN não configurado - /webhook/kiwify ${unauthenticatedWarning}`);
+        }
+        if (!CONFIG.EDUZZ_API_KEY) {
+            console.warn(`⚠️ EDUZZ_API_KEY não configurada - /webhook/eduzz ${unauthenticatedWarning}`);
+        }
+        if (!CONFIG.EVOLUTION_API_KEY) {
+            console.warn(`⚠️ EVOLUTION_API_KEY não configurada - /webhook/evolution ${unauthenticatedWarning}`);
+        }
+        if (!CONFIG.WEBHOOK_SECRET) {
+            console.warn(`⚠️ WEBHOOK_SECRET não configurado - /webhook/n8n-confirm, /webhook/complete e /check-payment ${unauthenticatedWarning}`);
+        }
         
         console.log('\n✅ Sistema inicializado com sucesso!');
         console.log('============================================');
@@ -1844,40 +8235,81 @@ process.on('SIGTERM', () => {
 // INICIAR SERVIDOR
 // ============================================
 
-initializeSystem().then(() => {
-    app.listen(PORT, () => {
-        console.log('============================================');
-        console.log('🚀 SERVIDOR ONLINE');
-        console.log('============================================');
-        console.log(`   Porta: ${PORT}`);
-        console.log(`   Dashboard: http://localhost:${PORT}`);
-        console.log(`   Health: http://localhost:${PORT}/health`);
-        console.log(`   Status: http://localhost:${PORT}/status`);
-        console.log('============================================');
-        console.log('WEBHOOKS:');
-        console.log(`   Perfect Pay: http://localhost:${PORT}/webhook/perfect`);
-        console.log(`   Evolution: http://localhost:${PORT}/webhook/evolution`);
-        console.log(`   N8N Confirm: http://localhost:${PORT}/webhook/n8n-confirm`);
-        console.log('============================================');
-        console.log('DEBUG:');
-        console.log(`   Conversa: http://localhost:${PORT}/debug/conversation/:phone`);
-        console.log(`   Limpar flags: http://localhost:${PORT}/debug/clear-flags/:phone`);
-        console.log('============================================');
-        console.log('\n✅ SISTEMA v3.0 FUNCIONANDO!\n');
-        console.log('Principais melhorias:');
-        console.log('   ✅ Sistema de chaves 100% consistente');
-        console.log('   ✅ Controle robusto de funil com bloqueio duplo');
-        console.log('   ✅ Debug detalhado em todos os pontos');
-        console.log('   ✅ Logs estruturados e informativos');
-        console.log('   ✅ Endpoints de emergência para destravar');
-        console.log('   ✅ Dashboard visual melhorado');
-        console.log('   ✅ Limpeza automática de conversas antigas');
-        console.log('============================================\n');
+// Só sobe o servidor quando executado direto (npm start) - os testes importam o módulo
+if (require.main === module) {
+    initializeSystem().then(() => {
+        app.listen(PORT, () => {
+            console.log('============================================');
+            console.log('🚀 SERVIDOR ONLINE');
+            console.log('============================================');
+            console.log(`   Porta: ${PORT}`);
+            console.log(`   Dashboard: http://localhost:${PORT}`);
+            console.log(`   Login: http://localhost:${PORT}/login`);
+            console.log(`   Health: http://localhost:${PORT}/health`);
+            console.log(`   Status: http://localhost:${PORT}/status`);
+            console.log('============================================');
+            console.log('WEBHOOKS:');
+            for (const adapter of Object.values(PAYMENT_GATEWAYS)) {
+                console.log(`   ${adapter.label}: http://localhost:${PORT}${adapter.route}`);
+            }
+            console.log(`   Evolution: http://localhost:${PORT}/webhook/evolution`);
+            console.log(`   N8N Confirm: http://localhost:${PORT}/webhook/n8n-confirm`);
+            console.log('============================================');
+            console.log('DEBUG:');
+            console.log(`   Conversa: http://localhost:${PORT}/debug/conversation/:phone`);
+            console.log(`   Limpar flags: http://localhost:${PORT}/debug/clear-flags/:phone`);
+            console.log('============================================');
+            console.log('\n✅ SISTEMA v3.0 FUNCIONANDO!\n');
+            console.log('Principais melhorias:');
+            console.log('   ✅ Sistema de chaves 100% consistente');
+            console.log('   ✅ Controle robusto de funil com bloqueio duplo');
+            console.log('   ✅ Debug detalhado em todos os pontos');
+            console.log('   ✅ Logs estruturados e informativos');
+            console.log('   ✅ Endpoints de emergência para destravar');
+            console.log('   ✅ Dashboard visual melhorado');
+            console.log('   ✅ Limpeza automática de conversas antigas');
+            console.log('============================================\n');
+        });
+        
+        // Executar limpeza a cada 30 minutos
+        setInterval(cleanupOldConversations, 30 * 60 * 1000);
+        
+        // Primeira limpeza após 1 minuto
+        setTimeout(cleanupOldConversations, 60000);
+        
+        // Agendador de jobs persistidos (timeouts PIX)
+        startScheduler();
+        
+        // Dispatcher do outbox de eventos N8N
+        startOutboxDispatcher();
+        
+        // Monitor de conexão das instâncias na Evolution API
+        startInstanceHealthMonitor();
+        
+        // Fila de mensagens nativas (Evolution API)
+        startMessageQueue();
+        
+        // Watchdog de funis travados
+        startFunnelWatchdog();
     });
-    
-    // Executar limpeza a cada 30 minutos
-    setInterval(cleanupOldConversations, 30 * 60 * 1000);
-    
-    // Primeira limpeza após 1 minuto
-    setTimeout(cleanupOldConversations, 60000);
-});
+}
+
+// ============================================
+// EXPORTAÇÕES PARA OS TESTES (test/)
+// ============================================
+
+module.exports = {
+    CONFIG,
+    rowToConversation,
+    parsePhoneNumber,
+    normalizePhoneNumber,
+    parsePerfectPayPhone,
+    parseGatewayPhone,
+    getOutboxBackoff,
+    BALANCING_STRATEGIES,
+    PAYMENT_GATEWAYS,
+    scopeGatewayKey,
+    normalizeGatewayOrder,
+    safeCompare,
+    WEBHOOK_VERIFIERS
+};
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { BALANCING_STRATEGIES } = require('../index.js');
+
+/**
+ * Instância candidata com a carga usada pelas estratégias
+ */
+function candidate(name, load = {}) {
+    return {
+        name,
+        weight: 1,
+        daily_cap: null,
+        active_conversations: 0,
+        assigned_today: 0,
+        last_assigned_at: null,
+        ...load
+    };
+}
+
+test('round_robin escolhe quem recebeu cliente há mais tempo', () => {
+    const choice = BALANCING_STRATEGIES.round_robin([
+        candidate('GABY01', { last_assigned_at: '2026-01-10T12:05:00Z' }),
+        candidate('GABY02', { last_assigned_at: '2026-01-10T12:00:00Z' }),
+        candidate('GABY03', { last_assigned_at: '2026-01-10T12:10:00Z' })
+    ]);
+    
+    assert.equal(choice, 'GABY02');
+});
+
+test('round_robin prioriza instâncias que nunca receberam e desempata pelo nome', () => {
+    const choice = BALANCING_STRATEGIES.round_robin([
+        candidate('GABY02'),
+        candidate('GABY01', { last_assigned_at: '2026-01-10T12:00:00Z' }),
+        candidate('GABY03')
+    ]);
+    
+    assert.equal(choice, 'GABY02');
+});
+
+test('weighted distribui proporcionalmente ao peso', () => {
+    const choice = BALANCING_STRATEGIES.weighted([
+        candidate('GABY01', { weight: 1, assigned_today: 3 }),
+        candidate('GABY02', { weight: 3, assigned_today: 6 })
+    ]);
+    
+    assert.equal(choice, 'GABY02');
+});
+
+test('weighted trata peso zero como um', () => {
+    const choice = BALANCING_STRATEGIES.weighted([
+        candidate('GABY01', { weight: 0, assigned_today: 2 }),
+        candidate('GABY02', { weight: 1, assigned_today: 1 })
+    ]);
+    
+    assert.equal(choice, 'GABY02');
+});
+
+test('least_active escolhe a instância com menos conversas ativas', () => {
+    const choice = BALANCING_STRATEGIES.least_active([
+        candidate('GABY01', { active_conversations: 5 }),
+        candidate('GABY02', { active_conversations: 2 }),
+        candidate('GABY03', { active_conversations: 4 })
+    ]);
+    
+    assert.equal(choice, 'GABY02');
+});
+
+test('daily_cap ignora instâncias que bateram o limite do dia', () => {
+    const choice = BALANCING_STRATEGIES.daily_cap([
+        candidate('GABY01', { daily_cap: 10, assigned_today: 10 }),
+        candidate('GABY02', { daily_cap: 10, assigned_today: 4, last_assigned_at: '2026-01-10T12:00:00Z' }),
+        candidate('GABY03', { daily_cap: null, assigned_today: 50, last_assigned_at: '2026-01-10T12:30:00Z' })
+    ]);
+    
+    assert.equal(choice, 'GABY02');
+});
+
+test('estratégias retornam null sem candidatas disponíveis', () => {
+    assert.equal(BALANCING_STRATEGIES.round_robin([]), null);
+    assert.equal(BALANCING_STRATEGIES.weighted([]), null);
+    assert.equal(BALANCING_STRATEGIES.least_active([]), null);
+    assert.equal(BALANCING_STRATEGIES.daily_cap([
+        candidate('GABY01', { daily_cap: 5, assigned_today: 5 })
+    ]), null);
+});
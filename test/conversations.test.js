@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { rowToConversation } = require('../index.js');
+
+test('rowToConversation converte a linha do banco no objeto em memória', () => {
+    const conversation = rowToConversation({
+        phone: '5511987654321',
+        order_code: 'PPA1',
+        product: 'FAB',
+        status: 'approved',
+        instance_name: 'GABY01',
+        amount: '97.00',
+        client_name: 'Maria Silva',
+        created_at: '2026-01-10T12:00:00Z',
+        last_activity_at: '2026-01-10T12:30:00Z',
+        responses_count: 2,
+        conversation_ref: '1736510400000',
+        waiting_confirmation: true,
+        pending_step: 3,
+        funil_in_progress: true,
+        funnel_id: 7,
+        locked_at: '2026-01-10T12:31:00Z',
+        step_retries: 1,
+        followup_step: 2
+    });
+    
+    assert.equal(conversation.orderCode, 'PPA1');
+    assert.equal(conversation.instance, 'GABY01');
+    assert.equal(conversation.amount, 97);
+    assert.equal(conversation.id, 1736510400000);
+    assert.equal(conversation.lastActivity.toISOString(), '2026-01-10T12:30:00.000Z');
+    assert.equal(conversation.lockedAt.toISOString(), '2026-01-10T12:31:00.000Z');
+    assert.equal(conversation.waitingConfirmation, true);
+    assert.equal(conversation.funilInProgress, true);
+    assert.equal(conversation.pendingStep, 3);
+    assert.equal(conversation.gateway, 'perfectpay');
+});
+
+test('rowToConversation usa padrões para colunas vazias', () => {
+    const conversation = rowToConversation({
+        id: 42,
+        phone: '5511987654321',
+        order_code: 'PPA2',
+        status: 'pix_pending',
+        amount: null,
+        created_at: '2026-01-10T12:00:00Z',
+        updated_at: '2026-01-10T13:00:00Z'
+    });
+    
+    assert.equal(conversation.id, 42);
+    assert.equal(conversation.amount, 0);
+    assert.equal(conversation.responseCount, 0);
+    assert.equal(conversation.pixUrl, '');
+    assert.equal(conversation.waitingConfirmation, false);
+    assert.equal(conversation.lockedAt, null);
+    assert.equal(conversation.lastActivity.toISOString(), '2026-01-10T13:00:00.000Z');
+});
@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PAYMENT_GATEWAYS, scopeGatewayKey, normalizeGatewayOrder } = require('../index.js');
+
+test('scopeGatewayKey prefixa os códigos dos gateways novos', () => {
+    assert.equal(scopeGatewayKey('perfectpay', 'PPA1'), 'PPA1');
+    assert.equal(scopeGatewayKey('kiwify', 'abc123'), 'kiwify:abc123');
+    assert.equal(scopeGatewayKey('eduzz', 42), 'eduzz:42');
+    assert.equal(scopeGatewayKey('hotmart', ''), '');
+    assert.equal(scopeGatewayKey('hotmart', null), null);
+});
+
+test('adaptador Perfect Pay normaliza o postback', () => {
+    const order = PAYMENT_GATEWAYS.perfectpay.normalize({
+        code: 'PPA1',
+        sale_status_enum_key: 'approved',
+        sale_amount: '97.00',
+        plan: { code: 'PPLQQM9AP', name: 'Fabulosa' },
+        customer: {
+            full_name: 'Maria Silva',
+            email: 'maria@example.com',
+            phone_extension: '55',
+            phone_area_code: '11',
+            phone_number: '987654321'
+        },
+        billet_url: 'https://pix.example.com/1'
+    });
+    
+    assert.equal(order.orderCode, 'PPA1');
+    assert.equal(order.status, 'approved');
+    assert.deepEqual(order.planCodes, ['PPLQQM9AP']);
+    assert.equal(order.phone.e164, '5511987654321');
+    assert.equal(order.amount, 97);
+    assert.equal(order.pixUrl, 'https://pix.example.com/1');
+});
+
+test('adaptador Hotmart mapeia o status pelo evento e usa o país do comprador', () => {
+    const order = PAYMENT_GATEWAYS.hotmart.normalize({
+        event: 'PURCHASE_APPROVED',
+        data: {
+            product: { id: 123, name: 'Curso' },
+            buyer: {
+                name: 'John Smith',
+                email: 'john@example.com',
+                checkout_phone: '7911123456',
+                address: { country_iso: 'GB' }
+            },
+            purchase: {
+                transaction: 'HP123',
+                offer: { code: 'off1' },
+                price: { value: 49.9 }
+            }
+        }
+    });
+    
+    assert.equal(order.orderCode, 'HP123');
+    assert.equal(order.status, 'approved');
+    assert.equal(order.rawStatus, 'APPROVED');
+    assert.deepEqual(order.planCodes, ['off1', 123]);
+    assert.equal(order.phone.e164, '447911123456');
+    assert.deepEqual(order.phoneInput, { numero: '7911123456', pais: 'GB' });
+    assert.equal(order.amount, 49.9);
+});
+
+test('adaptador Kiwify converte centavos e o status do pedido', () => {
+    const order = PAYMENT_GATEWAYS.kiwify.normalize({
+        order_id: 'abc123',
+        order_status: 'waiting_payment',
+        Product: { product_id: 'prod1', product_offer_id: 'offer1', product_name: 'Curso' },
+        Customer: { full_name: 'Ana Souza', email: 'ana@example.com', mobile: '+5511987654321' },
+        Commissions: { charge_amount: '4990' },
+        pix_code: '00020126...'
+    });
+    
+    assert.equal(order.orderCode, 'abc123');
+    assert.equal(order.status, 'pending');
+    assert.deepEqual(order.planCodes, ['offer1', 'prod1']);
+    assert.equal(order.phone.e164, '5511987654321');
+    assert.equal(order.amount, 49.9);
+    assert.equal(order.pixUrl, '00020126...');
+});
+
+test('adaptador Eduzz lê os campos trans_* e cus_*', () => {
+    const order = PAYMENT_GATEWAYS.eduzz.normalize({
+        trans_cod: '987',
+        trans_status: '3',
+        trans_value: '197.00',
+        product_cod: '555',
+        product_name: 'Mentoria',
+        cus_name: 'Carlos Lima',
+        cus_email: 'carlos@example.com',
+        cus_cel: '(11) 98765-4321'
+    });
+    
+    assert.equal(order.orderCode, '987');
+    assert.equal(order.status, 'approved');
+    assert.equal(order.rawStatus, '3');
+    assert.equal(order.phone.e164, '5511987654321');
+    assert.equal(order.amount, 197);
+});
+
+test('normalizeGatewayOrder escopa os códigos e resolve o produto', () => {
+    const order = normalizeGatewayOrder('perfectpay', {
+        code: 'PPA1',
+        sale_status_enum_key: 'approved',
+        plan: { code: 'PPLQQM9AP' },
+        customer: { full_name: 'Maria Silva', phone_area_code: '11', phone_number: '987654321' }
+    });
+    
+    assert.equal(order.gateway, 'perfectpay');
+    assert.equal(order.planCode, 'PPLQQM9AP');
+    assert.equal(order.product, 'FAB');
+    assert.equal(order.firstName, 'Maria');
+    assert.equal(order.phoneNumber, '5511987654321');
+    
+    const kiwify = normalizeGatewayOrder('kiwify', {
+        order_id: 'abc123',
+        order_status: 'paid',
+        Product: { product_offer_id: 'PPLQQM9AP' },
+        Customer: { mobile: '11987654321' }
+    });
+    
+    assert.equal(kiwify.orderCode, 'kiwify:abc123');
+    assert.equal(kiwify.planCode, 'kiwify:PPLQQM9AP');
+    assert.equal(kiwify.product, 'UNKNOWN');
+    assert.equal(kiwify.fullName, 'Cliente');
+});
+
+test('normalizeGatewayOrder mantém o telefone informado quando não é válido', () => {
+    const order = normalizeGatewayOrder('eduzz', { trans_cod: '1', cus_cel: '123' });
+    
+    assert.equal(order.phone.valid, false);
+    assert.equal(order.phoneNumber, '123');
+});
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CONFIG, getOutboxBackoff } = require('../index.js');
+
+test('getOutboxBackoff dobra o intervalo a cada tentativa', () => {
+    const base = CONFIG.OUTBOX_RETRY_BASE_DELAY;
+    
+    assert.equal(getOutboxBackoff(1), base);
+    assert.equal(getOutboxBackoff(2), base * 2);
+    assert.equal(getOutboxBackoff(3), base * 4);
+});
+
+test('getOutboxBackoff trata tentativa zero como a primeira', () => {
+    assert.equal(getOutboxBackoff(0), CONFIG.OUTBOX_RETRY_BASE_DELAY);
+});
+
+test('getOutboxBackoff respeita o intervalo máximo', () => {
+    assert.equal(getOutboxBackoff(50), CONFIG.OUTBOX_RETRY_MAX_DELAY);
+});
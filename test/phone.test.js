@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    parsePhoneNumber,
+    normalizePhoneNumber,
+    parsePerfectPayPhone,
+    parseGatewayPhone
+} = require('../index.js');
+
+test('parsePhoneNumber aceita celular brasileiro com ou sem o código do país', () => {
+    for (const phone of ['11987654321', '5511987654321', '+55 11 98765-4321']) {
+        const parsed = parsePhoneNumber(phone);
+        assert.equal(parsed.valid, true, phone);
+        assert.equal(parsed.e164, '5511987654321', phone);
+        assert.equal(parsed.country, 'BR', phone);
+    }
+});
+
+test('parsePhoneNumber adiciona o nono dígito em celular antigo', () => {
+    assert.equal(parsePhoneNumber('(11) 8765-4321').e164, '5511987654321');
+});
+
+test('parsePhoneNumber usa a regra do país com "+", "00" ou código informado', () => {
+    assert.equal(parsePhoneNumber('+351912345678').country, 'PT');
+    assert.equal(parsePhoneNumber('00351912345678').e164, '351912345678');
+    assert.equal(parsePhoneNumber('912345678', '351').e164, '351912345678');
+    assert.equal(parsePhoneNumber('+1 415 555 2671').e164, '14155552671');
+});
+
+test('parsePhoneNumber aceita país sem regra dentro do limite do E.164', () => {
+    const parsed = parsePhoneNumber('+9991234567890');
+    
+    assert.equal(parsed.valid, true);
+    assert.equal(parsed.e164, '9991234567890');
+    assert.equal(parsed.country, null);
+});
+
+test('parsePhoneNumber recusa números vazios e sem código que não passam como brasileiros', () => {
+    assert.equal(parsePhoneNumber('').valid, false);
+    assert.equal(parsePhoneNumber('').reason, 'telefone vazio');
+    
+    const foreign = parsePhoneNumber('447911123456');
+    assert.equal(foreign.valid, false);
+    assert.match(foreign.reason, /sem código do país/);
+});
+
+test('normalizePhoneNumber tenta a chave já gravada em E.164 sem o "+"', () => {
+    assert.equal(normalizePhoneNumber('11987654321'), '5511987654321');
+    assert.equal(normalizePhoneNumber('447911123456'), '447911123456');
+    assert.equal(normalizePhoneNumber(''), '');
+});
+
+test('parsePerfectPayPhone usa phone_extension como código do país', () => {
+    assert.equal(parsePerfectPayPhone('351', '91', '2345678').e164, '351912345678');
+    assert.equal(parsePerfectPayPhone(null, '11', '987654321').e164, '5511987654321');
+});
+
+test('parseGatewayPhone usa o país do comprador ou tenta o número como E.164', () => {
+    assert.equal(parseGatewayPhone('7911123456', 'gb').e164, '447911123456');
+    assert.equal(parseGatewayPhone('447911123456').e164, '447911123456');
+    assert.equal(parseGatewayPhone('11987654321').e164, '5511987654321');
+    assert.equal(parseGatewayPhone('11987654321', 'XX').e164, '5511987654321');
+});
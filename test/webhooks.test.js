@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { CONFIG, safeCompare, WEBHOOK_VERIFIERS } = require('../index.js');
+
+/**
+ * Request mínima com o que os verificadores leem: headers, body, query e corpo bruto
+ */
+function fakeRequest({ headers = {}, body = {}, query = {} } = {}) {
+    const lowerHeaders = Object.fromEntries(
+        Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+    );
+    
+    return {
+        body,
+        query,
+        rawBody: Buffer.from(JSON.stringify(body)),
+        get: (name) => lowerHeaders[name.toLowerCase()]
+    };
+}
+
+function signN8N(secret, timestamp, body) {
+    return crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${JSON.stringify(body)}`)
+        .digest('hex');
+}
+
+test('safeCompare compara valores de tamanhos diferentes e vazios sem lançar', () => {
+    assert.equal(safeCompare('abc', 'abc'), true);
+    assert.equal(safeCompare('abc', 'abd'), false);
+    assert.equal(safeCompare('abc', 'abcd'), false);
+    assert.equal(safeCompare(undefined, 'abc'), false);
+});
+
+test('verificador Perfect Pay confere o token do corpo', () => {
+    CONFIG.PERFECT_PAY_TOKEN = 'token-perfect';
+    
+    assert.equal(WEBHOOK_VERIFIERS.perfect(fakeRequest({ body: { token: 'token-perfect' } })), null);
+    assert.equal(WEBHOOK_VERIFIERS.perfect(fakeRequest({ body: { token: 'outro' } })), 'token inválido');
+    assert.equal(WEBHOOK_VERIFIERS.perfect(fakeRequest()), 'token ausente');
+});
+
+test('verificador Hotmart aceita o hottok no header ou no corpo', () => {
+    CONFIG.HOTMART_HOTTOK = 'hottok-conta';
+    
+    assert.equal(WEBHOOK_VERIFIERS.hotmart(fakeRequest({ headers: { 'X-HOTMART-HOTTOK': 'hottok-conta' } })), null);
+    assert.equal(WEBHOOK_VERIFIERS.hotmart(fakeRequest({ body: { hottok: 'hottok-conta' } })), null);
+    assert.equal(WEBHOOK_VERIFIERS.hotmart(fakeRequest({ headers: { 'X-HOTMART-HOTTOK': 'outro' } })), 'hottok inválido');
+    assert.equal(WEBHOOK_VERIFIERS.hotmart(fakeRequest()), 'hottok ausente');
+});
+
+test('verificador Kiwify valida o HMAC-SHA1 do corpo bruto em ?signature=', () => {
+    CONFIG.KIWIFY_TOKEN = 'token-kiwify';
+    const body = { order_id: 'abc123', order_status: 'paid' };
+    const signature = crypto.createHmac('sha1', 'token-kiwify').update(JSON.stringify(body)).digest('hex');
+    
+    assert.equal(WEBHOOK_VERIFIERS.kiwify(fakeRequest({ body, query: { signature } })), null);
+    assert.equal(WEBHOOK_VERIFIERS.kiwify(fakeRequest({
+        body: { ...body, order_status: 'refunded' },
+        query: { signature }
+    })), 'assinatura inválida');
+    assert.equal(WEBHOOK_VERIFIERS.kiwify(fakeRequest({ body })), 'assinatura ausente');
+});
+
+test('verificador Eduzz confere a api_key do corpo', () => {
+    CONFIG.EDUZZ_API_KEY = 'chave-eduzz';
+    
+    assert.equal(WEBHOOK_VERIFIERS.eduzz(fakeRequest({ body: { api_key: 'chave-eduzz' } })), null);
+    assert.equal(WEBHOOK_VERIFIERS.eduzz(fakeRequest({ body: { api_key: 'outra' } })), 'api_key inválida');
+    assert.equal(WEBHOOK_VERIFIERS.eduzz(fakeRequest()), 'api_key ausente');
+});
+
+test('verificador Evolution aceita a apikey no header ou no corpo', () => {
+    CONFIG.EVOLUTION_API_KEY = 'chave-evolution';
+    
+    assert.equal(WEBHOOK_VERIFIERS.evolution(fakeRequest({ headers: { apikey: 'chave-evolution' } })), null);
+    assert.equal(WEBHOOK_VERIFIERS.evolution(fakeRequest({ body: { apikey: 'chave-evolution' } })), null);
+    assert.equal(WEBHOOK_VERIFIERS.evolution(fakeRequest({ headers: { apikey: 'outra' } })), 'apikey inválida');
+    assert.equal(WEBHOOK_VERIFIERS.evolution(fakeRequest()), 'apikey ausente');
+});
+
+test('verificador N8N valida o HMAC de "<timestamp>.<corpo>"', () => {
+    CONFIG.WEBHOOK_SECRET = 'segredo-n8n';
+    const body = { phone: '5511987654321', message: 'oi' };
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const signature = signN8N('segredo-n8n', timestamp, body);
+    
+    const valid = fakeRequest({
+        body,
+        headers: { 'x-cerebro-timestamp': timestamp, 'x-cerebro-signature': `sha256=${signature}` }
+    });
+    assert.equal(WEBHOOK_VERIFIERS.n8n(valid), null);
+    
+    const tampered = fakeRequest({
+        body: { ...body, message: 'alterada' },
+        headers: { 'x-cerebro-timestamp': timestamp, 'x-cerebro-signature': signature }
+    });
+    assert.equal(WEBHOOK_VERIFIERS.n8n(tampered), 'assinatura inválida');
+    
+    assert.equal(WEBHOOK_VERIFIERS.n8n(fakeRequest({ body })), 'assinatura ausente');
+});
+
+test('verificador N8N recusa timestamps fora da janela', () => {
+    CONFIG.WEBHOOK_SECRET = 'segredo-n8n';
+    const body = { phone: '5511987654321' };
+    const timestamp = String(Math.floor(Date.now() / 1000) - CONFIG.WEBHOOK_MAX_SKEW - 60);
+    
+    const request = fakeRequest({
+        body,
+        headers: { 'x-cerebro-timestamp': timestamp, 'x-cerebro-signature': signN8N('segredo-n8n', timestamp, body) }
+    });
+    assert.match(WEBHOOK_VERIFIERS.n8n(request), /fora da janela/);
+    
+    const garbage = fakeRequest({
+        body,
+        headers: { 'x-cerebro-timestamp': 'abc', 'x-cerebro-signature': 'x' }
+    });
+    assert.match(WEBHOOK_VERIFIERS.n8n(garbage), /fora da janela/);
+});